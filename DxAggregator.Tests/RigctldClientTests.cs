@@ -0,0 +1,221 @@
+using System.Collections.Concurrent;
+using System.Net;
+using System.Net.Sockets;
+using DxAggregator.Services;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.Extensions.Options;
+using Xunit;
+
+namespace DxAggregator.Tests;
+
+/// <summary>
+/// Runs the client against a fake rigctld on a loopback port, which keeps a frequency and mode,
+/// answers the commands as rigctld does and records every command it was sent.
+/// </summary>
+public class RigctldClientTests : IDisposable
+{
+    private readonly FakeRigctld _rigctld = new();
+    private readonly RigctldClient _client;
+
+    public RigctldClientTests()
+    {
+        _client = NewClient(_rigctld.Port);
+    }
+
+    public void Dispose()
+    {
+        _client.Dispose();
+        _rigctld.Dispose();
+    }
+
+    [Fact]
+    public async Task Tune_SetsFrequencyAndMode()
+    {
+        var mode = await _client.TuneAsync(14074.0, "FT8", CancellationToken.None);
+
+        Assert.Equal("PKTUSB", mode);
+        Assert.Equal(new[] { "F 14074000", "M PKTUSB 0" }, _rigctld.Commands);
+    }
+
+    [Fact]
+    public async Task Tune_LeavesTheModeAloneForAnUnknownMode()
+    {
+        var mode = await _client.TuneAsync(7010.5, "unknown", CancellationToken.None);
+
+        Assert.Null(mode);
+        Assert.Equal(new[] { "F 7010500" }, _rigctld.Commands);
+    }
+
+    [Fact]
+    public async Task Status_ReadsFrequencyAndMode()
+    {
+        await _client.TuneAsync(3573.0, "SSB", CancellationToken.None);
+
+        var status = await _client.GetStatusAsync(CancellationToken.None);
+
+        Assert.True(status.Connected);
+        Assert.Equal(3573.0, status.FrequencyKhz);
+        Assert.Equal("LSB", status.Mode);
+        Assert.Equal(new[] { "F 3573000", "M LSB 0", "f", "m" }, _rigctld.Commands);
+    }
+
+    [Fact]
+    public async Task ErrorReply_ToSetFreq_Throws()
+    {
+        _rigctld.Errors["F"] = "RPRT -11";
+
+        var ex = await Assert.ThrowsAsync<RigctldException>(() => _client.TuneAsync(14074.0, "FT8", CancellationToken.None));
+
+        Assert.Contains("RPRT -11", ex.Message);
+        Assert.Equal(new[] { "F 14074000" }, _rigctld.Commands);
+    }
+
+    [Fact]
+    public async Task ErrorReply_ToSetMode_Throws()
+    {
+        _rigctld.Errors["M"] = "RPRT -1";
+
+        await Assert.ThrowsAsync<RigctldException>(() => _client.TuneAsync(14025.0, "CW", CancellationToken.None));
+    }
+
+    [Fact]
+    public async Task ErrorReply_ToGetFreq_ReportsNotConnected()
+    {
+        _rigctld.Errors["f"] = "RPRT -5";
+
+        var status = await _client.GetStatusAsync(CancellationToken.None);
+
+        Assert.False(status.Connected);
+        Assert.Null(status.FrequencyKhz);
+    }
+
+    [Fact]
+    public async Task DroppedConnection_IsReopened()
+    {
+        await _client.GetStatusAsync(CancellationToken.None);
+        _rigctld.DropClients();
+
+        var mode = await _client.TuneAsync(21074.0, "FT8", CancellationToken.None);
+
+        Assert.Equal("PKTUSB", mode);
+        Assert.Equal(2, _rigctld.Connections);
+    }
+
+    [Fact]
+    public async Task NoRigctld_ReportsNotConnected_AndTuneThrows()
+    {
+        var port = _rigctld.Port;
+        _rigctld.Dispose();
+        using var client = NewClient(port);
+
+        var status = await client.GetStatusAsync(CancellationToken.None);
+        Assert.False(status.Connected);
+        Assert.Equal(port, status.Port);
+
+        await Assert.ThrowsAsync<RigctldException>(() => client.TuneAsync(14074.0, "FT8", CancellationToken.None));
+    }
+
+    private static RigctldClient NewClient(int port) =>
+        new(Options.Create(new RigOptions { Host = "127.0.0.1", Port = port, TimeoutMs = 1000 }),
+            NullLogger<RigctldClient>.Instance);
+
+    // rigctld's plain-text protocol: F/M reply "RPRT 0", f replies the frequency in Hz, m the
+    // mode and passband. Errors maps a command letter to the error reply it gets instead.
+    private sealed class FakeRigctld : IDisposable
+    {
+        private readonly TcpListener _listener = new(IPAddress.Loopback, 0);
+        private readonly ConcurrentQueue<string> _commands = new();
+        private readonly ConcurrentBag<TcpClient> _clients = new();
+        private readonly CancellationTokenSource _stop = new();
+        private long _frequencyHz = 7_074_000;
+        private string _mode = "USB";
+        private int _connections;
+
+        public FakeRigctld()
+        {
+            _listener.Start();
+            Port = ((IPEndPoint)_listener.LocalEndpoint).Port;
+            _ = AcceptLoop();
+        }
+
+        public int Port { get; }
+        public ConcurrentDictionary<string, string> Errors { get; } = new();
+        public string[] Commands => _commands.ToArray();
+        public int Connections => _connections;
+
+        public void DropClients()
+        {
+            foreach (var client in _clients) client.Dispose();
+        }
+
+        public void Dispose()
+        {
+            _stop.Cancel();
+            _listener.Stop();
+            DropClients();
+        }
+
+        private async Task AcceptLoop()
+        {
+            try
+            {
+                while (true)
+                {
+                    var client = await _listener.AcceptTcpClientAsync(_stop.Token);
+                    _clients.Add(client);
+                    Interlocked.Increment(ref _connections);
+                    _ = Serve(client);
+                }
+            }
+            catch (Exception ex) when (ex is OperationCanceledException or SocketException or ObjectDisposedException)
+            {
+                // Stopped
+            }
+        }
+
+        private async Task Serve(TcpClient client)
+        {
+            try
+            {
+                var stream = client.GetStream();
+                using var reader = new StreamReader(stream);
+                using var writer = new StreamWriter(stream) { NewLine = "\n", AutoFlush = true };
+                while (await reader.ReadLineAsync() is { } line)
+                {
+                    _commands.Enqueue(line);
+                    var parts = line.Split(' ');
+                    if (Errors.TryGetValue(parts[0], out var error))
+                    {
+                        await writer.WriteLineAsync(error);
+                        continue;
+                    }
+                    switch (parts[0])
+                    {
+                        case "F":
+                            _frequencyHz = long.Parse(parts[1]);
+                            await writer.WriteLineAsync("RPRT 0");
+                            break;
+                        case "M":
+                            _mode = parts[1];
+                            await writer.WriteLineAsync("RPRT 0");
+                            break;
+                        case "f":
+                            await writer.WriteLineAsync(_frequencyHz.ToString());
+                            break;
+                        case "m":
+                            await writer.WriteLineAsync(_mode);
+                            await writer.WriteLineAsync("2400");
+                            break;
+                        default:
+                            await writer.WriteLineAsync("RPRT -4");
+                            break;
+                    }
+                }
+            }
+            catch (Exception ex) when (ex is IOException or ObjectDisposedException)
+            {
+                // Client went away or the test dropped it
+            }
+        }
+    }
+}
@@ -0,0 +1,246 @@
+using System.Collections.Concurrent;
+using System.Net;
+using System.Net.Sockets;
+using System.Text;
+using DxAggregator.Models;
+using DxAggregator.Services;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.Extensions.Options;
+using Xunit;
+
+namespace DxAggregator.Tests;
+
+/// <summary>
+/// Runs the client against a fake DXSpider node on a loopback port, which asks for a login,
+/// announces a spot, answers SH/DX and records every line it was sent.
+/// </summary>
+public class TelnetClusterClientTests : IAsyncLifetime
+{
+    private static readonly TimeSpan Wait = TimeSpan.FromSeconds(5);
+    // Covers the 5 s backoff before the client reconnects
+    private static readonly TimeSpan ReconnectWait = TimeSpan.FromSeconds(15);
+
+    private readonly FakeNode _node = new();
+    private readonly SpotPipeline _pipeline = new(NullLogger<SpotPipeline>.Instance);
+    private readonly SourceStatusRegistry _status = new();
+    private readonly CancellationTokenSource _stop = new();
+    private TelnetClusterClient _client = null!;
+
+    public async Task InitializeAsync()
+    {
+        _client = new TelnetClusterClient(
+            Options.Create(new TelnetClusterOptions
+            {
+                Callsign = " k1abc ",
+                Nodes = { new TelnetNodeOptions { Name = "Fake", Host = "127.0.0.1", Port = _node.Port, Backfill = 5 } }
+            }),
+            _pipeline,
+            _status,
+            NullLogger<TelnetClusterClient>.Instance);
+        await _client.StartAsync(_stop.Token);
+    }
+
+    public async Task DisposeAsync()
+    {
+        _stop.Cancel();
+        await _client.StopAsync(CancellationToken.None);
+        _client.Dispose();
+        _node.Dispose();
+    }
+
+    [Fact]
+    public async Task LogsIn_RefusesOptions_AndRequestsBackfillOnceTheNodeSettles()
+    {
+        await Eventually(() => _node.Lines.Length >= 2, Wait);
+
+        Assert.Equal(new[] { "K1ABC", "SH/DX 5" }, _node.Lines.Select(l => l.Text));
+        // Nothing arrives after the welcome, so SH/DX waits out the 2 s settle delay
+        Assert.True(_node.Lines[1].Received - _node.Lines[0].Received >= TimeSpan.FromSeconds(1.5));
+        // IAC WONT ECHO for the node's IAC DO ECHO
+        Assert.Equal(new byte[] { 255, 252, 1 }, _node.Negotiation);
+
+        var status = Assert.Single(_status.GetAll());
+        Assert.Equal(SourceState.Connected, status.State);
+        Assert.Contains("as K1ABC", status.Detail);
+    }
+
+    [Fact]
+    public async Task DxDeAndShowDxLines_AreSubmitted()
+    {
+        var live = await NextSpot();
+        Assert.Equal("JA1ABC", live.DxCall);
+        Assert.Equal(14025.0, live.Frequency);
+        Assert.Equal("CW", live.Mode);
+        Assert.Equal("W3LPL", live.Spotter);
+        Assert.Equal("FN20", live.SpotterGrid);
+        Assert.Equal(12, live.Snr);
+        Assert.Equal("Fake", live.Source);
+
+        var backfill = await NextSpot();
+        Assert.Equal("VK2XYZ", backfill.DxCall);
+        Assert.Equal(21074.0, backfill.Frequency);
+        Assert.Equal("FT8", backfill.Mode);
+        Assert.Equal("K1TTT", backfill.Spotter);
+        Assert.Equal(-10, backfill.Snr);
+        Assert.Equal(new DateTime(2026, 10, 18, 12, 0, 0, DateTimeKind.Utc), backfill.Timestamp);
+    }
+
+    [Fact]
+    public async Task DroppedConnection_IsReopened_AndLoggedInAgain()
+    {
+        await Eventually(() => _node.Lines.Any(l => l.Text.StartsWith("SH/DX")), Wait);
+        _node.DropClients();
+
+        await Eventually(() => _node.Lines.Count(l => l.Text == "SH/DX 5") == 2, ReconnectWait);
+
+        Assert.Equal(2, _node.Connections);
+        Assert.Equal(2, _node.Lines.Count(l => l.Text == "K1ABC"));
+        Assert.Equal(SourceState.Connected, Assert.Single(_status.GetAll()).State);
+    }
+
+    private async Task<SpotRecord> NextSpot()
+    {
+        using var timeout = new CancellationTokenSource(Wait);
+        return await _pipeline.Reader.ReadAsync(timeout.Token);
+    }
+
+    private static async Task Eventually(Func<bool> condition, TimeSpan wait)
+    {
+        var deadline = DateTime.UtcNow + wait;
+        while (!condition())
+        {
+            if (DateTime.UtcNow > deadline) throw new TimeoutException("condition not met in time");
+            await Task.Delay(20);
+        }
+    }
+
+    // A DXSpider node as a logger sees it: a welcome with IAC DO ECHO and a "login: " prompt
+    // without a newline, a "DX de" announcement once logged in, and SH/DX replies.
+    private sealed class FakeNode : IDisposable
+    {
+        private const string DxDe = "DX de W3LPL-#:   14025.0  JA1ABC       CW 12 dB 25 WPM CQ           1234Z FN20";
+        private const string ShowDx = "  21074.0  VK2XYZ      18-Oct-2026 1200Z FT8 -10 dB                  <K1TTT>";
+
+        private readonly TcpListener _listener = new(IPAddress.Loopback, 0);
+        private readonly ConcurrentQueue<(string, DateTime)> _lines = new();
+        private readonly ConcurrentQueue<byte> _negotiation = new();
+        private readonly ConcurrentBag<TcpClient> _clients = new();
+        private readonly CancellationTokenSource _stop = new();
+        private int _connections;
+
+        public FakeNode()
+        {
+            _listener.Start();
+            Port = ((IPEndPoint)_listener.LocalEndpoint).Port;
+            _ = AcceptLoop();
+        }
+
+        public int Port { get; }
+        public (string Text, DateTime Received)[] Lines => _lines.ToArray();
+        public byte[] Negotiation => _negotiation.ToArray();
+        public int Connections => _connections;
+
+        public void DropClients()
+        {
+            foreach (var client in _clients) client.Dispose();
+        }
+
+        public void Dispose()
+        {
+            _stop.Cancel();
+            _listener.Stop();
+            DropClients();
+        }
+
+        private async Task AcceptLoop()
+        {
+            try
+            {
+                while (true)
+                {
+                    var client = await _listener.AcceptTcpClientAsync(_stop.Token);
+                    _clients.Add(client);
+                    Interlocked.Increment(ref _connections);
+                    _ = Serve(client);
+                }
+            }
+            catch (Exception ex) when (ex is OperationCanceledException or SocketException or ObjectDisposedException)
+            {
+                // Stopped
+            }
+        }
+
+        private async Task Serve(TcpClient client)
+        {
+            try
+            {
+                var stream = client.GetStream();
+                await stream.WriteAsync(new byte[] { 255, 253, 1 });
+                await Send(stream, "Hello, this is a fake DXSpider node\r\nlogin: ");
+
+                var loggedIn = false;
+                await foreach (var line in ReadLines(stream))
+                {
+                    _lines.Enqueue((line, DateTime.UtcNow));
+                    if (!loggedIn)
+                    {
+                        if (line != "K1ABC")
+                        {
+                            await Send(stream, "Sorry, wrong callsign\r\n");
+                            return;
+                        }
+                        loggedIn = true;
+                        await Send(stream, $"Hello {line}\r\n{DxDe}\r\n");
+                    }
+                    else if (line.StartsWith("SH/DX"))
+                    {
+                        await Send(stream, $"{ShowDx}\r\n{line} de FAKE >\r\n");
+                    }
+                }
+            }
+            catch (Exception ex) when (ex is IOException or SocketException or ObjectDisposedException)
+            {
+                // Client went away or the test dropped it
+            }
+            finally
+            {
+                client.Dispose();
+            }
+        }
+
+        private static async Task Send(NetworkStream stream, string text)
+        {
+            await stream.WriteAsync(Encoding.ASCII.GetBytes(text));
+        }
+
+        // Lines the client sends, with telnet negotiation (IAC and two bytes) kept aside
+        private async IAsyncEnumerable<string> ReadLines(NetworkStream stream)
+        {
+            var buffer = new byte[1024];
+            var line = new StringBuilder();
+            var command = 0;
+            int read;
+            while ((read = await stream.ReadAsync(buffer)) > 0)
+            {
+                for (var i = 0; i < read; i++)
+                {
+                    var b = buffer[i];
+                    if (command > 0 || b == 255)
+                    {
+                        _negotiation.Enqueue(b);
+                        command = (command + 1) % 3;
+                    }
+                    else if (b == '\n')
+                    {
+                        yield return line.ToString().TrimEnd('\r');
+                        line.Clear();
+                    }
+                    else
+                    {
+                        line.Append((char)b);
+                    }
+                }
+            }
+        }
+    }
+}
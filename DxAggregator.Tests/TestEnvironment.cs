@@ -0,0 +1,28 @@
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.Extensions.FileProviders;
+
+namespace DxAggregator.Tests;
+
+/// <summary>
+/// The web host environment services are built with, pointing at the app's own wwwroot so
+/// cty.dat and the band plans load as they do in the app.
+/// </summary>
+internal sealed class TestEnvironment : IWebHostEnvironment
+{
+    public TestEnvironment()
+    {
+        // Tests run from DxAggregator.Tests/bin/<configuration>/net6.0; the app sits beside them
+        var dir = new DirectoryInfo(AppContext.BaseDirectory);
+        while (dir != null && !Directory.Exists(Path.Combine(dir.FullName, "DxAggregator", "wwwroot")))
+            dir = dir.Parent;
+        ContentRootPath = Path.Combine(dir?.FullName ?? AppContext.BaseDirectory, "DxAggregator");
+        WebRootPath = Path.Combine(ContentRootPath, "wwwroot");
+    }
+
+    public string ApplicationName { get; set; } = "DxAggregator";
+    public string EnvironmentName { get; set; } = "Development";
+    public string ContentRootPath { get; set; }
+    public string WebRootPath { get; set; }
+    public IFileProvider ContentRootFileProvider { get; set; } = new NullFileProvider();
+    public IFileProvider WebRootFileProvider { get; set; } = new NullFileProvider();
+}
@@ -0,0 +1,256 @@
+using System.Buffers.Binary;
+using System.Net;
+using System.Net.Sockets;
+using System.Text;
+using DxAggregator.Services;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.Extensions.Options;
+using Xunit;
+
+namespace DxAggregator.Tests;
+
+/// <summary>
+/// Runs the listener on a loopback port and plays WSJT-X from a second UdpClient: datagrams are
+/// built field by field as WSJT-X's QDataStream writes them, and replies are read back.
+/// </summary>
+public class WsjtxListenerTests : IAsyncLifetime
+{
+    private static readonly TimeSpan Wait = TimeSpan.FromSeconds(5);
+
+    private readonly SpotPipeline _pipeline = new(NullLogger<SpotPipeline>.Instance);
+    private readonly UdpClient _wsjtx = new(new IPEndPoint(IPAddress.Loopback, 0));
+    private readonly CancellationTokenSource _stop = new();
+    private WsjtxListener _listener = null!;
+    private IPEndPoint _listenerEndPoint = null!;
+
+    public async Task InitializeAsync()
+    {
+        var port = FreePort();
+        _listenerEndPoint = new IPEndPoint(IPAddress.Loopback, port);
+        var env = new TestEnvironment();
+        _listener = new WsjtxListener(
+            Options.Create(new WsjtxOptions { Enabled = true, Address = "127.0.0.1", Port = port }),
+            _pipeline,
+            new SourceStatusRegistry(),
+            new SpotSubscriptions(),
+            new CtyParser(NullLogger<CtyParser>.Instance, env),
+            new BandPlan(Options.Create(new BandPlanOptions()), env, NullLogger<BandPlan>.Instance),
+            NullLogger<WsjtxListener>.Instance);
+        await _listener.StartAsync(_stop.Token);
+        await Eventually(() => _listener.Listening);
+    }
+
+    public async Task DisposeAsync()
+    {
+        _stop.Cancel();
+        await _listener.StopAsync(CancellationToken.None);
+        _wsjtx.Dispose();
+    }
+
+    [Fact]
+    public async Task HeartbeatAndStatus_RegisterTheClient()
+    {
+        await Send(Heartbeat("WSJT-X", "2.6.1"));
+        await Send(Status("WSJT-X", 14_074_000, "FT8", "K1ABC", "FN42"));
+
+        await Eventually(() => _listener.GetClients().Any(c => c.DialFrequencyKhz != null));
+        var client = Assert.Single(_listener.GetClients());
+        Assert.Equal("WSJT-X", client.Id);
+        Assert.Equal("2.6.1", client.Version);
+        Assert.Equal(14074.0, client.DialFrequencyKhz);
+        Assert.Equal("FT8", client.Mode);
+        Assert.Equal("K1ABC", client.DeCall);
+    }
+
+    [Fact]
+    public async Task Decode_SubmitsALocalSpot_AndReplyGoesBackToWsjtx()
+    {
+        await Send(Status("WSJT-X", 14_074_000, "FT8", "K1ABC", "FN42"));
+        await Send(Decode("WSJT-X", "CQ JA1XYZ PM95", deltaFrequencyHz: 1200, snr: -12));
+
+        using var timeout = new CancellationTokenSource(Wait);
+        var spot = await _pipeline.Reader.ReadAsync(timeout.Token);
+        Assert.Equal("JA1XYZ", spot.DxCall);
+        Assert.Equal(14075.2, spot.Frequency);
+        Assert.Equal("20m", spot.Band);
+        Assert.Equal("FT8", spot.Mode);
+        Assert.Equal("K1ABC", spot.Spotter);
+        Assert.Equal("FN42", spot.SpotterGrid);
+        Assert.Equal("PM95", spot.Grid);
+        Assert.Equal(-12, spot.Snr);
+        Assert.Equal(WsjtxListener.SpotSource, spot.Source);
+        Assert.Contains(_listener.GetDecoding(), d => d.Call == "JA1XYZ");
+
+        Assert.True(await _listener.ReplyAsync("JA1XYZ", timeout.Token));
+        var reply = (await _wsjtx.ReceiveAsync(timeout.Token)).Buffer;
+        Assert.Equal(WsjtxProtocol.Magic, BinaryPrimitives.ReadUInt32BigEndian(reply));
+        Assert.Equal((uint)WsjtxMessageType.Reply, BinaryPrimitives.ReadUInt32BigEndian(reply.AsSpan(8)));
+        Assert.Contains("CQ JA1XYZ PM95", Encoding.UTF8.GetString(reply));
+    }
+
+    [Fact]
+    public async Task Decode_OfTheStationsOwnCall_IsNotSpotted()
+    {
+        await Send(Status("WSJT-X", 14_074_000, "FT8", "K1ABC", "FN42"));
+        await Send(Decode("WSJT-X", "CQ K1ABC FN42", deltaFrequencyHz: 1500, snr: 0));
+        await Send(Decode("WSJT-X", "CQ JA1XYZ PM95", deltaFrequencyHz: 1200, snr: -12));
+
+        using var timeout = new CancellationTokenSource(Wait);
+        var spot = await _pipeline.Reader.ReadAsync(timeout.Token);
+        Assert.Equal("JA1XYZ", spot.DxCall);
+    }
+
+    [Fact]
+    public async Task QsoLogged_RaisesOnQsoLogged()
+    {
+        var logged = new TaskCompletionSource<WsjtxQsoLogged>(TaskCreationOptions.RunContinuationsAsynchronously);
+        _listener.OnQsoLogged += qso => logged.TrySetResult(qso);
+
+        var timeOn = new DateTime(2026, 10, 18, 12, 30, 15, DateTimeKind.Utc);
+        var timeOff = timeOn.AddMinutes(2);
+        await Send(QsoLogged("WSJT-X", JulianDay(timeOff), (uint)timeOff.TimeOfDay.TotalMilliseconds,
+            JulianDay(timeOn), (uint)timeOn.TimeOfDay.TotalMilliseconds));
+
+        var qso = await logged.Task.WaitAsync(Wait);
+        Assert.Equal("JA1XYZ", qso.DxCall);
+        Assert.Equal("PM95", qso.DxGrid);
+        Assert.Equal(14_075_200UL, qso.TxFrequencyHz);
+        Assert.Equal("FT8", qso.Mode);
+        Assert.Equal(timeOn, qso.TimeOnUtc);
+        Assert.Equal(timeOff, qso.TimeOffUtc);
+        Assert.Equal(DateTimeKind.Utc, qso.TimeOnUtc.Kind);
+    }
+
+    [Fact]
+    public async Task MalformedDatagrams_AreIgnored_AndTheListenerKeepsRunning()
+    {
+        var logged = false;
+        _listener.OnQsoLogged += _ => logged = true;
+
+        await Send(new byte[] { 1, 2, 3 });
+        await Send(new Datagram(WsjtxMessageType.Heartbeat, "bad magic").UInt32(3).Utf8("2.6.1").ToArray()
+            .Select((b, i) => i == 0 ? (byte)0 : b).ToArray());
+        await Send(new Datagram(WsjtxMessageType.Heartbeat, "truncated").ToArray());
+        await Send(new Datagram(WsjtxMessageType.Heartbeat, "huge string").UInt32(3).UInt32(0x7FFFFFFF).ToArray());
+        // Qt writes an invalid QDate as the minimum qint64; DateTime can't hold it
+        await Send(QsoLogged("bad date", long.MinValue, 0, long.MinValue, 0));
+        await Send(QsoLogged("past 9999", 9_000_000, 0, 9_000_000, 0));
+
+        await Send(Heartbeat("JTDX", "2.2.159"));
+        await Eventually(() => _listener.GetClients().Any(c => c.Id == "JTDX"));
+
+        Assert.True(_listener.Listening);
+        Assert.False(logged);
+        Assert.Equal(new[] { "JTDX" }, _listener.GetClients().Select(c => c.Id));
+    }
+
+    [Fact]
+    public void Parse_ReturnsNullForAnInvalidQDate()
+    {
+        Assert.Null(WsjtxProtocol.Parse(QsoLogged("WSJT-X", long.MinValue, 0, long.MinValue, 0)));
+        Assert.Null(WsjtxProtocol.Parse(QsoLogged("WSJT-X", JulianDay(DateTime.UtcNow), 86_400_000, 0, 0)));
+        Assert.IsType<WsjtxQsoLogged>(WsjtxProtocol.Parse(QsoLogged("WSJT-X", JulianDay(DateTime.UtcNow), 0,
+            JulianDay(DateTime.UtcNow), 0xFFFFFFFF)));
+    }
+
+    private async Task Send(byte[] datagram)
+    {
+        await _wsjtx.SendAsync(datagram, datagram.Length, _listenerEndPoint);
+    }
+
+    private static async Task Eventually(Func<bool> condition)
+    {
+        var deadline = DateTime.UtcNow + Wait;
+        while (!condition())
+        {
+            if (DateTime.UtcNow > deadline) throw new TimeoutException("condition not met in time");
+            await Task.Delay(20);
+        }
+    }
+
+    private static int FreePort()
+    {
+        using var probe = new UdpClient(new IPEndPoint(IPAddress.Loopback, 0));
+        return ((IPEndPoint)probe.Client.LocalEndPoint!).Port;
+    }
+
+    private static long JulianDay(DateTime date) => (long)(date.Date - DateTime.UnixEpoch).TotalDays + 2440588;
+
+    private static byte[] Heartbeat(string id, string version) =>
+        new Datagram(WsjtxMessageType.Heartbeat, id).UInt32(3).Utf8(version).Utf8("").ToArray();
+
+    private static byte[] Status(string id, ulong dialHz, string mode, string deCall, string deGrid) =>
+        new Datagram(WsjtxMessageType.Status, id)
+            .UInt64(dialHz).Utf8(mode).Utf8("").Utf8("").Utf8(mode)
+            .Bool(false).Bool(false).Bool(true)
+            .UInt32(1200).UInt32(1500)
+            .Utf8(deCall).Utf8(deGrid)
+            .ToArray();
+
+    private static byte[] Decode(string id, string message, uint deltaFrequencyHz, int snr) =>
+        new Datagram(WsjtxMessageType.Decode, id)
+            .Bool(true).UInt32((uint)DateTime.UtcNow.TimeOfDay.TotalMilliseconds).Int32(snr).Double(0.1)
+            .UInt32(deltaFrequencyHz).Utf8("~").Utf8(message)
+            .Bool(false).Bool(false)
+            .ToArray();
+
+    private static byte[] QsoLogged(string id, long offDay, uint offMs, long onDay, uint onMs) =>
+        new Datagram(WsjtxMessageType.QsoLogged, id)
+            .DateTime(offDay, offMs)
+            .Utf8("JA1XYZ").Utf8("PM95").UInt64(14_075_200).Utf8("FT8").Utf8("-12").Utf8("-08")
+            .Utf8("100").Utf8("").Utf8("")
+            .DateTime(onDay, onMs)
+            .ToArray();
+
+    // A message as WSJT-X writes it: magic, schema 3, type and id, then big-endian fields
+    private sealed class Datagram
+    {
+        private readonly MemoryStream _stream = new();
+
+        public Datagram(WsjtxMessageType type, string id)
+        {
+            UInt32(WsjtxProtocol.Magic).UInt32(3).UInt32((uint)type).Utf8(id);
+        }
+
+        public Datagram Byte(byte value)
+        {
+            _stream.WriteByte(value);
+            return this;
+        }
+
+        public Datagram Bool(bool value) => Byte(value ? (byte)1 : (byte)0);
+
+        public Datagram UInt32(uint value)
+        {
+            var buffer = new byte[4];
+            BinaryPrimitives.WriteUInt32BigEndian(buffer, value);
+            _stream.Write(buffer);
+            return this;
+        }
+
+        public Datagram Int32(int value) => UInt32((uint)value);
+
+        public Datagram UInt64(ulong value)
+        {
+            var buffer = new byte[8];
+            BinaryPrimitives.WriteUInt64BigEndian(buffer, value);
+            _stream.Write(buffer);
+            return this;
+        }
+
+        public Datagram Double(double value) => UInt64((ulong)BitConverter.DoubleToInt64Bits(value));
+
+        public Datagram Utf8(string value)
+        {
+            var bytes = Encoding.UTF8.GetBytes(value);
+            UInt32((uint)bytes.Length);
+            _stream.Write(bytes);
+            return this;
+        }
+
+        // QDateTime: Julian day, milliseconds since midnight, time spec 1 (UTC)
+        public Datagram DateTime(long julianDay, uint ms) => UInt64((ulong)julianDay).UInt32(ms).Byte(1);
+
+        public byte[] ToArray() => _stream.ToArray();
+    }
+}
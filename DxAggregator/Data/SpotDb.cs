@@ -1,4 +1,5 @@
 using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
 using DxAggregator.Models;
 
 namespace DxAggregator.Data;
@@ -33,21 +34,40 @@ public class SpotDb : DbContext
 }
 
 /// <summary>
-/// Background service that prunes spots older than 24 hours every 15 minutes.
+/// Spot history settings ("History" in appsettings.json). Off: spots.db is recreated on each
+/// start and spots expire after 20 minutes. On: spots are kept for RetentionDays.
+/// </summary>
+public class HistoryOptions
+{
+    public bool Enabled { get; set; }
+    public int RetentionDays { get; set; } = 14;
+}
+
+/// <summary>
+/// Background service that prunes expired spots every 5 minutes: older than 20 minutes,
+/// or older than the retention period when history is on.
 /// </summary>
 public class SpotPruneService : BackgroundService
 {
+    /// <summary>How long a spot stays in the live grid (and in the database without history).</summary>
+    public static readonly TimeSpan LiveSpotAge = TimeSpan.FromMinutes(20);
+
     private readonly IServiceScopeFactory _scopeFactory;
+    private readonly HistoryOptions _history;
     private readonly ILogger<SpotPruneService> _logger;
     private static readonly TimeSpan PruneInterval = TimeSpan.FromMinutes(5);
-    private static readonly TimeSpan MaxSpotAge = TimeSpan.FromMinutes(20);
 
-    public SpotPruneService(IServiceScopeFactory scopeFactory, ILogger<SpotPruneService> logger)
+    public SpotPruneService(IServiceScopeFactory scopeFactory, IOptions<HistoryOptions> history,
+        ILogger<SpotPruneService> logger)
     {
         _scopeFactory = scopeFactory;
+        _history = history.Value;
         _logger = logger;
     }
 
+    private TimeSpan MaxSpotAge =>
+        _history.Enabled ? TimeSpan.FromDays(Math.Max(_history.RetentionDays, 1)) : LiveSpotAge;
+
     protected override async Task ExecuteAsync(CancellationToken stoppingToken)
     {
         while (!stoppingToken.IsCancellationRequested)
@@ -74,15 +94,11 @@ public class SpotPruneService : BackgroundService
         var db = scope.ServiceProvider.GetRequiredService<SpotDb>();
         var cutoff = DateTime.UtcNow - MaxSpotAge;
 
-        var oldSpots = await db.Spots
-            .Where(s => s.Timestamp < cutoff)
-            .ToListAsync(ct);
+        // Plain DELETE: with history on, a day's worth of expired spots is too many to load as entities
+        var pruned = await db.Database.ExecuteSqlInterpolatedAsync(
+            $"DELETE FROM spots WHERE Timestamp < {cutoff}", ct);
 
-        if (oldSpots.Count > 0)
-        {
-            db.Spots.RemoveRange(oldSpots);
-            await db.SaveChangesAsync(ct);
-            _logger.LogInformation("Pruned {Count} spots older than 20min", oldSpots.Count);
-        }
+        if (pruned > 0)
+            _logger.LogInformation("Pruned {Count} spots older than {Cutoff:u}", pruned, cutoff);
     }
 }
@@ -1,20 +1,44 @@
 using Microsoft.AspNetCore.SignalR;
+using DxAggregator.Models;
+using DxAggregator.Services;
 
 namespace DxAggregator.Hubs;
 
 /// <summary>
 /// SignalR hub for pushing real-time spots to browser clients.
-/// Clients connect to /hubs/spots and receive "NewSpot" messages.
+/// Clients connect to /hubs/spots, call Subscribe(filter) with their band/mode/prefix
+/// filter, and receive "NewSpot" messages for the spots that match it.
 /// </summary>
 public class SpotHub : Hub
 {
+    private readonly SpotSubscriptions _subscriptions;
+    private readonly ILogger<SpotHub> _logger;
+
+    public SpotHub(SpotSubscriptions subscriptions, ILogger<SpotHub> logger)
+    {
+        _subscriptions = subscriptions;
+        _logger = logger;
+    }
+
     public override async Task OnConnectedAsync()
     {
+        _subscriptions.Add(Context.ConnectionId);
         await base.OnConnectedAsync();
     }
 
     public override async Task OnDisconnectedAsync(Exception? exception)
     {
+        _subscriptions.Remove(Context.ConnectionId);
         await base.OnDisconnectedAsync(exception);
     }
+
+    /// <summary>
+    /// Replaces this connection's filter. Called on connect and whenever the page's filters change.
+    /// </summary>
+    public void Subscribe(SpotFilter filter)
+    {
+        _subscriptions.Set(Context.ConnectionId, filter);
+        _logger.LogDebug("Connection {ConnectionId} subscribed: bands [{Bands}], modes [{Modes}], prefix {Prefix}, {WatchCount} watch rules",
+            Context.ConnectionId, string.Join(",", filter.Bands), string.Join(",", filter.Modes), filter.Prefix ?? "(any)", filter.Watch.Count);
+    }
 }
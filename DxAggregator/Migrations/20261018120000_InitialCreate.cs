@@ -0,0 +1,64 @@
+using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace DxAggregator.Migrations
+{
+    public partial class InitialCreate : Migration
+    {
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "spots",
+                columns: table => new
+                {
+                    Id = table.Column<long>(type: "INTEGER", nullable: false)
+                        .Annotation("Sqlite:Autoincrement", true),
+                    DxCall = table.Column<string>(type: "TEXT", nullable: false),
+                    Frequency = table.Column<double>(type: "REAL", nullable: false),
+                    Band = table.Column<string>(type: "TEXT", nullable: false),
+                    Mode = table.Column<string>(type: "TEXT", nullable: false),
+                    Spotter = table.Column<string>(type: "TEXT", nullable: false),
+                    Snr = table.Column<int>(type: "INTEGER", nullable: true),
+                    Timestamp = table.Column<DateTime>(type: "TEXT", nullable: false),
+                    Source = table.Column<string>(type: "TEXT", nullable: false),
+                    DxccEntity = table.Column<string>(type: "TEXT", nullable: true),
+                    DxccCode = table.Column<int>(type: "INTEGER", nullable: true),
+                    Grid = table.Column<string>(type: "TEXT", nullable: true),
+                    DistanceKm = table.Column<double>(type: "REAL", nullable: true),
+                    Bearing = table.Column<double>(type: "REAL", nullable: true),
+                    DxLatitude = table.Column<double>(type: "REAL", nullable: true),
+                    DxLongitude = table.Column<double>(type: "REAL", nullable: true),
+                    LotwUser = table.Column<bool>(type: "INTEGER", nullable: true),
+                    DesirabilityScore = table.Column<int>(type: "INTEGER", nullable: false),
+                    Comment = table.Column<string>(type: "TEXT", nullable: true)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_spots", x => x.Id);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_spots_dedup",
+                table: "spots",
+                columns: new[] { "DxCall", "Frequency", "Timestamp" });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_spots_filter",
+                table: "spots",
+                columns: new[] { "Band", "Mode", "Timestamp" });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_spots_timestamp",
+                table: "spots",
+                column: "Timestamp");
+        }
+
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "spots");
+        }
+    }
+}
@@ -0,0 +1,55 @@
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace DxAggregator.Migrations
+{
+    public partial class AddSpotterLocation : Migration
+    {
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "SpotterGrid",
+                table: "spots",
+                type: "TEXT",
+                nullable: true);
+
+            migrationBuilder.AddColumn<double>(
+                name: "SpotterLatitude",
+                table: "spots",
+                type: "REAL",
+                nullable: true);
+
+            migrationBuilder.AddColumn<double>(
+                name: "SpotterLongitude",
+                table: "spots",
+                type: "REAL",
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "SpotterContinent",
+                table: "spots",
+                type: "TEXT",
+                nullable: true);
+        }
+
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "SpotterGrid",
+                table: "spots");
+
+            migrationBuilder.DropColumn(
+                name: "SpotterLatitude",
+                table: "spots");
+
+            migrationBuilder.DropColumn(
+                name: "SpotterLongitude",
+                table: "spots");
+
+            migrationBuilder.DropColumn(
+                name: "SpotterContinent",
+                table: "spots");
+        }
+    }
+}
@@ -0,0 +1,119 @@
+// <auto-generated />
+using System;
+using DxAggregator.Data;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.Infrastructure;
+using Microsoft.EntityFrameworkCore.Storage.ValueConversion;
+
+#nullable disable
+
+namespace DxAggregator.Migrations
+{
+    [DbContext(typeof(SpotDb))]
+    partial class SpotDbModelSnapshot : ModelSnapshot
+    {
+        protected override void BuildModel(ModelBuilder modelBuilder)
+        {
+#pragma warning disable 612, 618
+            modelBuilder.HasAnnotation("ProductVersion", "6.0.36");
+
+            modelBuilder.Entity("DxAggregator.Models.SpotRecord", b =>
+                {
+                    b.Property<long>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("INTEGER");
+
+                    b.Property<string>("Band")
+                        .IsRequired()
+                        .HasColumnType("TEXT");
+
+                    b.Property<double?>("Bearing")
+                        .HasColumnType("REAL");
+
+                    b.Property<string>("Comment")
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("Continent")
+                        .HasColumnType("TEXT");
+
+                    b.Property<int?>("CqZone")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<int>("DesirabilityScore")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<double?>("DistanceKm")
+                        .HasColumnType("REAL");
+
+                    b.Property<string>("DxCall")
+                        .IsRequired()
+                        .HasColumnType("TEXT");
+
+                    b.Property<double?>("DxLatitude")
+                        .HasColumnType("REAL");
+
+                    b.Property<double?>("DxLongitude")
+                        .HasColumnType("REAL");
+
+                    b.Property<int?>("DxccCode")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<string>("DxccEntity")
+                        .HasColumnType("TEXT");
+
+                    b.Property<double>("Frequency")
+                        .HasColumnType("REAL");
+
+                    b.Property<string>("Grid")
+                        .HasColumnType("TEXT");
+
+                    b.Property<bool?>("LotwUser")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<string>("Mode")
+                        .IsRequired()
+                        .HasColumnType("TEXT");
+
+                    b.Property<int?>("Snr")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<string>("Source")
+                        .IsRequired()
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("Spotter")
+                        .IsRequired()
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("SpotterContinent")
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("SpotterGrid")
+                        .HasColumnType("TEXT");
+
+                    b.Property<double?>("SpotterLatitude")
+                        .HasColumnType("REAL");
+
+                    b.Property<double?>("SpotterLongitude")
+                        .HasColumnType("REAL");
+
+                    b.Property<DateTime>("Timestamp")
+                        .HasColumnType("TEXT");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("Timestamp")
+                        .HasDatabaseName("IX_spots_timestamp");
+
+                    b.HasIndex("Band", "Mode", "Timestamp")
+                        .HasDatabaseName("IX_spots_filter");
+
+                    b.HasIndex("DxCall", "Frequency", "Timestamp")
+                        .HasDatabaseName("IX_spots_dedup");
+
+                    b.ToTable("spots", (string)null);
+                });
+#pragma warning restore 612, 618
+        }
+    }
+}
@@ -0,0 +1,125 @@
+using DxAggregator.Services;
+
+namespace DxAggregator.Models;
+
+/// <summary>
+/// A browser's live-spot subscription, sent through SpotHub.Subscribe().
+/// Empty lists and null values match everything. A spot is delivered when it passes the
+/// source / band / mode / prefix / distance / continent / zone / entity / spotter filter, or when it
+/// matches any Watch rule, so DX alerts still fire for stations outside the grid's filter.
+/// Distances are from the browser's own QTH (Latitude, Longitude), not the server's.
+/// </summary>
+public class SpotFilter
+{
+    public List<string> Bands { get; set; } = new();
+    public List<string> Modes { get; set; } = new();
+    public string? Prefix { get; set; }
+    public double? MinDistanceKm { get; set; }
+    public double? Latitude { get; set; }
+    public double? Longitude { get; set; }
+    /// <summary>SpotRecord.Source values the user has switched off (source filter).</summary>
+    public List<string> ExcludeSources { get; set; } = new();
+    /// <summary>Two-letter continent codes (AF, AN, AS, EU, NA, OC, SA).</summary>
+    public List<string> Continents { get; set; } = new();
+    public List<int> CqZones { get; set; } = new();
+    /// <summary>DXCC entity names as in cty.dat.</summary>
+    public List<string> Entities { get; set; } = new();
+    /// <summary>"Heard near me": only spots from spotters within this many km of the browser's QTH.</summary>
+    public double? SpotterMaxDistanceKm { get; set; }
+    /// <summary>Only spots from spotters on this continent (the browser's own, for "same continent").</summary>
+    public string? SpotterContinent { get; set; }
+    public List<SpotWatch> Watch { get; set; } = new();
+
+    public bool Matches(SpotRecord spot)
+    {
+        var distanceKm = DistanceKm(spot);
+        return MatchesFilter(spot, distanceKm) || Watch.Any(w => w.Matches(spot, distanceKm));
+    }
+
+    /// <summary>True if the spot matches one of the DX alert rules.</summary>
+    public bool IsWatched(SpotRecord spot)
+    {
+        var distanceKm = DistanceKm(spot);
+        return Watch.Any(w => w.Matches(spot, distanceKm));
+    }
+
+    /// <summary>Km from the browser's QTH to the station, or null if either isn't known.</summary>
+    public double? DistanceKm(SpotRecord spot)
+    {
+        if (Latitude == null || Longitude == null || spot.DxLatitude == null || spot.DxLongitude == null)
+            return null;
+        return Math.Round(CtyParser.HaversineKm(Latitude.Value, Longitude.Value,
+            spot.DxLatitude.Value, spot.DxLongitude.Value));
+    }
+
+    /// <summary>The stored score plus the distance points from the browser's QTH.</summary>
+    public int Score(SpotRecord spot) => spot.DesirabilityScore + SpotScorer.DistancePoints(DistanceKm(spot));
+
+    /// <summary>Km from the browser's QTH to the spotter, or null if either isn't known.</summary>
+    public double? SpotterDistanceKm(SpotRecord spot)
+    {
+        if (Latitude == null || Longitude == null || spot.SpotterLatitude == null || spot.SpotterLongitude == null)
+            return null;
+        return Math.Round(CtyParser.HaversineKm(Latitude.Value, Longitude.Value,
+            spot.SpotterLatitude.Value, spot.SpotterLongitude.Value));
+    }
+
+    private bool MatchesFilter(SpotRecord spot, double? distanceKm)
+    {
+        if (ExcludeSources.Contains(spot.Source, StringComparer.OrdinalIgnoreCase))
+            return false;
+        if (Bands.Count > 0 && !Bands.Contains(spot.Band, StringComparer.OrdinalIgnoreCase))
+            return false;
+        if (Modes.Count > 0 && !Modes.Contains(spot.Mode, StringComparer.OrdinalIgnoreCase))
+            return false;
+        if (!string.IsNullOrWhiteSpace(Prefix) && !spot.DxCall.StartsWith(Prefix.Trim(), StringComparison.OrdinalIgnoreCase))
+            return false;
+        if (MinDistanceKm > 0 && (distanceKm == null || distanceKm < MinDistanceKm))
+            return false;
+        if (Continents.Count > 0 && !Continents.Contains(spot.Continent ?? "", StringComparer.OrdinalIgnoreCase))
+            return false;
+        if (CqZones.Count > 0 && (spot.CqZone == null || !CqZones.Contains(spot.CqZone.Value)))
+            return false;
+        if (Entities.Count > 0 && !Entities.Contains(spot.DxccEntity ?? "", StringComparer.OrdinalIgnoreCase))
+            return false;
+        if (SpotterMaxDistanceKm > 0 && !(SpotterDistanceKm(spot) <= SpotterMaxDistanceKm))
+            return false;
+        if (!string.IsNullOrWhiteSpace(SpotterContinent) &&
+            !string.Equals(spot.SpotterContinent, SpotterContinent.Trim(), StringComparison.OrdinalIgnoreCase))
+            return false;
+        return true;
+    }
+}
+
+/// <summary>
+/// Server-side copy of a DX alert rule from app.js (see alertRuleMatches there).
+/// </summary>
+public class SpotWatch
+{
+    public string? Call { get; set; }
+    public string? Entity { get; set; }
+    public string? Band { get; set; }
+    public string? Mode { get; set; }
+    public double? MinDistanceKm { get; set; }
+
+    /// <summary>distanceKm is from the QTH of the browser the rule came from.</summary>
+    public bool Matches(SpotRecord spot, double? distanceKm)
+    {
+        // A rule with no conditions would turn the subscription into a firehose
+        if (string.IsNullOrEmpty(Call) && string.IsNullOrEmpty(Entity) && string.IsNullOrEmpty(Band) &&
+            string.IsNullOrEmpty(Mode) && !(MinDistanceKm > 0))
+            return false;
+
+        if (!string.IsNullOrEmpty(Call) && !spot.DxCall.StartsWith(Call, StringComparison.OrdinalIgnoreCase))
+            return false;
+        if (!string.IsNullOrEmpty(Entity) && !string.Equals(spot.DxccEntity, Entity, StringComparison.OrdinalIgnoreCase))
+            return false;
+        if (!string.IsNullOrEmpty(Band) && spot.Band != Band)
+            return false;
+        if (!string.IsNullOrEmpty(Mode) && spot.Mode != Mode)
+            return false;
+        if (MinDistanceKm > 0 && (distanceKm == null || distanceKm < MinDistanceKm))
+            return false;
+        return true;
+    }
+}
@@ -1,6 +1,11 @@
+using System.Globalization;
+using System.Net.Sockets;
+using System.Text;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
 using DxAggregator.Data;
 using DxAggregator.Hubs;
+using DxAggregator.Models;
 using DxAggregator.Services;
 
 var builder = WebApplication.CreateBuilder(args);
@@ -9,20 +14,57 @@ var builder = WebApplication.CreateBuilder(args);
 builder.Services.AddDbContext<SpotDb>(options =>
     options.UseSqlite("Data Source=spots.db"));
 
+// Optional spot history (keep spots for days instead of 20 minutes)
+builder.Services.Configure<HistoryOptions>(builder.Configuration.GetSection("History"));
+
 // Core pipeline (singleton — all data sources feed into it)
 builder.Services.AddSingleton<SpotPipeline>();
 
 // Callsign-to-location lookup via cty.dat
 builder.Services.AddSingleton<CtyParser>();
 
-// User location (single-user desktop app)
-builder.Services.AddSingleton<UserLocation>();
+// Band edges, sub-bands and digital dial frequencies for the IARU region (wwwroot/bandplans)
+builder.Services.Configure<BandPlanOptions>(builder.Configuration.GetSection("BandPlan"));
+builder.Services.AddSingleton<BandPlan>();
+
+// The aggregator's own QTH (optional; each browser keeps its own for distances and bearings)
+builder.Services.AddSingleton(_ => UserLocation.FromGrid(builder.Configuration["Location:Grid"]));
+
+// Radio control via Hamlib rigctld (tune to a spot from the grid)
+builder.Services.Configure<RigOptions>(builder.Configuration.GetSection("Rig"));
+builder.Services.AddSingleton<RigctldClient>();
+builder.Services.AddSingleton<RigStatusMonitor>();
+
+// Per-connection SignalR spot filters (SpotHub.Subscribe)
+builder.Services.AddSingleton<SpotSubscriptions>();
+
+// Spot feeds report their connection state here (/api/sources, "SourceStatus" pushes)
+builder.Services.AddSingleton<SourceStatusRegistry>();
+
+// Telnet DX cluster nodes (second spot source alongside G7VRD)
+builder.Services.Configure<TelnetClusterOptions>(builder.Configuration.GetSection("Telnet"));
+
+// Local telnet cluster port for logging programs (N1MM+, Log4OM, DXLab)
+builder.Services.Configure<TelnetServerOptions>(builder.Configuration.GetSection("TelnetServer"));
+builder.Services.AddSingleton<TelnetSpotServer>();
+
+// Per-band, per-continent activity over the last hour (/api/spots/conditions)
+builder.Services.AddSingleton<BandActivity>();
+
+// WSJT-X / JTDX over UDP: local decodes in, replies and callsign highlights out
+builder.Services.Configure<WsjtxOptions>(builder.Configuration.GetSection("Wsjtx"));
+builder.Services.AddSingleton<WsjtxListener>();
 
 // Background services
 builder.Services.AddHostedService<SpotProcessor>();
 builder.Services.AddHostedService<G7VrdClient>();
+builder.Services.AddHostedService<TelnetClusterClient>();
 builder.Services.AddHostedService<SpotBroadcaster>();
 builder.Services.AddHostedService<SpotPruneService>();
+builder.Services.AddHostedService(sp => sp.GetRequiredService<TelnetSpotServer>());
+builder.Services.AddHostedService(sp => sp.GetRequiredService<BandActivity>());
+builder.Services.AddHostedService(sp => sp.GetRequiredService<WsjtxListener>());
+builder.Services.AddHostedService(sp => sp.GetRequiredService<RigStatusMonitor>());
 
 // SignalR for browser WebSocket push
 builder.Services.AddSignalR();
@@ -52,12 +94,15 @@ builder.Services.AddCors(options =>
 
 var app = builder.Build();
 
-// Fresh database on each startup (spots are ephemeral with 20min expiry)
+// Fresh database on each startup (spots are ephemeral with 20min expiry) unless history is on,
+// in which case spots.db is kept and migrated. A spots.db from before migrations is recreated.
 using (var scope = app.Services.CreateScope())
 {
     var db = scope.ServiceProvider.GetRequiredService<SpotDb>();
-    db.Database.EnsureDeleted();
-    db.Database.EnsureCreated();
+    var history = scope.ServiceProvider.GetRequiredService<IOptions<HistoryOptions>>().Value;
+    if (!history.Enabled || !db.Database.GetAppliedMigrations().Any())
+        db.Database.EnsureDeleted();
+    db.Database.Migrate();
 }
 
 // Swagger UI in development
@@ -73,26 +118,44 @@ app.UseStaticFiles();
 
 // --- REST API Endpoints ---
 
-// GET /api/spots — recent spots with optional filtering
-app.MapGet("/api/spots", async (SpotDb db,
-    string? band, string? mode, string? call, int? limit) =>
+// GET /api/spots — recent spots with optional filtering (band, mode, call prefix or, with
+// exactCall=true, the exact call, minimum score, minimum distance, continent, CQ zone, DXCC entity,
+// and "heard near me": spotters within spotterMaxDistance km of the caller's QTH or on spotterContinent).
+// Without from/to only live spots (last 20 minutes) are returned; from/to (UTC, ISO 8601) search
+// the history instead. Newest first, "limit" per page. The next page is the spots older than the
+// last one returned: pass its timestamp and id as beforeTime and beforeId.
+// Distance, bearing and the distance part of the score are from lat/lon (the caller's QTH), or the
+// aggregator's own QTH if not given.
+app.MapGet("/api/spots", async (SpotDb db, UserLocation store,
+    string? band, string? mode, string? call, bool? exactCall, int? minScore, double? minDistance, string? excludeSource,
+    string? continent, string? cqZone, string? entity, double? spotterMaxDistance, string? spotterContinent,
+    string? from, string? to, string? beforeTime, int? beforeId, int? limit, double? lat, double? lon) =>
 {
     var take = Math.Clamp(limit ?? 50, 1, 500);
 
-    var query = db.Spots.AsQueryable();
-
-    if (!string.IsNullOrWhiteSpace(band))
-        query = query.Where(s => s.Band == band);
-
-    if (!string.IsNullOrWhiteSpace(mode))
-        query = query.Where(s => s.Mode == mode.ToUpperInvariant());
-
-    if (!string.IsNullOrWhiteSpace(call))
-        query = query.Where(s => s.DxCall.StartsWith(call.ToUpperInvariant()));
-
-    var spots = await query
+    if (!TryParseUtc(from, out var fromUtc) || !TryParseUtc(to, out var toUtc))
+        return Results.BadRequest(new { error = "from and to must be UTC times, e.g. 2026-10-18T06:00Z" });
+    if (!TryParseUtc(beforeTime, out var beforeUtc) || (beforeUtc == null) != (beforeId == null))
+        return Results.BadRequest(new { error = "beforeTime and beforeId must be given together: the timestamp and id of the last spot of the previous page" });
+    if (!TryParseZones(cqZone, out var zones))
+        return Results.BadRequest(new { error = "cqZone must be zone numbers 1-40 or ranges, e.g. 26-30,33" });
+    if (!TryGetOrigin(lat, lon, store, out var origin))
+        return Results.BadRequest(new { error = "lat and lon must be given together, in degrees (lat -90 to 90, lon -180 to 180)" });
+
+    var query = FilterSpots(db.Spots, fromUtc, toUtc, band, mode, call, exactCall == true, excludeSource,
+            continent, zones, entity, spotterContinent);
+    if (beforeUtc != null)
+    {
+        // Keyset paging on the sort order, so a page costs the same however far back it is
+        var time = beforeUtc.Value;
+        var id = beforeId!.Value;
+        query = query.Where(s => s.Timestamp < time || (s.Timestamp == time && s.Id < id));
+    }
+    query = query
         .OrderByDescending(s => s.Timestamp)
-        .Take(take)
+        .ThenByDescending(s => s.Id);
+
+    var spots = (await TakeSpotsAsync(query, origin, minScore, minDistance, spotterMaxDistance, take))
         .Select(s => new
         {
             s.Id,
@@ -105,19 +168,101 @@ app.MapGet("/api/spots", async (SpotDb db,
             Timestamp = s.Timestamp.ToString("o"),
             s.Source,
             s.DxccEntity,
+            s.Continent,
+            s.CqZone,
             s.Grid,
+            s.DxLatitude,
+            s.DxLongitude,
+            s.SpotterGrid,
+            s.SpotterLatitude,
+            s.SpotterLongitude,
+            s.SpotterContinent,
             s.DistanceKm,
             s.Bearing,
             s.Comment,
             s.DesirabilityScore
-        })
-        .ToListAsync();
+        });
 
     return Results.Ok(spots);
 })
 .WithName("GetSpots")
 ;
 
+// GET /api/spots/export?format=csv|json|adif — every spot matching the /api/spots filters and
+// time range (live spots without from/to) as a download, newest first
+const int MaxExportSpots = 50000;
+app.MapGet("/api/spots/export", async (SpotDb db, UserLocation store, string? format,
+    string? band, string? mode, string? call, bool? exactCall, int? minScore, double? minDistance, string? excludeSource,
+    string? continent, string? cqZone, string? entity, double? spotterMaxDistance, string? spotterContinent,
+    string? from, string? to, double? lat, double? lon) =>
+{
+    format = (format ?? "csv").ToLowerInvariant();
+    if (format == "adi") format = "adif";
+    if (!SpotExport.Formats.Contains(format))
+        return Results.BadRequest(new { error = "format must be csv, json or adif" });
+
+    if (!TryParseUtc(from, out var fromUtc) || !TryParseUtc(to, out var toUtc))
+        return Results.BadRequest(new { error = "from and to must be UTC times, e.g. 2026-10-18T06:00Z" });
+    if (!TryParseZones(cqZone, out var zones))
+        return Results.BadRequest(new { error = "cqZone must be zone numbers 1-40 or ranges, e.g. 26-30,33" });
+    if (!TryGetOrigin(lat, lon, store, out var origin))
+        return Results.BadRequest(new { error = "lat and lon must be given together, in degrees (lat -90 to 90, lon -180 to 180)" });
+
+    var query = FilterSpots(db.Spots, fromUtc, toUtc, band, mode, call, exactCall == true, excludeSource,
+            continent, zones, entity, spotterContinent)
+        .OrderByDescending(s => s.Timestamp)
+        .ThenByDescending(s => s.Id);
+    var spots = await TakeSpotsAsync(query, origin, minScore, minDistance, spotterMaxDistance, MaxExportSpots);
+
+    var fileName = $"dx-spots-{DateTime.UtcNow:yyyyMMdd-HHmm}.{SpotExport.FileExtension(format)}";
+    return Results.File(Encoding.UTF8.GetBytes(SpotExport.Write(format, spots)),
+        SpotExport.ContentType(format), fileName);
+})
+.WithName("ExportSpots")
+;
+
+// POST /api/spots/export?format=csv|json|adif — the spots in the body (as /api/spots returns
+// them) as a download, in the order given. The page exports what it shows this way, after its
+// own filters, so its files are written by SpotExport like the GET export's.
+app.MapPost("/api/spots/export", (string? format, List<SpotRecord> spots) =>
+{
+    format = (format ?? "csv").ToLowerInvariant();
+    if (format == "adi") format = "adif";
+    if (!SpotExport.Formats.Contains(format))
+        return Results.BadRequest(new { error = "format must be csv, json or adif" });
+    if (spots.Count > MaxExportSpots)
+        return Results.BadRequest(new { error = $"at most {MaxExportSpots} spots can be exported at once" });
+
+    var fileName = $"dx-spots-{DateTime.UtcNow:yyyyMMdd-HHmm}.{SpotExport.FileExtension(format)}";
+    return Results.File(Encoding.UTF8.GetBytes(SpotExport.Write(format, spots)),
+        SpotExport.ContentType(format), fileName);
+})
+.WithName("ExportPostedSpots")
+;
+
+// GET /api/history — whether spot history is kept, for how long, and the oldest stored spot
+app.MapGet("/api/history", async (SpotDb db, IOptions<HistoryOptions> options) =>
+{
+    var history = options.Value;
+    var oldest = await db.Spots.OrderBy(s => s.Timestamp).Select(s => (DateTime?)s.Timestamp).FirstOrDefaultAsync();
+    return Results.Ok(new
+    {
+        enabled = history.Enabled,
+        retentionDays = history.Enabled ? history.RetentionDays : 0,
+        oldest = oldest?.ToString("o")
+    });
+})
+.WithName("GetHistoryInfo")
+;
+
+// GET /api/sources — connection state of each spot feed and the spot sources it provides
+app.MapGet("/api/sources", (SourceStatusRegistry sources) =>
+{
+    return Results.Ok(sources.GetAll().Select(SpotBroadcaster.ToDto));
+})
+.WithName("GetSources")
+;
+
 // GET /api/spots/count — total spot count and per-band breakdown
 app.MapGet("/api/spots/count", async (SpotDb db) =>
 {
@@ -132,6 +277,40 @@ app.MapGet("/api/spots/count", async (SpotDb db) =>
 .WithName("GetSpotCount")
 ;
 
+// GET /api/spots/conditions — band activity over the last hour: spots per band and continent
+// in the last 15 and 60 minutes, 5-minute buckets, farthest distance heard (from lat/lon, or the
+// aggregator's own QTH) and trend
+app.MapGet("/api/spots/conditions", (BandActivity activity, UserLocation store, double? lat, double? lon) =>
+{
+    if (!TryGetOrigin(lat, lon, store, out var origin))
+        return Results.BadRequest(new { error = "lat and lon must be given together, in degrees (lat -90 to 90, lon -180 to 180)" });
+
+    return Results.Ok(new
+    {
+        generated = DateTime.UtcNow.ToString("o"),
+        bands = activity.GetConditions(origin).Select(b => new
+        {
+            b.Total.Band,
+            b.Total.Last15,
+            b.Total.Last60,
+            b.Total.FarthestKm,
+            b.Total.Trend,
+            b.Total.Buckets,
+            Continents = b.Continents.Select(c => new
+            {
+                c.Continent,
+                c.Last15,
+                c.Last60,
+                c.FarthestKm,
+                c.Trend,
+                c.Buckets
+            })
+        })
+    });
+})
+.WithName("GetBandConditions")
+;
+
 // GET /api/spots/bands — list of active bands (have spots in last hour)
 app.MapGet("/api/spots/bands", async (SpotDb db) =>
 {
@@ -147,69 +326,235 @@ app.MapGet("/api/spots/bands", async (SpotDb db) =>
 .WithName("GetActiveBands")
 ;
 
-// POST /api/location — set user location from browser geolocation
-app.MapPost("/api/location", async (SpotDb db, UserLocation store, CtyParser cty,
-    double lat, double lon) =>
+// POST /api/callsign/entities — resolve DXCC entity names for a batch of callsigns
+// (used by the browser's ADIF log import so worked entities match spot DxccEntity names)
+app.MapPost("/api/callsign/entities", (CtyParser cty, string[] calls) =>
 {
-    store.Latitude = lat;
-    store.Longitude = lon;
-    store.GridSquare = CtyParser.LatLonToGrid(lat, lon);
+    var entities = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+    foreach (var raw in calls)
+    {
+        if (string.IsNullOrWhiteSpace(raw)) continue;
+        var call = raw.Trim().ToUpperInvariant();
+        if (entities.ContainsKey(call)) continue;
 
-    // Recalculate distance for all existing spots that have DxLatitude/DxLongitude
-    var spots = await db.Spots
-        .Where(s => s.DxLatitude != null && s.DxLongitude != null)
-        .ToListAsync();
+        var lookup = cty.LookupCallsign(call);
+        if (lookup != null)
+            entities[call] = lookup.Value.Entity;
+    }
+
+    return Results.Ok(entities);
+})
+.WithName("LookupCallsignEntities")
+;
+
+// GET /api/entities — DXCC entity names from cty.dat, sorted
+app.MapGet("/api/entities", (CtyParser cty) => Results.Ok(cty.EntityNames))
+.WithName("GetEntities")
+;
+
+// GET /api/bandplan — the configured band plan: bands in frequency order with their sub-band
+// segments and digital dial frequencies, and the modes offered (the page builds its filters from it)
+app.MapGet("/api/bandplan", (BandPlan bandPlan) => Results.Ok(bandPlan.Plan))
+.WithName("GetBandPlan")
+;
 
-    foreach (var s in spots)
+// GET /api/callsign/{call}?grid=&lat=&lon= — cty.dat details for one call (entity, continent, zones,
+// UTC offset) with short- and long-path bearing and distance from lat/lon (or the aggregator's own
+// QTH). The spot's grid, when known, places the station more precisely than the entity's centre.
+app.MapGet("/api/callsign/{call}", (CtyParser cty, UserLocation store, string call, string? grid,
+    double? lat, double? lon) =>
+{
+    if (!TryGetOrigin(lat, lon, store, out var origin))
+        return Results.BadRequest(new { error = "lat and lon must be given together, in degrees (lat -90 to 90, lon -180 to 180)" });
+
+    call = call.Trim().ToUpperInvariant();
+    var lookup = cty.LookupCallsign(call);
+    if (lookup == null)
+        return Results.NotFound(new { error = $"{call} is not in cty.dat" });
+
+    var match = lookup.Value;
+    var gridPosition = CtyParser.GridToLatLon(grid);
+    var position = gridPosition ?? (match.Lat, match.Lon);
+
+    object? shortPath = null, longPath = null;
+    if (origin != null)
     {
-        s.DistanceKm = Math.Round(CtyParser.HaversineKm(lat, lon, s.DxLatitude!.Value, s.DxLongitude!.Value));
-        s.Bearing = Math.Round(CtyParser.BearingDeg(lat, lon, s.DxLatitude!.Value, s.DxLongitude!.Value));
+        var km = CtyParser.HaversineKm(origin.Value.Lat, origin.Value.Lon, position.Lat, position.Lon);
+        var bearing = CtyParser.BearingDeg(origin.Value.Lat, origin.Value.Lon, position.Lat, position.Lon);
+        shortPath = new { bearing = Math.Round(bearing), distanceKm = Math.Round(km) };
+        // The long way round: opposite heading, the rest of the great circle
+        longPath = new { bearing = Math.Round((bearing + 180) % 360), distanceKm = Math.Round(2 * Math.PI * CtyParser.EarthRadiusKm - km) };
     }
 
-    await db.SaveChangesAsync();
+    return Results.Ok(new
+    {
+        call,
+        entity = match.Entity,
+        prefix = match.PrimaryPrefix,
+        continent = match.Continent,
+        cqZone = match.CqZone,
+        ituZone = match.ItuZone,
+        utcOffset = match.UtcOffset,
+        latitude = position.Lat,
+        longitude = position.Lon,
+        grid = gridPosition != null ? grid!.ToUpperInvariant() : null,
+        shortPath,
+        longPath
+    });
+})
+.WithName("LookupCallsign")
+;
+
+// POST /api/location — set the aggregator's own QTH (optional; the page keeps its own and doesn't
+// call this). It is only the default origin for the distance, bearing and distance points of API
+// callers that send no lat/lon; stored spots are not changed.
+app.MapPost("/api/location", (UserLocation store, double lat, double lon) =>
+{
+    if (!TryGetOrigin(lat, lon, store, out _))
+        return Results.BadRequest(new { error = "lat must be -90 to 90 and lon -180 to 180 degrees" });
 
-    return Results.Ok(new { lat, lon, grid = store.GridSquare, recalculated = spots.Count });
+    store.Latitude = lat;
+    store.Longitude = lon;
+    store.GridSquare = CtyParser.LatLonToGrid(lat, lon);
+    return Results.Ok(new { lat, lon, grid = store.GridSquare });
 })
 .WithName("SetUserLocation")
 ;
 
-// POST /api/location/grid — set user location from grid square
-app.MapPost("/api/location/grid", async (SpotDb db, UserLocation store, string grid) =>
+// POST /api/location/grid — set the aggregator's own QTH from a grid square (see above)
+app.MapPost("/api/location/grid", (UserLocation store, string grid) =>
 {
     var loc = CtyParser.GridToLatLon(grid);
     if (loc == null)
         return Results.BadRequest(new { error = "Invalid grid square. Use 4 or 6 characters, e.g. FN31pr" });
 
-    var lat = loc.Value.Lat;
-    var lon = loc.Value.Lon;
-    store.Latitude = lat;
-    store.Longitude = lon;
+    store.Latitude = loc.Value.Lat;
+    store.Longitude = loc.Value.Lon;
     store.GridSquare = grid.ToUpperInvariant();
+    return Results.Ok(new { lat = store.Latitude, lon = store.Longitude, grid = store.GridSquare });
+})
+.WithName("SetUserLocationFromGrid")
+;
 
-    var spots = await db.Spots
-        .Where(s => s.DxLatitude != null && s.DxLongitude != null)
-        .ToListAsync();
+// GET /api/location — the aggregator's own QTH, 404 if none is set
+app.MapGet("/api/location", (UserLocation store) =>
+{
+    if (store.Latitude == null) return Results.NotFound();
+    return Results.Ok(new { lat = store.Latitude, lon = store.Longitude, grid = store.GridSquare });
+})
+.WithName("GetUserLocation")
+;
 
-    foreach (var s in spots)
+// GET /api/location/continent?lat=41.5&lon=-73 — the continent a QTH is on, from the nearest
+// cty.dat position, for the page's "spotters on my continent" filter; 404 without cty.dat
+app.MapGet("/api/location/continent", (CtyParser cty, double lat, double lon) =>
+{
+    if (lat < -90 || lat > 90 || lon < -180 || lon > 180)
+        return Results.BadRequest(new { error = "lat must be -90 to 90 and lon -180 to 180 degrees" });
+
+    var nearest = cty.NearestMatch(lat, lon);
+    if (nearest == null) return Results.NotFound();
+    return Results.Ok(new { continent = nearest.Value.Continent });
+})
+.WithName("GetContinentAt")
+;
+
+// POST /api/rig/tune — QSY the radio to a spot (freq in kHz, mode as shown in the grid)
+app.MapPost("/api/rig/tune", async (RigctldClient rig, RigStatusMonitor monitor, double freq, string? mode,
+    CancellationToken ct) =>
+{
+    if (freq <= 0)
+        return Results.BadRequest(new { error = "Frequency must be positive (kHz)" });
+
+    try
+    {
+        var rigMode = await rig.TuneAsync(freq, mode, ct);
+        monitor.RefreshNow(); // pages see the new frequency without waiting for the next poll
+        return Results.Ok(new { frequency = freq, mode = rigMode });
+    }
+    catch (RigctldException ex)
     {
-        s.DistanceKm = Math.Round(CtyParser.HaversineKm(lat, lon, s.DxLatitude!.Value, s.DxLongitude!.Value));
-        s.Bearing = Math.Round(CtyParser.BearingDeg(lat, lon, s.DxLatitude!.Value, s.DxLongitude!.Value));
+        return Results.Json(new { error = ex.Message }, statusCode: StatusCodes.Status502BadGateway);
     }
+})
+.WithName("TuneRig")
+;
 
-    await db.SaveChangesAsync();
+// GET /api/rig/status — whether rigctld is reachable, and the rig's current frequency/mode.
+// Connected pages also get each change pushed as "RigStatus" (RigStatusMonitor).
+app.MapGet("/api/rig/status", async (RigctldClient rig, CancellationToken ct) =>
+{
+    return Results.Ok(SpotBroadcaster.ToDto(await rig.GetStatusAsync(ct)));
+})
+.WithName("GetRigStatus")
+;
 
-    return Results.Ok(new { lat, lon, grid = store.GridSquare, recalculated = spots.Count });
+// GET /api/telnet/clients — logging programs connected to the local telnet cluster port
+app.MapGet("/api/telnet/clients", (TelnetSpotServer server) =>
+{
+    return Results.Ok(new
+    {
+        enabled = server.Enabled,
+        address = server.Address,
+        port = server.Port,
+        clients = server.GetClients().Select(c => new
+        {
+            callsign = c.Callsign,
+            remote = c.Remote,
+            connected = c.ConnectedUtc.ToString("o"),
+            filter = c.Filter,
+            spotsSent = c.SpotsSent
+        })
+    });
 })
-.WithName("SetUserLocationFromGrid")
+.WithName("GetTelnetClients")
 ;
 
-// GET /api/location — get current user location
-app.MapGet("/api/location", (UserLocation store) =>
+// GET /api/wsjtx — WSJT-X / JTDX instances sending to the UDP port, and the stations they're decoding
+app.MapGet("/api/wsjtx", (WsjtxListener wsjtx) =>
 {
-    if (store.Latitude == null) return Results.NotFound();
-    return Results.Ok(new { lat = store.Latitude, lon = store.Longitude, grid = store.GridSquare });
+    return Results.Ok(new
+    {
+        enabled = wsjtx.Enabled,
+        listening = wsjtx.Listening,
+        clients = wsjtx.GetClients().Select(c => new
+        {
+            id = c.Id,
+            version = c.Version,
+            remote = c.Remote,
+            frequency = c.DialFrequencyKhz,
+            mode = c.Mode,
+            deCall = c.DeCall,
+            lastSeen = c.LastSeenUtc.ToString("o")
+        }),
+        decoding = wsjtx.GetDecoding().Select(SpotBroadcaster.ToDto)
+    });
 })
-.WithName("GetUserLocation")
+.WithName("GetWsjtx")
+;
+
+// POST /api/wsjtx/reply?call= — ask WSJT-X to call a station it has decoded recently
+app.MapPost("/api/wsjtx/reply", async (WsjtxListener wsjtx, string? call, CancellationToken ct) =>
+{
+    if (string.IsNullOrWhiteSpace(call))
+        return Results.BadRequest(new { error = "call is required" });
+    if (!wsjtx.Listening)
+        return Results.Json(new { error = "WSJT-X integration is not running (Wsjtx section of appsettings.json)" },
+            statusCode: StatusCodes.Status503ServiceUnavailable);
+
+    call = call.Trim().ToUpperInvariant();
+    try
+    {
+        if (!await wsjtx.ReplyAsync(call, ct))
+            return Results.NotFound(new { error = $"{call} has not been decoded by WSJT-X recently" });
+        return Results.Ok(new { call });
+    }
+    catch (SocketException ex)
+    {
+        return Results.Json(new { error = ex.Message }, statusCode: StatusCodes.Status502BadGateway);
+    }
+})
+.WithName("ReplyWsjtx")
 ;
 
 // SignalR hub endpoint
@@ -217,12 +562,215 @@ app.MapHub<SpotHub>("/hubs/spots").RequireCors("SignalR");
 
 app.Run();
 
+// Time range and filters shared by /api/spots and /api/spots/export; without from/to only live
+// spots (last 20 minutes) are included. Min score, min distance and spotter distance depend on the
+// caller's QTH: see TakeSpotsAsync.
+static IQueryable<SpotRecord> FilterSpots(IQueryable<SpotRecord> query, DateTime? fromUtc, DateTime? toUtc,
+    string? band, string? mode, string? call, bool exactCall, string? excludeSource,
+    string? continent, int[] cqZones, string? entity, string? spotterContinent)
+{
+    if (fromUtc == null && toUtc == null)
+    {
+        var liveCutoff = DateTime.UtcNow - SpotPruneService.LiveSpotAge;
+        query = query.Where(s => s.Timestamp >= liveCutoff);
+    }
+    if (fromUtc != null)
+        query = query.Where(s => s.Timestamp >= fromUtc.Value);
+    if (toUtc != null)
+        query = query.Where(s => s.Timestamp < toUtc.Value);
+
+    // band and mode accept a comma-separated list, e.g. band=20m,15m
+    var bands = SplitList(band);
+    if (bands.Length > 0)
+        query = query.Where(s => bands.Contains(s.Band));
+
+    var modes = SplitList(mode).Select(m => m.ToUpperInvariant()).ToArray();
+    if (modes.Length > 0)
+        query = query.Where(s => modes.Contains(s.Mode));
+
+    // call is a prefix (JA1 finds JA1ABC) unless exactCall is set, so JA1ABC doesn't find JA1ABC/P
+    if (!string.IsNullOrWhiteSpace(call))
+    {
+        var dxCall = call.Trim().ToUpperInvariant();
+        query = exactCall
+            ? query.Where(s => s.DxCall == dxCall)
+            : query.Where(s => s.DxCall.StartsWith(dxCall));
+    }
+
+    var excludedSources = SplitList(excludeSource);
+    if (excludedSources.Length > 0)
+        query = query.Where(s => !excludedSources.Contains(s.Source));
+
+    // continent=AF,OC
+    var continents = SplitList(continent).Select(c => c.ToUpperInvariant()).ToArray();
+    if (continents.Length > 0)
+        query = query.Where(s => continents.Contains(s.Continent));
+
+    if (cqZones.Length > 0)
+        query = query.Where(s => s.CqZone != null && cqZones.Contains(s.CqZone.Value));
+
+    // DXCC entity names are separated by "|", as some contain commas: entity=Japan|Juan de Nova, Europa
+    var entities = string.IsNullOrWhiteSpace(entity)
+        ? Array.Empty<string>()
+        : entity.Split('|', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+    if (entities.Length > 0)
+        query = query.Where(s => entities.Contains(s.DxccEntity));
+
+    // spotterContinent=NA: only spots from spotters on that continent (or continents, as above)
+    var spotterContinents = SplitList(spotterContinent).Select(c => c.ToUpperInvariant()).ToArray();
+    if (spotterContinents.Length > 0)
+        query = query.Where(s => spotterContinents.Contains(s.SpotterContinent));
+
+    return query;
+}
+
+// Up to take spots with DistanceKm, Bearing and the score's distance points from origin (none
+// without one). SQLite can't work out distances, so a min distance or spotter max distance narrows
+// the spots to a lat/lon box in SQL, a min score to those that could reach it with the most
+// distance points, and the exact distances and scores are checked here as the spots are read in order.
+static async Task<List<SpotRecord>> TakeSpotsAsync(IQueryable<SpotRecord> query, (double Lat, double Lon)? origin,
+    int? minScore, double? minDistance, double? spotterMaxDistance, int take)
+{
+    var spots = new List<SpotRecord>();
+    if (minScore != null)
+    {
+        var floor = origin == null ? minScore.Value : minScore.Value - SpotScorer.MaxDistancePoints;
+        query = query.Where(s => s.DesirabilityScore >= floor);
+    }
+
+    if (minDistance > 0 || spotterMaxDistance > 0 || (minScore != null && origin != null))
+    {
+        if (origin == null) return spots; // no QTH, so no spot is known to be far (or near) enough
+        var (lat, lon) = origin.Value;
+        if (minDistance > 0)
+        {
+            // At least minDistance from here is within (half the globe - minDistance) of the antipode
+            var halfGlobeKm = Math.PI * CtyParser.EarthRadiusKm;
+            if (minDistance >= halfGlobeKm) return spots;
+            var box = CtyParser.BoundingBox(-lat, lon > 0 ? lon - 180 : lon + 180, halfGlobeKm - minDistance.Value);
+            query = query.Where(s => s.DxLatitude >= box.MinLat && s.DxLatitude <= box.MaxLat);
+            query = box.MinLon <= box.MaxLon
+                ? query.Where(s => s.DxLongitude >= box.MinLon && s.DxLongitude <= box.MaxLon)
+                : query.Where(s => s.DxLongitude >= box.MinLon || s.DxLongitude <= box.MaxLon);
+        }
+        if (spotterMaxDistance > 0)
+        {
+            var box = CtyParser.BoundingBox(lat, lon, spotterMaxDistance.Value);
+            query = query.Where(s => s.SpotterLatitude >= box.MinLat && s.SpotterLatitude <= box.MaxLat);
+            query = box.MinLon <= box.MaxLon
+                ? query.Where(s => s.SpotterLongitude >= box.MinLon && s.SpotterLongitude <= box.MaxLon)
+                : query.Where(s => s.SpotterLongitude >= box.MinLon || s.SpotterLongitude <= box.MaxLon);
+        }
+        await foreach (var s in query.AsNoTracking().AsAsyncEnumerable())
+        {
+            SetDistance(s, origin);
+            if (minDistance > 0 && s.DistanceKm < minDistance) continue;
+            if (minScore != null && s.DesirabilityScore < minScore) continue;
+            if (spotterMaxDistance > 0 &&
+                CtyParser.HaversineKm(lat, lon, s.SpotterLatitude!.Value, s.SpotterLongitude!.Value) > spotterMaxDistance)
+                continue;
+            spots.Add(s);
+            if (spots.Count == take) break;
+        }
+        return spots;
+    }
+
+    spots = await query.Take(take).AsNoTracking().ToListAsync();
+    foreach (var s in spots) SetDistance(s, origin);
+    return spots;
+}
+
+// Distance and bearing from origin, and the distance points they add to the stored score
+static void SetDistance(SpotRecord spot, (double Lat, double Lon)? origin)
+{
+    if (origin == null || spot.DxLatitude == null || spot.DxLongitude == null)
+    {
+        spot.DistanceKm = null;
+        spot.Bearing = null;
+        return;
+    }
+    var (lat, lon) = origin.Value;
+    spot.DistanceKm = Math.Round(CtyParser.HaversineKm(lat, lon, spot.DxLatitude.Value, spot.DxLongitude.Value));
+    spot.Bearing = Math.Round(CtyParser.BearingDeg(lat, lon, spot.DxLatitude.Value, spot.DxLongitude.Value));
+    spot.DesirabilityScore += SpotScorer.DistancePoints(spot.DistanceKm);
+}
+
+// The caller's QTH from lat and lon, else the aggregator's own (null if neither); false if only
+// one of lat and lon is given or either is out of range
+static bool TryGetOrigin(double? lat, double? lon, UserLocation store, out (double Lat, double Lon)? origin)
+{
+    origin = null;
+    if (lat == null && lon == null)
+    {
+        if (store.Latitude != null && store.Longitude != null)
+            origin = (store.Latitude.Value, store.Longitude.Value);
+        return true;
+    }
+    if (lat == null || lon == null || lat < -90 || lat > 90 || lon < -180 || lon > 180)
+        return false;
+    origin = (lat.Value, lon.Value);
+    return true;
+}
+
+// "20m, 15m" -> ["20m", "15m"]; null or blank -> []
+static string[] SplitList(string? value) =>
+    string.IsNullOrWhiteSpace(value)
+        ? Array.Empty<string>()
+        : value.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+
+// "26-30, 33" -> [26, 27, 28, 29, 30, 33]; null or blank -> []; false if not zones 1-40
+static bool TryParseZones(string? value, out int[] zones)
+{
+    var result = new SortedSet<int>();
+    zones = Array.Empty<int>();
+    foreach (var part in SplitList(value))
+    {
+        var range = part.Split('-', 2, StringSplitOptions.TrimEntries);
+        if (!int.TryParse(range[0], out var first)) return false;
+        var last = first;
+        if (range.Length == 2 && !int.TryParse(range[1], out last)) return false;
+        if (first < 1 || last > 40 || first > last) return false;
+        for (var zone = first; zone <= last; zone++) result.Add(zone);
+    }
+    zones = result.ToArray();
+    return true;
+}
+
+// "2026-10-18T06:00Z" -> UTC DateTime; null or blank -> null; false if unparseable
+static bool TryParseUtc(string? value, out DateTime? result)
+{
+    result = null;
+    if (string.IsNullOrWhiteSpace(value)) return true;
+    if (!DateTime.TryParse(value, CultureInfo.InvariantCulture,
+            DateTimeStyles.AssumeUniversal | DateTimeStyles.AdjustToUniversal, out var parsed))
+        return false;
+    result = parsed;
+    return true;
+}
+
 /// <summary>
-/// Simple in-memory store for the user's location (single-user desktop app).
+/// The aggregator's own QTH: "Grid" in the "Location" section of appsettings.json, or set with
+/// POST /api/location. Optional — each browser keeps its own QTH and sends it with its requests,
+/// so several operators can share one aggregator. This one is only the default origin for API
+/// callers that don't give lat/lon.
 /// </summary>
 public class UserLocation
 {
     public double? Latitude { get; set; }
     public double? Longitude { get; set; }
     public string? GridSquare { get; set; }
+
+    public static UserLocation FromGrid(string? grid)
+    {
+        var location = new UserLocation();
+        grid = grid?.Trim();
+        var position = CtyParser.GridToLatLon(grid);
+        if (position != null)
+        {
+            location.Latitude = position.Value.Lat;
+            location.Longitude = position.Value.Lon;
+            location.GridSquare = grid!.ToUpperInvariant();
+        }
+        return location;
+    }
 }
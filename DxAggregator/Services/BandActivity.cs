@@ -0,0 +1,171 @@
+using DxAggregator.Models;
+
+namespace DxAggregator.Services;
+
+/// <summary>
+/// One band (Continent null) or one band and continent over the last hour.
+/// Buckets are 5-minute spot counts, oldest first. Trend compares the last 15 minutes
+/// with the 15 before: "rising", "falling", "steady", or null until there is 30 minutes of data.
+/// </summary>
+public record BandActivityStats(string Band, string? Continent, int Last15, int Last60,
+    double? FarthestKm, string? Trend, int[] Buckets);
+
+public record BandConditions(BandActivityStats Total, IReadOnlyList<BandActivityStats> Continents);
+
+/// <summary>
+/// Counts spots per band and continent, per minute, over the last hour for the "Band conditions"
+/// view (/api/spots/conditions). Fed from SpotPipeline.OnNewSpot and kept in memory, so it works
+/// whether or not spot history is kept in the database. The stations' positions are kept rather
+/// than their distance, as "farthest" depends on whose QTH is asking.
+/// </summary>
+public class BandActivity : IHostedService
+{
+    private const int WindowMinutes = 60;
+    private const int BucketMinutes = 5;
+    private static readonly TimeSpan TrendWarmup = TimeSpan.FromMinutes(30);
+
+    private readonly SpotPipeline _pipeline;
+    private readonly object _lock = new();
+    private readonly Dictionary<(string Band, string Continent), Minute[]> _minutes = new();
+    private readonly DateTime _startedUtc = DateTime.UtcNow;
+
+    // One slot per minute of the hour, reused when the same slot comes round again
+    private sealed class Minute
+    {
+        public long Number = -1;
+        public int Count;
+        public readonly HashSet<(double Lat, double Lon)> Positions = new();
+    }
+
+    public BandActivity(SpotPipeline pipeline)
+    {
+        _pipeline = pipeline;
+    }
+
+    public Task StartAsync(CancellationToken cancellationToken)
+    {
+        _pipeline.OnNewSpot += Record;
+        return Task.CompletedTask;
+    }
+
+    public Task StopAsync(CancellationToken cancellationToken)
+    {
+        _pipeline.OnNewSpot -= Record;
+        return Task.CompletedTask;
+    }
+
+    public void Record(SpotRecord spot)
+    {
+        if (string.IsNullOrEmpty(spot.Band) || spot.Band == "unknown") return;
+
+        // Backfilled spots count when they were spotted; a clock running ahead counts as now
+        var now = MinuteNumber(DateTime.UtcNow);
+        var minute = Math.Min(MinuteNumber(spot.Timestamp), now);
+        if (now - minute >= WindowMinutes) return;
+
+        var key = (spot.Band, spot.Continent ?? "");
+        lock (_lock)
+        {
+            if (!_minutes.TryGetValue(key, out var slots))
+            {
+                slots = new Minute[WindowMinutes];
+                for (int i = 0; i < slots.Length; i++) slots[i] = new Minute();
+                _minutes[key] = slots;
+            }
+
+            var slot = slots[minute % WindowMinutes];
+            if (slot.Number != minute)
+            {
+                slot.Number = minute;
+                slot.Count = 0;
+                slot.Positions.Clear();
+            }
+            slot.Count++;
+            if (spot.DxLatitude != null && spot.DxLongitude != null)
+                slot.Positions.Add((spot.DxLatitude.Value, spot.DxLongitude.Value));
+        }
+    }
+
+    /// <summary>
+    /// Bands with spots in the last hour, each with its total and per-continent figures
+    /// (busiest continent first; spots whose continent is unknown only count in the total).
+    /// Farthest distances are from origin, and null without one.
+    /// </summary>
+    public IReadOnlyList<BandConditions> GetConditions((double Lat, double Lon)? origin)
+    {
+        var now = DateTime.UtcNow;
+        var current = MinuteNumber(now);
+        var trendReady = now - _startedUtc >= TrendWarmup;
+
+        // Per band and continent: spot count per minute, newest at the end
+        var perKey = new List<(string Band, string Continent, int[] Counts, double? FarthestKm)>();
+        lock (_lock)
+        {
+            foreach (var (key, slots) in _minutes.ToList())
+            {
+                var counts = new int[WindowMinutes];
+                double? farthest = null;
+                foreach (var slot in slots)
+                {
+                    var age = current - slot.Number;
+                    if (slot.Number < 0 || age < 0 || age >= WindowMinutes) continue;
+                    counts[WindowMinutes - 1 - age] = slot.Count;
+                    if (origin == null) continue;
+                    foreach (var (lat, lon) in slot.Positions)
+                    {
+                        var km = Math.Round(CtyParser.HaversineKm(origin.Value.Lat, origin.Value.Lon, lat, lon));
+                        if (farthest == null || km > farthest) farthest = km;
+                    }
+                }
+
+                if (counts.Sum() == 0)
+                    _minutes.Remove(key); // quiet for an hour
+                else
+                    perKey.Add((key.Band, key.Continent, counts, farthest));
+            }
+        }
+
+        return perKey
+            .GroupBy(k => k.Band)
+            .Select(band =>
+            {
+                var total = new int[WindowMinutes];
+                foreach (var k in band)
+                    for (int i = 0; i < WindowMinutes; i++) total[i] += k.Counts[i];
+                var farthest = band.Max(k => k.FarthestKm);
+
+                var continents = band
+                    .Where(k => k.Continent != "")
+                    .Select(k => Summarize(band.Key, k.Continent, k.Counts, k.FarthestKm, trendReady))
+                    .OrderByDescending(s => s.Last60)
+                    .ToList();
+
+                return new BandConditions(Summarize(band.Key, null, total, farthest, trendReady), continents);
+            })
+            .ToList();
+    }
+
+    private static BandActivityStats Summarize(string band, string? continent, int[] counts,
+        double? farthestKm, bool trendReady)
+    {
+        var last15 = counts[^15..].Sum();
+        var previous15 = counts[^30..^15].Sum();
+
+        var buckets = new int[WindowMinutes / BucketMinutes];
+        for (int i = 0; i < counts.Length; i++) buckets[i / BucketMinutes] += counts[i];
+
+        return new BandActivityStats(band, continent, last15, counts.Sum(), farthestKm,
+            trendReady ? Trend(last15, previous15) : null, buckets);
+    }
+
+    // A change of a quarter, and of at least 3 spots, counts as a trend
+    private static string Trend(int last15, int previous15)
+    {
+        var margin = Math.Max(3, previous15 / 4);
+        if (last15 >= previous15 + margin) return "rising";
+        if (last15 <= previous15 - margin) return "falling";
+        return "steady";
+    }
+
+    private static long MinuteNumber(DateTime utc) => utc.Ticks / TimeSpan.TicksPerMinute;
+}
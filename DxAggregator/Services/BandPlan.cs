@@ -0,0 +1,172 @@
+using System.Text.Json;
+using Microsoft.Extensions.Options;
+
+namespace DxAggregator.Services;
+
+/// <summary>
+/// Which band plan to use, bound from the "BandPlan" section of appsettings.json. Region picks
+/// one of the IARU region files in wwwroot/bandplans; File, if set, names another plan file
+/// (relative to wwwroot, or a full path), for example a copy edited for a country's 60m channels.
+/// </summary>
+public class BandPlanOptions
+{
+    public int Region { get; set; } = 2;
+    public string? File { get; set; }
+}
+
+/// <summary>
+/// A sub-band such as the CW or phone segment. Mode is what a spot there is taken to be when its
+/// source gives no mode; null for mixed segments (digital, beacons) where it can't be told.
+/// </summary>
+public class BandPlanSegment
+{
+    public double LowKhz { get; set; }
+    public double HighKhz { get; set; }
+    public string Name { get; set; } = "";
+    public string? Mode { get; set; }
+}
+
+/// <summary>A digital mode's dial frequency, e.g. FT8 on 14074.</summary>
+public class BandPlanDial
+{
+    public string Mode { get; set; } = "";
+    public double Khz { get; set; }
+}
+
+public class BandPlanBand
+{
+    public string Band { get; set; } = "";
+    public double LowKhz { get; set; }
+    public double HighKhz { get; set; }
+    /// <summary>Ticked in the band filter until the user chooses otherwise.</summary>
+    public bool Default { get; set; }
+    public List<BandPlanSegment> Segments { get; set; } = new();
+    public List<BandPlanDial> Dials { get; set; } = new();
+}
+
+public class BandPlanMode
+{
+    public string Mode { get; set; } = "";
+    public bool Default { get; set; }
+}
+
+/// <summary>
+/// A band plan file: bands in frequency order (the band filter and its pitch order follow it),
+/// and the modes offered in the mode filter.
+/// </summary>
+public class BandPlanData
+{
+    public string Name { get; set; } = "";
+    /// <summary>How far from a dial frequency a spot still counts as that mode.</summary>
+    public double DialToleranceKhz { get; set; } = 3;
+    public List<BandPlanBand> Bands { get; set; } = new();
+    public List<BandPlanMode> Modes { get; set; } = new();
+}
+
+/// <summary>
+/// Band and mode inference from frequency, from the configured band plan file. Served to the
+/// browser as-is by /api/bandplan so the band and mode filters and sub-band names match.
+/// </summary>
+public class BandPlan
+{
+    public const string UnknownBand = "unknown";
+
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web)
+    {
+        ReadCommentHandling = JsonCommentHandling.Skip,
+        AllowTrailingCommas = true
+    };
+
+    // A cluster carries spots from every region, and band edges differ between them (80m ends at
+    // 3800 kHz in Region 1 but 4000 in the US), so a spot outside the plan's edges is still named
+    // from the widest allocation anywhere. The plan only decides segments and dials.
+    private static readonly (string Band, double LowKhz, double HighKhz)[] WorldwideBands =
+    {
+        ("160m", 1800, 2000),
+        ("80m", 3500, 4000),
+        ("60m", 5250, 5450),
+        ("40m", 7000, 7300),
+        ("30m", 10100, 10150),
+        ("20m", 14000, 14350),
+        ("17m", 18068, 18168),
+        ("15m", 21000, 21450),
+        ("12m", 24890, 24990),
+        ("10m", 28000, 29700),
+        ("6m", 50000, 54000),
+        ("2m", 144000, 148000),
+        ("70cm", 420000, 450000)
+    };
+
+    private readonly ILogger<BandPlan> _logger;
+
+    public BandPlanData Plan { get; }
+
+    public BandPlan(IOptions<BandPlanOptions> options, IWebHostEnvironment env, ILogger<BandPlan> logger)
+    {
+        _logger = logger;
+        var file = string.IsNullOrWhiteSpace(options.Value.File)
+            ? Path.Combine("bandplans", $"iaru-region-{options.Value.Region}.json")
+            : options.Value.File;
+        var path = Path.Combine(env.WebRootPath, file);
+        Plan = Load(path) ?? new BandPlanData();
+    }
+
+    private BandPlanData? Load(string path)
+    {
+        if (!File.Exists(path))
+        {
+            _logger.LogError("Band plan not found at {Path} — every spot's band will be unknown", path);
+            return null;
+        }
+
+        try
+        {
+            var plan = JsonSerializer.Deserialize<BandPlanData>(File.ReadAllText(path), JsonOptions);
+            if (plan == null) return null;
+            _logger.LogInformation("Band plan \"{Name}\" loaded: {Bands} bands, {Modes} modes",
+                plan.Name, plan.Bands.Count, plan.Modes.Count);
+            return plan;
+        }
+        catch (JsonException ex)
+        {
+            _logger.LogError(ex, "Band plan {Path} is not valid JSON — every spot's band will be unknown", path);
+            return null;
+        }
+    }
+
+    public BandPlanBand? FindBand(double freqKhz) =>
+        Plan.Bands.FirstOrDefault(b => freqKhz >= b.LowKhz && freqKhz < b.HighKhz);
+
+    /// <summary>
+    /// Derives the amateur radio band from a frequency in kHz: the plan's band, else the band
+    /// allocated there in any region, else "unknown".
+    /// </summary>
+    public string FrequencyToBand(double freqKhz)
+    {
+        var band = FindBand(freqKhz);
+        if (band != null) return band.Band;
+        foreach (var (name, low, high) in WorldwideBands)
+        {
+            if (freqKhz >= low && freqKhz < high) return name;
+        }
+        return UnknownBand;
+    }
+
+    public BandPlanSegment? FindSegment(double freqKhz) =>
+        FindBand(freqKhz)?.Segments.FirstOrDefault(s => freqKhz >= s.LowKhz && freqKhz < s.HighKhz);
+
+    /// <summary>
+    /// Infers mode from frequency: near a digital mode's dial frequency it's that mode, otherwise
+    /// the mode of the segment it falls in. Returns null if frequency alone doesn't tell.
+    /// </summary>
+    public string? InferModeFromFrequency(double freqKhz)
+    {
+        var band = FindBand(freqKhz);
+        if (band == null) return null;
+
+        var dial = band.Dials.FirstOrDefault(d => Math.Abs(freqKhz - d.Khz) < Plan.DialToleranceKhz);
+        if (dial != null) return dial.Mode;
+
+        return band.Segments.FirstOrDefault(s => freqKhz >= s.LowKhz && freqKhz < s.HighKhz)?.Mode;
+    }
+}
@@ -14,14 +14,26 @@ public class CtyEntity
     public string PrimaryPrefix { get; set; } = "";
 }
 
+/// <summary>
+/// What cty.dat says about a callsign: its entity, with any per-prefix or per-call overrides of
+/// position, zones, continent and time offset applied. UtcOffset is the station's local time
+/// offset in hours, east positive (cty.dat stores it west positive, like longitude).
+/// </summary>
+public readonly record struct CtyMatch(double Lat, double Lon, string Entity, string PrimaryPrefix, string Continent,
+    int CqZone, int ItuZone, double UtcOffset);
+
 public class CtyParser
 {
     private readonly ILogger<CtyParser> _logger;
-    private readonly Dictionary<string, (double Lat, double Lon, string Entity)> _exactMatches = new(StringComparer.OrdinalIgnoreCase);
-    private readonly Dictionary<string, (double Lat, double Lon, string Entity)> _prefixDict = new(StringComparer.OrdinalIgnoreCase);
+    private readonly Dictionary<string, CtyMatch> _exactMatches = new(StringComparer.OrdinalIgnoreCase);
+    private readonly Dictionary<string, CtyMatch> _prefixDict = new(StringComparer.OrdinalIgnoreCase);
+    private readonly SortedSet<string> _entityNames = new(StringComparer.OrdinalIgnoreCase);
     private int _maxPrefixLength;
 
     public int EntityCount { get; private set; }
+
+    /// <summary>Every DXCC entity name in cty.dat, sorted (for the entity filter's suggestions).</summary>
+    public IReadOnlyCollection<string> EntityNames => _entityNames;
     public int PrefixCount => _prefixDict.Count + _exactMatches.Count;
 
     public CtyParser(ILogger<CtyParser> logger, IWebHostEnvironment env)
@@ -58,7 +70,11 @@ public class CtyParser
                     ProcessPrefixes(currentEntity, prefixAccumulator);
 
                 currentEntity = ParseHeader(line);
-                if (currentEntity != null) EntityCount++;
+                if (currentEntity != null)
+                {
+                    EntityCount++;
+                    _entityNames.Add(currentEntity.Name);
+                }
                 prefixAccumulator = "";
             }
             else
@@ -133,6 +149,28 @@ public class CtyParser
                 }
             }
 
+            // {continent} override, e.g. a prefix of an entity that spans two continents
+            var continent = entity.Continent;
+            var continentMatch = Regex.Match(entry, @"\{([A-Z]{2})\}");
+            if (continentMatch.Success)
+                continent = continentMatch.Groups[1].Value;
+
+            // (CQ) and [ITU] zone overrides, e.g. W6 calls in CQ zone 3; ~offset~ time zone override
+            var cqZone = entity.CqZone;
+            var cqMatch = Regex.Match(entry, @"\((\d+)\)");
+            if (cqMatch.Success)
+                cqZone = int.Parse(cqMatch.Groups[1].Value);
+
+            var ituZone = entity.ItuZone;
+            var ituMatch = Regex.Match(entry, @"\[(\d+)\]");
+            if (ituMatch.Success)
+                ituZone = int.Parse(ituMatch.Groups[1].Value);
+
+            var utcOffset = -entity.GmtOffset; // negate: cty.dat positive=West
+            var offsetMatch = Regex.Match(entry, @"~([^~]+)~");
+            if (offsetMatch.Success && double.TryParse(offsetMatch.Groups[1].Value, out var oOffset))
+                utcOffset = -oOffset;
+
             // Strip all override markers to get bare prefix
             var bare = entry;
             bare = Regex.Replace(bare, @"\(\d+\)", "");       // (CQ)
@@ -144,7 +182,8 @@ public class CtyParser
 
             if (string.IsNullOrEmpty(bare)) continue;
 
-            var location = (lat, lon, entity.Name);
+            var location = new CtyMatch(lat, lon, entity.Name, entity.PrimaryPrefix, continent,
+                cqZone, ituZone, utcOffset);
 
             if (bare.StartsWith('='))
             {
@@ -161,7 +200,7 @@ public class CtyParser
         }
     }
 
-    public (double Lat, double Lon, string Entity)? LookupCallsign(string callsign)
+    public CtyMatch? LookupCallsign(string callsign)
     {
         if (string.IsNullOrWhiteSpace(callsign)) return null;
 
@@ -185,6 +224,17 @@ public class CtyParser
         return null;
     }
 
+    /// <summary>
+    /// The cty.dat prefix whose position (its entity's centre, or its own where cty.dat gives one)
+    /// is nearest to a point. Good enough to say which continent a QTH is on; near a continent's
+    /// edge, or in an entity that spans two, it can pick the neighbour.
+    /// </summary>
+    public CtyMatch? NearestMatch(double lat, double lon)
+    {
+        if (_prefixDict.Count == 0) return null;
+        return _prefixDict.Values.MinBy(m => HaversineKm(lat, lon, m.Lat, m.Lon));
+    }
+
     private static string StripSuffix(string call)
     {
         // Handle /P, /M, /MM, /AM, /QRP etc. at end
@@ -252,9 +302,11 @@ public class CtyParser
         return $"{f1}{f2}{s1}{s2}{sub1}{sub2}";
     }
 
+    public const double EarthRadiusKm = 6371.0;
+
     public static double HaversineKm(double lat1, double lon1, double lat2, double lon2)
     {
-        const double R = 6371.0;
+        const double R = EarthRadiusKm;
         var dLat = ToRad(lat2 - lat1);
         var dLon = ToRad(lon2 - lon1);
         var a = Math.Sin(dLat / 2) * Math.Sin(dLat / 2) +
@@ -264,6 +316,27 @@ public class CtyParser
         return R * c;
     }
 
+    /// <summary>
+    /// A latitude/longitude box around every point within radiusKm, for narrowing a search in SQL
+    /// before the exact distances are worked out. Near a pole every longitude is included; across
+    /// the date line MinLon is greater than MaxLon.
+    /// </summary>
+    public static (double MinLat, double MaxLat, double MinLon, double MaxLon) BoundingBox(double lat, double lon, double radiusKm)
+    {
+        var r = radiusKm / EarthRadiusKm;
+        var minLat = lat - ToDeg(r);
+        var maxLat = lat + ToDeg(r);
+        if (minLat <= -90 || maxLat >= 90)
+            return (Math.Max(minLat, -90), Math.Min(maxLat, 90), -180, 180);
+
+        var dLon = ToDeg(Math.Asin(Math.Sin(r) / Math.Cos(ToRad(lat))));
+        var minLon = lon - dLon;
+        var maxLon = lon + dLon;
+        if (minLon < -180) minLon += 360;
+        if (maxLon > 180) maxLon -= 360;
+        return (minLat, maxLat, minLon, maxLon);
+    }
+
     public static double BearingDeg(double lat1, double lon1, double lat2, double lon2)
     {
         var dLon = ToRad(lon2 - lon1);
@@ -14,22 +14,25 @@ public class G7VrdClient : BackgroundService
 {
     private readonly ILogger<G7VrdClient> _logger;
     private readonly SpotPipeline _pipeline;
+    private readonly SourceStatusRegistry _status;
 
     // SockJS raw WebSocket endpoint pattern: /dx/{server_id}/{session_id}/websocket
     private const string BaseUrl = "wss://ws.g7vrd.co.uk/dx";
     private const string SpotsTopic = "/topic/spots/v1";
     private const string SkimsTopic = "/topic/skims/v1";
     private const string PskTopic = "/topic/psks/v1";
-
+    private const string SourceName = "G7VRD";
 
     // STOMP frame delimiters
     private const char Null = '\0';
     private const string Lf = "\n";
 
-    public G7VrdClient(ILogger<G7VrdClient> logger, SpotPipeline pipeline)
+    public G7VrdClient(ILogger<G7VrdClient> logger, SpotPipeline pipeline, SourceStatusRegistry status)
     {
         _logger = logger;
         _pipeline = pipeline;
+        _status = status;
+        _status.Register(SourceName, "WebSocket", "DXCluster", "RBN", "PSKReporter");
     }
 
     protected override async Task ExecuteAsync(CancellationToken stoppingToken)
@@ -38,7 +41,9 @@ public class G7VrdClient : BackgroundService
         {
             try
             {
+                _status.Update(SourceName, SourceState.Connecting);
                 await ConnectAndReceive(stoppingToken);
+                _status.Update(SourceName, SourceState.Disconnected, "connection closed; retrying");
             }
             catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
             {
@@ -47,6 +52,7 @@ public class G7VrdClient : BackgroundService
             catch (Exception ex)
             {
                 _logger.LogError(ex, "G7VRD connection error, reconnecting in 10s");
+                _status.Update(SourceName, SourceState.Disconnected, $"{ex.Message}; retry in 10s");
                 try
                 {
                     await Task.Delay(TimeSpan.FromSeconds(10), stoppingToken);
@@ -114,6 +120,7 @@ public class G7VrdClient : BackgroundService
             ["destination"] = PskTopic
         }, null, ct);
         _logger.LogInformation("Subscribed to {Destination}", PskTopic);
+        _status.Update(SourceName, SourceState.Connected);
 
         // Main receive loop
         while (!ct.IsCancellationRequested && ws.State == WebSocketState.Open)
@@ -236,6 +243,7 @@ public class G7VrdClient : BackgroundService
         string? spotter = null;
         double? freqKhz = null;
         string? grid = null;
+        string? spotterGrid = null;
         string? dxCountry = null;
         string source = "G7VRD";
 
@@ -248,6 +256,7 @@ public class G7VrdClient : BackgroundService
             spotter = GetNestedCallsign(root, "skimmer");
             freqKhz = GetDoubleProp(root, "hz") / 1000.0; // Hz to kHz
             grid = GetNestedString(root, "call", "grid");
+            spotterGrid = GetNestedString(root, "skimmer", "grid");
             dxCountry = GetNestedString(root, "call", "country");
             source = "RBN";
         }
@@ -258,6 +267,7 @@ public class G7VrdClient : BackgroundService
             spotter = GetNestedCallsign(root, "rx");
             freqKhz = GetDoubleProp(root, "khz");
             grid = GetNestedString(root, "tx", "grid");
+            spotterGrid = GetNestedString(root, "rx", "grid");
             dxCountry = GetNestedString(root, "tx", "country");
             source = "PSKReporter";
         }
@@ -268,6 +278,7 @@ public class G7VrdClient : BackgroundService
             spotter = GetNestedCallsign(root, "spotter");
             freqKhz = GetDoubleProp(root, "khz");
             grid = GetNestedString(root, "dx", "grid");
+            spotterGrid = GetNestedString(root, "spotter", "grid");
             dxCountry = GetNestedString(root, "dx", "country");
             source = "DXCluster";
         }
@@ -286,13 +297,14 @@ public class G7VrdClient : BackgroundService
         {
             DxCall = dxCall.Trim().ToUpperInvariant(),
             Frequency = freqKhz.Value,
-            Band = GetStringProp(root, "band") ?? SpotRecord.FrequencyToBand(freqKhz.Value),
-            Mode = GetStringProp(root, "mode") ?? SpotRecord.InferModeFromFrequency(freqKhz.Value) ?? "unknown",
+            // Band comes from the band plan in SpotProcessor, which also infers a missing mode
+            Mode = GetStringProp(root, "mode") ?? "unknown",
             Spotter = spotter?.Trim().ToUpperInvariant() ?? "unknown",
             Snr = GetIntProp(root, "db", "snr"),
             Timestamp = GetTimestamp(root) ?? DateTime.UtcNow,
             Source = source,
             Grid = grid,
+            SpotterGrid = spotterGrid,
             DxccEntity = dxCountry,
             Comment = GetStringProp(root, "comment", "info", "text")
         };
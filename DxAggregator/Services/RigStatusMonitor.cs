@@ -0,0 +1,86 @@
+namespace DxAggregator.Services;
+
+/// <summary>
+/// Reads the rig's frequency and mode from rigctld every few seconds while any page is
+/// connected, and raises OnChanged when they (or the connection) change. SpotBroadcaster
+/// pushes each change, so browsers don't each poll /api/rig/status.
+/// </summary>
+public class RigStatusMonitor : BackgroundService
+{
+    public static readonly TimeSpan PollInterval = TimeSpan.FromSeconds(5);
+
+    private readonly RigctldClient _rig;
+    private readonly SpotSubscriptions _subscriptions;
+    private readonly ILogger<RigStatusMonitor> _logger;
+    private readonly SemaphoreSlim _wake = new(0, 1);
+
+    public RigStatusMonitor(RigctldClient rig, SpotSubscriptions subscriptions, ILogger<RigStatusMonitor> logger)
+    {
+        _rig = rig;
+        _subscriptions = subscriptions;
+        _logger = logger;
+    }
+
+    /// <summary>The last status read, or null before the first read.</summary>
+    public RigStatus? Current { get; private set; }
+
+    public event Action<RigStatus>? OnChanged;
+
+    /// <summary>
+    /// Reads the status now instead of at the next poll, e.g. after the rig was tuned.
+    /// </summary>
+    public void RefreshNow()
+    {
+        try
+        {
+            _wake.Release();
+        }
+        catch (SemaphoreFullException)
+        {
+            // A read is already due
+        }
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        while (!stoppingToken.IsCancellationRequested)
+        {
+            try
+            {
+                // Nobody to show it to: leave rigctld alone until a page connects
+                if (_subscriptions.Count > 0)
+                {
+                    var status = await _rig.GetStatusAsync(stoppingToken);
+                    if (status != Current)
+                    {
+                        Current = status;
+                        OnChanged?.Invoke(status);
+                    }
+                }
+            }
+            catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+            {
+                break;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error reading rig status");
+            }
+
+            try
+            {
+                await _wake.WaitAsync(PollInterval, stoppingToken);
+            }
+            catch (OperationCanceledException)
+            {
+                break;
+            }
+        }
+    }
+
+    public override void Dispose()
+    {
+        _wake.Dispose();
+        base.Dispose();
+    }
+}
@@ -0,0 +1,234 @@
+using System.Globalization;
+using System.Net.Sockets;
+using Microsoft.Extensions.Options;
+
+namespace DxAggregator.Services;
+
+/// <summary>
+/// Connection settings for Hamlib's rigctld, bound from the "Rig" section of appsettings.json.
+/// </summary>
+public class RigOptions
+{
+    public string Host { get; set; } = "localhost";
+    public int Port { get; set; } = 4532;
+    public int TimeoutMs { get; set; } = 2000;
+}
+
+public record RigStatus(bool Connected, string Host, int Port, double? FrequencyKhz, string? Mode);
+
+public class RigctldException : Exception
+{
+    public RigctldException(string message, Exception? inner = null) : base(message, inner) { }
+}
+
+/// <summary>
+/// Minimal client for the Hamlib rigctld TCP protocol (default port 4532), used to QSY
+/// the user's radio to a spot. Speaks the plain-text command set:
+///   "F 14074000" → "RPRT 0"         set frequency (Hz)
+///   "M PKTUSB 0" → "RPRT 0"         set mode, 0 = rig's default passband
+///   "f"          → "14074000"       get frequency
+///   "m"          → "USB\n2400"      get mode and passband
+/// One command at a time over a persistent connection, reopened on failure.
+/// </summary>
+public class RigctldClient : IDisposable
+{
+    private readonly RigOptions _options;
+    private readonly ILogger<RigctldClient> _logger;
+    private readonly SemaphoreSlim _lock = new(1, 1);
+    private TcpClient? _client;
+    private StreamReader? _reader;
+    private StreamWriter? _writer;
+
+    public RigctldClient(IOptions<RigOptions> options, ILogger<RigctldClient> logger)
+    {
+        _options = options.Value;
+        _logger = logger;
+    }
+
+    public string Host => _options.Host;
+    public int Port => _options.Port;
+
+    /// <summary>
+    /// Tunes the rig to a spot frequency (kHz) and, when it maps to a rig mode, the spot's mode.
+    /// Returns the rig mode that was set, or null if the mode was left alone.
+    /// </summary>
+    public async Task<string?> TuneAsync(double freqKhz, string? spotMode, CancellationToken ct)
+    {
+        var hz = (long)Math.Round(freqKhz * 1000);
+        var rigMode = ToRigMode(spotMode, freqKhz);
+
+        await _lock.WaitAsync(ct);
+        try
+        {
+            await SendExpectOk($"F {hz}", ct);
+            if (rigMode != null)
+                await SendExpectOk($"M {rigMode} 0", ct);
+        }
+        finally
+        {
+            _lock.Release();
+        }
+
+        _logger.LogInformation("Tuned rig to {Hz} Hz {Mode}", hz, rigMode ?? "(mode unchanged)");
+        return rigMode;
+    }
+
+    public async Task<RigStatus> GetStatusAsync(CancellationToken ct)
+    {
+        await _lock.WaitAsync(ct);
+        try
+        {
+            var freqLines = await Send("f", 1, ct);
+            var modeLines = await Send("m", 2, ct);
+
+            double? freqKhz = double.TryParse(freqLines[0], NumberStyles.Float, CultureInfo.InvariantCulture, out var hz)
+                ? hz / 1000.0
+                : null;
+            return new RigStatus(true, Host, Port, freqKhz, modeLines[0]);
+        }
+        catch (RigctldException)
+        {
+            return new RigStatus(false, Host, Port, null, null);
+        }
+        finally
+        {
+            _lock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Maps a spot mode to a Hamlib mode name. Digital modes use the rig's data (PKT) sideband;
+    /// SSB follows the usual convention of LSB below 10 MHz.
+    /// </summary>
+    public static string? ToRigMode(string? spotMode, double freqKhz)
+    {
+        switch (spotMode?.ToUpperInvariant())
+        {
+            case "CW":
+                return "CW";
+            case "SSB":
+                return freqKhz < 10000 ? "LSB" : "USB";
+            case "RTTY":
+                return "RTTY";
+            case "AM":
+                return "AM";
+            case "FM":
+                return "FM";
+            case "FT8":
+            case "FT4":
+            case "JT65":
+            case "JT9":
+            case "PSK31":
+            case "WSPR":
+                return "PKTUSB";
+            default:
+                return null;
+        }
+    }
+
+    private async Task SendExpectOk(string command, CancellationToken ct)
+    {
+        var reply = (await Send(command, 1, ct))[0];
+        if (reply != "RPRT 0")
+            throw new RigctldException($"rigctld rejected '{command}': {reply}");
+    }
+
+    // Sends a command and reads the expected number of reply lines. Retries once on a fresh
+    // connection, since rigctld drops idle clients when the rig is power-cycled.
+    private async Task<string[]> Send(string command, int replyLines, CancellationToken ct)
+    {
+        for (int attempt = 1; ; attempt++)
+        {
+            try
+            {
+                await EnsureConnected(ct);
+                await _writer!.WriteAsync(command + "\n");
+                await _writer.FlushAsync();
+
+                var lines = new string[replyLines];
+                for (int i = 0; i < replyLines; i++)
+                {
+                    var line = await ReadLineWithTimeout(ct)
+                        ?? throw new IOException("rigctld closed the connection");
+                    if (line.StartsWith("RPRT -"))
+                        throw new RigctldException($"rigctld error for '{command}': {line}");
+                    lines[i] = line.Trim();
+                }
+                return lines;
+            }
+            catch (Exception ex) when (ex is IOException or SocketException or TimeoutException)
+            {
+                Disconnect();
+                if (attempt >= 2)
+                    throw new RigctldException($"Cannot reach rigctld at {Host}:{Port}", ex);
+            }
+        }
+    }
+
+    private async Task<string?> ReadLineWithTimeout(CancellationToken ct)
+    {
+        using var timeout = CancellationTokenSource.CreateLinkedTokenSource(ct);
+        timeout.CancelAfter(_options.TimeoutMs);
+        try
+        {
+            return await _reader!.ReadLineAsync().WaitAsync(timeout.Token);
+        }
+        catch (OperationCanceledException) when (!ct.IsCancellationRequested)
+        {
+            throw new TimeoutException($"No reply from rigctld within {_options.TimeoutMs} ms");
+        }
+    }
+
+    private async Task EnsureConnected(CancellationToken ct)
+    {
+        if (_client?.Connected == true) return;
+
+        Disconnect();
+        var client = new TcpClient { NoDelay = true };
+        using var timeout = CancellationTokenSource.CreateLinkedTokenSource(ct);
+        timeout.CancelAfter(_options.TimeoutMs);
+        try
+        {
+            await client.ConnectAsync(Host, Port, timeout.Token);
+        }
+        catch (OperationCanceledException) when (!ct.IsCancellationRequested)
+        {
+            client.Dispose();
+            throw new TimeoutException($"Timed out connecting to rigctld at {Host}:{Port}");
+        }
+        catch
+        {
+            client.Dispose();
+            throw;
+        }
+
+        var stream = client.GetStream();
+        _client = client;
+        _reader = new StreamReader(stream);
+        _writer = new StreamWriter(stream) { NewLine = "\n" };
+        _logger.LogInformation("Connected to rigctld at {Host}:{Port}", Host, Port);
+    }
+
+    private void Disconnect()
+    {
+        _reader?.Dispose();
+        try
+        {
+            _writer?.Dispose();
+        }
+        catch (IOException)
+        {
+            // Flushing to a dead socket — nothing left to send
+        }
+        _client?.Dispose();
+        _reader = null;
+        _writer = null;
+        _client = null;
+    }
+
+    public void Dispose()
+    {
+        Disconnect();
+        _lock.Dispose();
+    }
+}
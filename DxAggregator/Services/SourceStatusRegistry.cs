@@ -0,0 +1,49 @@
+using System.Collections.Concurrent;
+
+namespace DxAggregator.Services;
+
+public enum SourceState
+{
+    Connecting,
+    Connected,
+    Disconnected
+}
+
+/// <summary>
+/// Connection state of one spot feed. SpotSources lists the SpotRecord.Source values the
+/// feed produces (G7VRD carries three), which the browser uses for its source filter.
+/// </summary>
+public record SourceStatus(string Name, string Kind, SourceState State, string? Detail,
+    DateTime ChangedUtc, string[] SpotSources);
+
+/// <summary>
+/// Live connection state of every spot feed (G7VRD WebSocket, telnet cluster nodes).
+/// Feeds register on startup and report state changes; SpotBroadcaster pushes each change
+/// to browsers and /api/sources returns the current list.
+/// </summary>
+public class SourceStatusRegistry
+{
+    private readonly ConcurrentDictionary<string, SourceStatus> _sources = new(StringComparer.OrdinalIgnoreCase);
+
+    public event Action<SourceStatus>? OnChanged;
+
+    public void Register(string name, string kind, params string[] spotSources)
+    {
+        _sources[name] = new SourceStatus(name, kind, SourceState.Connecting, null, DateTime.UtcNow, spotSources);
+    }
+
+    public void Update(string name, SourceState state, string? detail = null)
+    {
+        if (!_sources.TryGetValue(name, out var current))
+            return;
+
+        var updated = current with { State = state, Detail = detail, ChangedUtc = DateTime.UtcNow };
+        _sources[name] = updated;
+        OnChanged?.Invoke(updated);
+    }
+
+    public IReadOnlyList<SourceStatus> GetAll()
+    {
+        return _sources.Values.OrderBy(s => s.Name, StringComparer.OrdinalIgnoreCase).ToList();
+    }
+}
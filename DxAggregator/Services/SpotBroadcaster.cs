@@ -5,55 +5,171 @@ using DxAggregator.Models;
 namespace DxAggregator.Services;
 
 /// <summary>
-/// Bridges the SpotPipeline's OnNewSpot event to SignalR,
-/// pushing new spots to all connected browser clients.
+/// Bridges the SpotPipeline's OnNewSpot event to SignalR, pushing each new spot (and later
+/// changes to its score) to the browser clients whose subscription filter accepts it. Feed
+/// status, rig status and WSJT-X events (stations decoding locally, QSOs logged) go to every
+/// client.
 /// </summary>
 public class SpotBroadcaster : IHostedService
 {
     private readonly SpotPipeline _pipeline;
     private readonly IHubContext<SpotHub> _hubContext;
+    private readonly SpotSubscriptions _subscriptions;
+    private readonly SourceStatusRegistry _sourceStatus;
+    private readonly WsjtxListener _wsjtx;
+    private readonly RigStatusMonitor _rig;
+    private readonly CtyParser _cty;
+    private readonly BandPlan _bandPlan;
     private readonly ILogger<SpotBroadcaster> _logger;
 
-    public SpotBroadcaster(SpotPipeline pipeline, IHubContext<SpotHub> hubContext, ILogger<SpotBroadcaster> logger)
+    public SpotBroadcaster(SpotPipeline pipeline, IHubContext<SpotHub> hubContext,
+        SpotSubscriptions subscriptions, SourceStatusRegistry sourceStatus, WsjtxListener wsjtx,
+        RigStatusMonitor rig, CtyParser cty, BandPlan bandPlan, ILogger<SpotBroadcaster> logger)
     {
         _pipeline = pipeline;
         _hubContext = hubContext;
+        _subscriptions = subscriptions;
+        _sourceStatus = sourceStatus;
+        _wsjtx = wsjtx;
+        _rig = rig;
+        _cty = cty;
+        _bandPlan = bandPlan;
         _logger = logger;
     }
 
     public Task StartAsync(CancellationToken cancellationToken)
     {
         _pipeline.OnNewSpot += BroadcastSpot;
-        _logger.LogInformation("SpotBroadcaster started, will push new spots to SignalR clients");
+        _pipeline.OnSpotRescored += BroadcastScore;
+        _sourceStatus.OnChanged += BroadcastSourceStatus;
+        _wsjtx.OnDecodingChanged += BroadcastLocalDecodes;
+        _wsjtx.OnQsoLogged += BroadcastQsoLogged;
+        _rig.OnChanged += BroadcastRigStatus;
+        _logger.LogInformation("SpotBroadcaster started, will push new spots to subscribed SignalR clients");
         return Task.CompletedTask;
     }
 
     public Task StopAsync(CancellationToken cancellationToken)
     {
         _pipeline.OnNewSpot -= BroadcastSpot;
+        _pipeline.OnSpotRescored -= BroadcastScore;
+        _sourceStatus.OnChanged -= BroadcastSourceStatus;
+        _wsjtx.OnDecodingChanged -= BroadcastLocalDecodes;
+        _wsjtx.OnQsoLogged -= BroadcastQsoLogged;
+        _rig.OnChanged -= BroadcastRigStatus;
         return Task.CompletedTask;
     }
 
     private void BroadcastSpot(SpotRecord spot)
     {
-        // Fire and forget — SignalR handles client disconnects gracefully
-        _ = _hubContext.Clients.All.SendAsync("NewSpot", new
+        var recipients = _subscriptions.GetRecipients(spot);
+        if (recipients.Count == 0) return;
+
+        // Fire and forget — SignalR handles client disconnects gracefully. No distance or bearing:
+        // each page works them out (and the spotter's distance) from the positions and its own QTH.
+        // The score's distance points are from each page's QTH too, so pages that score the spot
+        // alike get one message.
+        foreach (var group in recipients.GroupBy(r => r.Score))
+        {
+            _ = _hubContext.Clients.Clients(group.Select(r => r.ConnectionId).ToList())
+                .SendAsync("NewSpot", ToDto(spot, group.Key));
+        }
+    }
+
+    // A repeat report changed a spot's score: pages that were sent the spot update it in place
+    private void BroadcastScore(SpotRecord spot)
+    {
+        foreach (var group in _subscriptions.GetRecipients(spot).GroupBy(r => r.Score))
+        {
+            _ = _hubContext.Clients.Clients(group.Select(r => r.ConnectionId).ToList())
+                .SendAsync("SpotScore", new { spot.Id, DesirabilityScore = group.Key });
+        }
+    }
+
+    private static object ToDto(SpotRecord spot, int score) => new
+    {
+        spot.Id,
+        spot.DxCall,
+        spot.Frequency,
+        spot.Band,
+        spot.Mode,
+        spot.Spotter,
+        spot.Snr,
+        Timestamp = spot.Timestamp.ToString("o"),
+        spot.Source,
+        spot.DxccEntity,
+        spot.Continent,
+        spot.CqZone,
+        spot.Grid,
+        spot.DxLatitude,
+        spot.DxLongitude,
+        spot.SpotterGrid,
+        spot.SpotterLatitude,
+        spot.SpotterLongitude,
+        spot.SpotterContinent,
+        spot.Comment,
+        DesirabilityScore = score
+    };
+
+    private void BroadcastSourceStatus(SourceStatus status)
+    {
+        // Every page shows every feed's state, so this one goes to all clients
+        _ = _hubContext.Clients.All.SendAsync("SourceStatus", ToDto(status));
+    }
+
+    private void BroadcastLocalDecodes(IReadOnlyList<LocalDecode> decoding)
+    {
+        _ = _hubContext.Clients.All.SendAsync("LocalDecodes", decoding.Select(ToDto));
+    }
+
+    // The entity lets a page with an imported log count the QSO straight away
+    private void BroadcastQsoLogged(WsjtxQsoLogged qso)
+    {
+        var frequencyKhz = qso.TxFrequencyHz / 1000.0;
+        _ = _hubContext.Clients.All.SendAsync("QsoLogged", new
         {
-            spot.Id,
-            spot.DxCall,
-            spot.Frequency,
-            spot.Band,
-            spot.Mode,
-            spot.Spotter,
-            spot.Snr,
-            Timestamp = spot.Timestamp.ToString("o"),
-            spot.Source,
-            spot.DxccEntity,
-            spot.Grid,
-            spot.DistanceKm,
-            spot.Bearing,
-            spot.Comment,
-            spot.DesirabilityScore
+            Call = qso.DxCall,
+            Grid = qso.DxGrid,
+            Frequency = frequencyKhz,
+            Band = _bandPlan.FrequencyToBand(frequencyKhz),
+            qso.Mode,
+            qso.ReportSent,
+            qso.ReportReceived,
+            TimeOn = qso.TimeOnUtc.ToString("o"),
+            Entity = _cty.LookupCallsign(qso.DxCall)?.Entity
         });
     }
+
+    private void BroadcastRigStatus(RigStatus status)
+    {
+        _ = _hubContext.Clients.All.SendAsync("RigStatus", ToDto(status));
+    }
+
+    public static object ToDto(RigStatus status) => new
+    {
+        status.Connected,
+        status.Host,
+        status.Port,
+        Frequency = status.FrequencyKhz,
+        status.Mode
+    };
+
+    public static object ToDto(LocalDecode decode) => new
+    {
+        decode.Call,
+        decode.Decode.Snr,
+        Frequency = decode.FrequencyKhz,
+        decode.Decode.Message,
+        Heard = decode.HeardUtc.ToString("o")
+    };
+
+    public static object ToDto(SourceStatus status) => new
+    {
+        status.Name,
+        status.Kind,
+        State = status.State.ToString().ToLowerInvariant(),
+        status.Detail,
+        Changed = status.ChangedUtc.ToString("o"),
+        status.SpotSources
+    };
 }
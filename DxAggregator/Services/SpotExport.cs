@@ -0,0 +1,199 @@
+using System.Globalization;
+using System.Text;
+using System.Text.Encodings.Web;
+using System.Text.Json;
+using DxAggregator.Models;
+
+namespace DxAggregator.Services;
+
+/// <summary>
+/// Writes spots as CSV, JSON or ADIF for /api/spots/export. The page's Export button posts the
+/// spots it shows to the same endpoint, so every export file comes from here.
+/// </summary>
+public static class SpotExport
+{
+    public static readonly string[] Formats = { "csv", "json", "adif" };
+
+    private static readonly string[] CsvColumns =
+    {
+        "Time (UTC)", "DX Call", "Frequency (kHz)", "Band", "Mode", "Spotter", "SNR", "Grid",
+        "Entity", "Distance (km)", "Bearing", "Score", "Source", "Comment"
+    };
+
+    // The spot modes ADIF 3.1 knows, as its MODE and SUBMODE: FT4, Q65 and friends are MFSK
+    // submodes and PSK31 a PSK one. Anything not listed (including "unknown") gets no MODE.
+    private static readonly Dictionary<string, (string Mode, string? Submode)> AdifModes =
+        new(StringComparer.OrdinalIgnoreCase)
+        {
+            ["AM"] = ("AM", null),
+            ["CW"] = ("CW", null),
+            ["DIGITALVOICE"] = ("DIGITALVOICE", null),
+            ["DOMINO"] = ("DOMINO", null),
+            ["FM"] = ("FM", null),
+            ["FT8"] = ("FT8", null),
+            ["HELL"] = ("HELL", null),
+            ["JT4"] = ("JT4", null),
+            ["JT9"] = ("JT9", null),
+            ["JT65"] = ("JT65", null),
+            ["MFSK"] = ("MFSK", null),
+            ["MSK144"] = ("MSK144", null),
+            ["MT63"] = ("MT63", null),
+            ["OLIVIA"] = ("OLIVIA", null),
+            ["PSK"] = ("PSK", null),
+            ["QRA64"] = ("QRA64", null),
+            ["ROS"] = ("ROS", null),
+            ["RTTY"] = ("RTTY", null),
+            ["SSB"] = ("SSB", null),
+            ["SSTV"] = ("SSTV", null),
+            ["THOR"] = ("THOR", null),
+            ["WSPR"] = ("WSPR", null),
+            ["USB"] = ("SSB", "USB"),
+            ["LSB"] = ("SSB", "LSB"),
+            ["FT4"] = ("MFSK", "FT4"),
+            ["FST4"] = ("MFSK", "FST4"),
+            ["FST4W"] = ("MFSK", "FST4W"),
+            ["JS8"] = ("MFSK", "JS8"),
+            ["Q65"] = ("MFSK", "Q65"),
+            ["PSK31"] = ("PSK", "PSK31"),
+            ["PSK63"] = ("PSK", "PSK63"),
+            ["PSK125"] = ("PSK", "PSK125")
+        };
+
+    public static string ContentType(string format) => format switch
+    {
+        "csv" => "text/csv",
+        "json" => "application/json",
+        _ => "text/plain" // ADIF has no registered type; loggers go by the .adi extension
+    };
+
+    public static string FileExtension(string format) => format == "adif" ? "adi" : format;
+
+    public static string Write(string format, IEnumerable<SpotRecord> spots) => format switch
+    {
+        "csv" => ToCsv(spots),
+        "json" => ToJson(spots),
+        "adif" => ToAdif(spots),
+        _ => throw new ArgumentException($"Unknown export format '{format}'", nameof(format))
+    };
+
+    public static string ToCsv(IEnumerable<SpotRecord> spots)
+    {
+        var sb = new StringBuilder();
+        sb.Append(string.Join(",", CsvColumns)).Append("\r\n");
+        foreach (var s in spots)
+        {
+            var fields = new[]
+            {
+                s.Timestamp.ToString("yyyy-MM-dd HH:mm:ss", CultureInfo.InvariantCulture),
+                s.DxCall,
+                s.Frequency.ToString("0.0", CultureInfo.InvariantCulture),
+                s.Band,
+                s.Mode,
+                s.Spotter,
+                s.Snr?.ToString(CultureInfo.InvariantCulture),
+                s.Grid,
+                s.DxccEntity,
+                s.DistanceKm?.ToString("0", CultureInfo.InvariantCulture),
+                s.Bearing?.ToString("0", CultureInfo.InvariantCulture),
+                s.DesirabilityScore.ToString(CultureInfo.InvariantCulture),
+                s.Source,
+                s.Comment
+            };
+            sb.Append(string.Join(",", fields.Select(CsvField))).Append("\r\n");
+        }
+        return sb.ToString();
+    }
+
+    // RFC 4180: quote fields containing a comma, quote or line break; double inner quotes. Text
+    // a spreadsheet would run as a formula (=, +, -, @, tab or CR first, as a cluster comment can
+    // be) gets a leading ' so it stays text; numbers such as a -12 SNR are left alone.
+    private static string CsvField(string? value)
+    {
+        if (string.IsNullOrEmpty(value)) return "";
+        if ("=+-@\t\r".Contains(value[0]) &&
+            !double.TryParse(value, NumberStyles.Float, CultureInfo.InvariantCulture, out _))
+            value = "'" + value;
+        return value.IndexOfAny(new[] { ',', '"', '\r', '\n' }) >= 0
+            ? "\"" + value.Replace("\"", "\"\"") + "\""
+            : value;
+    }
+
+    // Same fields and camelCase names as /api/spots
+    public static string ToJson(IEnumerable<SpotRecord> spots)
+    {
+        var rows = spots.Select(s => new
+        {
+            s.Id,
+            s.DxCall,
+            s.Frequency,
+            s.Band,
+            s.Mode,
+            s.Spotter,
+            s.Snr,
+            Timestamp = s.Timestamp.ToString("o"),
+            s.Source,
+            s.DxccEntity,
+            s.Continent,
+            s.CqZone,
+            s.Grid,
+            s.DxLatitude,
+            s.DxLongitude,
+            s.SpotterGrid,
+            s.SpotterLatitude,
+            s.SpotterLongitude,
+            s.SpotterContinent,
+            s.DistanceKm,
+            s.Bearing,
+            s.Comment,
+            s.DesirabilityScore
+        });
+        // Relaxed escaping keeps quotes and names like "Åland Is." readable in the file
+        return JsonSerializer.Serialize(rows, new JsonSerializerOptions(JsonSerializerDefaults.Web)
+        {
+            WriteIndented = true,
+            Encoder = JavaScriptEncoder.UnsafeRelaxedJsonEscaping
+        });
+    }
+
+    /// <summary>
+    /// One ADIF record per spot. These are spots, not QSOs, so there is no QSO_DATE / TIME_ON for
+    /// a logger to take as a contact: the spot time and spotter go in APP_DXAGGREGATOR_ fields.
+    /// Submodes such as FT4, Q65 and PSK31 go out as their ADIF 3.1 MODE with a SUBMODE; a mode
+    /// ADIF doesn't list is left out rather than written as an invalid MODE.
+    /// </summary>
+    public static string ToAdif(IEnumerable<SpotRecord> spots)
+    {
+        var sb = new StringBuilder();
+        sb.Append("DX Aggregator spot export: each record is a spot heard on the air, not a QSO\r\n");
+        AppendAdifField(sb, "ADIF_VER", "3.1.4");
+        AppendAdifField(sb, "PROGRAMID", "DxAggregator");
+        sb.Append("<EOH>\r\n");
+
+        foreach (var s in spots)
+        {
+            AppendAdifField(sb, "CALL", s.DxCall);
+            AppendAdifField(sb, "APP_DXAGGREGATOR_SPOT_TIME",
+                s.Timestamp.ToString("yyyyMMdd HHmmss", CultureInfo.InvariantCulture));
+            AppendAdifField(sb, "APP_DXAGGREGATOR_SPOTTER", s.Spotter);
+            AppendAdifField(sb, "FREQ", (s.Frequency / 1000).ToString("0.000000", CultureInfo.InvariantCulture));
+            if (s.Band != "unknown") AppendAdifField(sb, "BAND", s.Band);
+            if (AdifModes.TryGetValue(s.Mode, out var mode))
+            {
+                AppendAdifField(sb, "MODE", mode.Mode);
+                AppendAdifField(sb, "SUBMODE", mode.Submode);
+            }
+            AppendAdifField(sb, "GRIDSQUARE", s.Grid);
+            AppendAdifField(sb, "COMMENT", s.Comment);
+            sb.Append("<EOR>\r\n");
+        }
+        return sb.ToString();
+    }
+
+    // <NAME:length>value, the length in bytes of the UTF-8 file; empty values are left out
+    private static void AppendAdifField(StringBuilder sb, string name, string? value)
+    {
+        if (string.IsNullOrEmpty(value)) return;
+        sb.Append('<').Append(name).Append(':').Append(Encoding.UTF8.GetByteCount(value)).Append('>')
+            .Append(value).Append(' ');
+    }
+}
@@ -8,7 +8,7 @@ namespace DxAggregator.Services;
 
 /// <summary>
 /// Central spot processing pipeline. All data sources submit spots here.
-/// Pipeline stages: validate → deduplicate → store → broadcast.
+/// Pipeline stages: validate → enrich → deduplicate → score → store → broadcast.
 /// </summary>
 public class SpotPipeline
 {
@@ -40,6 +40,16 @@ public class SpotPipeline
         OnNewSpot?.Invoke(spot);
     }
 
+    /// <summary>
+    /// Event raised when a stored spot's score changes because a repeat report was merged into it.
+    /// </summary>
+    public event Action<SpotRecord>? OnSpotRescored;
+
+    public void RaiseSpotRescored(SpotRecord spot)
+    {
+        OnSpotRescored?.Invoke(spot);
+    }
+
     /// <summary>
     /// Submit a spot from any data source. Non-blocking, drops oldest if full.
     /// </summary>
@@ -56,7 +66,7 @@ public class SpotPipeline
 
 /// <summary>
 /// Background service that reads from the pipeline channel, deduplicates,
-/// stores to SQLite, and raises events for broadcasting.
+/// scores, stores to SQLite, and raises events for broadcasting.
 /// </summary>
 public class SpotProcessor : BackgroundService
 {
@@ -64,17 +74,18 @@ public class SpotProcessor : BackgroundService
     private readonly IServiceScopeFactory _scopeFactory;
     private readonly ILogger<SpotProcessor> _logger;
     private readonly CtyParser _cty;
-    private readonly UserLocation _userLocation;
+    private readonly BandPlan _bandPlan;
     private readonly Deduplicator _dedup = new();
+    private readonly SpotScorer _scorer = new();
 
     public SpotProcessor(SpotPipeline pipeline, IServiceScopeFactory scopeFactory,
-        ILogger<SpotProcessor> logger, CtyParser cty, UserLocation userLocation)
+        ILogger<SpotProcessor> logger, CtyParser cty, BandPlan bandPlan)
     {
         _pipeline = pipeline;
         _scopeFactory = scopeFactory;
         _logger = logger;
         _cty = cty;
-        _userLocation = userLocation;
+        _bandPlan = bandPlan;
     }
 
     protected override async Task ExecuteAsync(CancellationToken stoppingToken)
@@ -92,17 +103,27 @@ public class SpotProcessor : BackgroundService
                 // Stage 2: Normalize
                 Normalize(spot);
 
-                // Stage 3: Enrich with location and distance
+                // Stage 3: Enrich with location (distances depend on who is looking)
                 Enrich(spot);
 
-                // Stage 4: Deduplicate (same call + freq within 60s)
-                if (_dedup.IsDuplicate(spot))
+                // Stage 4: Record the report for scoring (duplicates still count as extra spotters)
+                _scorer.Observe(spot);
+
+                // Stage 5: Deduplicate (same call + freq within 60s). The repeat report can still
+                // change the score of the spot it repeats: another spotter, and a fresher report.
+                if (_dedup.IsDuplicate(spot, out var original))
+                {
+                    if (original != null) await Rescore(original, spot, stoppingToken);
                     continue;
+                }
 
-                // Stage 5: Store in SQLite
+                // Stage 6: Score desirability
+                spot.DesirabilityScore = _scorer.Score(spot);
+
+                // Stage 7: Store in SQLite
                 await Store(spot, stoppingToken);
 
-                // Stage 6: Broadcast to subscribers
+                // Stage 8: Broadcast to subscribers
                 _pipeline.RaiseNewSpot(spot);
             }
             catch (Exception ex)
@@ -121,13 +142,13 @@ public class SpotProcessor : BackgroundService
         return true;
     }
 
-    private static void Normalize(SpotRecord spot)
+    private void Normalize(SpotRecord spot)
     {
         spot.DxCall = spot.DxCall.Trim().ToUpperInvariant();
         spot.Spotter = spot.Spotter?.Trim().ToUpperInvariant() ?? "unknown";
-        spot.Band = SpotRecord.FrequencyToBand(spot.Frequency);
+        spot.Band = _bandPlan.FrequencyToBand(spot.Frequency);
         if (spot.Mode == "unknown" || string.IsNullOrEmpty(spot.Mode))
-            spot.Mode = SpotRecord.InferModeFromFrequency(spot.Frequency) ?? "unknown";
+            spot.Mode = _bandPlan.InferModeFromFrequency(spot.Frequency) ?? "unknown";
         if (spot.Timestamp == default)
             spot.Timestamp = DateTime.UtcNow;
     }
@@ -141,34 +162,46 @@ public class SpotProcessor : BackgroundService
         if (!string.IsNullOrWhiteSpace(spot.Grid))
             dxLoc = CtyParser.GridToLatLon(spot.Grid);
 
-        // Priority 2: cty.dat callsign prefix lookup (country center, approximate)
-        if (dxLoc == null)
+        // Priority 2: cty.dat callsign prefix lookup (country center, approximate).
+        // The entity, continent and CQ zone always come from cty.dat, grid or not.
+        var lookup = _cty.LookupCallsign(spot.DxCall);
+        if (lookup != null)
         {
-            var lookup = _cty.LookupCallsign(spot.DxCall);
-            if (lookup != null)
-            {
-                dxLoc = (lookup.Value.Lat, lookup.Value.Lon);
-                if (string.IsNullOrEmpty(spot.DxccEntity))
-                    spot.DxccEntity = lookup.Value.Entity;
-            }
+            if (string.IsNullOrEmpty(spot.DxccEntity))
+                spot.DxccEntity = lookup.Value.Entity;
+            spot.Continent = lookup.Value.Continent;
+            spot.CqZone = lookup.Value.CqZone;
+            dxLoc ??= (lookup.Value.Lat, lookup.Value.Lon);
         }
 
         if (dxLoc != null)
         {
             spot.DxLatitude = dxLoc.Value.Lat;
             spot.DxLongitude = dxLoc.Value.Lon;
-
-            // Calculate distance and bearing if user location is known
-            if (_userLocation.Latitude != null && _userLocation.Longitude != null)
-            {
-                spot.DistanceKm = Math.Round(CtyParser.HaversineKm(
-                    _userLocation.Latitude.Value, _userLocation.Longitude.Value,
-                    dxLoc.Value.Lat, dxLoc.Value.Lon));
-                spot.Bearing = Math.Round(CtyParser.BearingDeg(
-                    _userLocation.Latitude.Value, _userLocation.Longitude.Value,
-                    dxLoc.Value.Lat, dxLoc.Value.Lon));
-            }
         }
+
+        EnrichSpotter(spot);
+    }
+
+    /// <summary>
+    /// Where the spotter is, for the "heard near me" filter: its grid from the feed, else the
+    /// centre of its cty.dat entity. Placeholder spotters ("unknown", "local") have no digit and
+    /// are left without a position rather than matched to a country by their first letters.
+    /// </summary>
+    private void EnrichSpotter(SpotRecord spot)
+    {
+        if (!spot.Spotter.Any(char.IsDigit)) return;
+
+        var lookup = _cty.LookupCallsign(spot.Spotter);
+        spot.SpotterContinent = lookup?.Continent;
+
+        var loc = CtyParser.GridToLatLon(spot.SpotterGrid);
+        if (loc == null && lookup != null)
+            loc = (lookup.Value.Lat, lookup.Value.Lon);
+        if (loc == null) return;
+
+        spot.SpotterLatitude = loc.Value.Lat;
+        spot.SpotterLongitude = loc.Value.Lon;
     }
 
     private async Task Store(SpotRecord spot, CancellationToken ct)
@@ -178,6 +211,25 @@ public class SpotProcessor : BackgroundService
         db.Spots.Add(spot);
         await db.SaveChangesAsync(ct);
     }
+
+    /// <summary>
+    /// Scores a stored spot again when a repeat report is merged into it (same call and entity,
+    /// every spotter so far, the fresher of the two reports), and saves and pushes the new score
+    /// if it changed.
+    /// </summary>
+    private async Task Rescore(SpotRecord original, SpotRecord report, CancellationToken ct)
+    {
+        var score = _scorer.Score(report.Timestamp > original.Timestamp ? report : original);
+        if (original.Id == 0 || score == original.DesirabilityScore) return;
+
+        original.DesirabilityScore = score;
+        using var scope = _scopeFactory.CreateScope();
+        var db = scope.ServiceProvider.GetRequiredService<SpotDb>();
+        db.Spots.Attach(original).Property(s => s.DesirabilityScore).IsModified = true;
+        await db.SaveChangesAsync(ct);
+
+        _pipeline.RaiseSpotRescored(original);
+    }
 }
 
 /// <summary>
@@ -187,14 +239,18 @@ public class SpotProcessor : BackgroundService
 /// </summary>
 public class Deduplicator
 {
-    private readonly ConcurrentDictionary<string, DateTime> _seen = new();
+    private readonly ConcurrentDictionary<string, (DateTime Seen, SpotRecord Spot)> _seen = new();
     private DateTime _lastCleanup = DateTime.UtcNow;
     private static readonly TimeSpan DedupeWindow = TimeSpan.FromSeconds(60);
     private static readonly TimeSpan CleanupInterval = TimeSpan.FromMinutes(2);
     private const double FrequencyToleranceKhz = 3.0;
 
-    public bool IsDuplicate(SpotRecord spot)
+    /// <summary>
+    /// True if the spot repeats one kept in the last 60 seconds, which is returned as original.
+    /// </summary>
+    public bool IsDuplicate(SpotRecord spot, out SpotRecord? original)
     {
+        original = null;
         CleanupIfNeeded();
 
         // Key: callsign + rounded frequency (to nearest 3 kHz)
@@ -202,12 +258,13 @@ public class Deduplicator
         var key = $"{spot.DxCall}|{freqBucket:F0}";
 
         var now = DateTime.UtcNow;
-        if (_seen.TryGetValue(key, out var lastSeen) && (now - lastSeen) < DedupeWindow)
+        if (_seen.TryGetValue(key, out var seen) && (now - seen.Seen) < DedupeWindow)
         {
+            original = seen.Spot;
             return true;
         }
 
-        _seen[key] = now;
+        _seen[key] = (now, spot);
         return false;
     }
 
@@ -220,7 +277,7 @@ public class Deduplicator
         var cutoff = now - DedupeWindow;
         foreach (var kvp in _seen)
         {
-            if (kvp.Value < cutoff)
+            if (kvp.Value.Seen < cutoff)
                 _seen.TryRemove(kvp.Key, out _);
         }
     }
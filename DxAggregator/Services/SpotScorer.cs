@@ -0,0 +1,136 @@
+using DxAggregator.Models;
+
+namespace DxAggregator.Services;
+
+/// <summary>
+/// Computes SpotRecord.DesirabilityScore so the most interesting DX surfaces first.
+/// Components:
+///   Rarity   (0-40) — how seldom the spot's cty.dat entity appears in the last hour of traffic;
+///                     held near the neutral 10 until enough traffic has been seen to tell
+///   Spotters (0-20) — distinct spotters reporting the call in the last 10 minutes
+///   Recency  (0-15) — fresh reports score higher than backfilled or delayed ones
+///   Distance (0-25) — great-circle distance from whoever is looking, so not stored: /api/spots and
+///                     the hub add DistancePoints from the caller's or browser's QTH (0-100 in all)
+/// Used only from SpotProcessor's single reader loop, so no locking is needed.
+/// </summary>
+public class SpotScorer
+{
+    private readonly Dictionary<string, Queue<DateTime>> _entitySightings = new(StringComparer.OrdinalIgnoreCase);
+    private readonly Dictionary<string, Dictionary<string, DateTime>> _callSpotters = new(StringComparer.OrdinalIgnoreCase);
+    private int _totalSightings;
+    private DateTime _lastCleanup = DateTime.UtcNow;
+
+    private static readonly TimeSpan RarityWindow = TimeSpan.FromHours(1);
+    private static readonly TimeSpan SpotterWindow = TimeSpan.FromMinutes(10);
+    private static readonly TimeSpan CleanupInterval = TimeSpan.FromMinutes(5);
+    private static readonly TimeSpan RecencyHorizon = TimeSpan.FromMinutes(15);
+
+    // Entity seen this many times per hour (or more) earns no rarity points
+    private const double CommonEntitySightings = 500;
+    // Sightings of all entities in the window before rarity counts in full: just after startup
+    // every entity has only been seen a few times and would otherwise look rare
+    private const double WarmupSightings = 2000;
+    private const double MaxDistanceKm = 20000;
+    public const int MaxDistancePoints = 25;
+    private const int MaxCountedSpotters = 10;
+
+    /// <summary>
+    /// Records a report of a spot. Call for every valid report, including ones the
+    /// deduplicator will drop — repeat reports are what the spotter count is built from.
+    /// </summary>
+    public void Observe(SpotRecord spot)
+    {
+        var now = DateTime.UtcNow;
+        CleanupIfNeeded(now);
+
+        if (!string.IsNullOrEmpty(spot.DxccEntity))
+        {
+            if (!_entitySightings.TryGetValue(spot.DxccEntity, out var sightings))
+            {
+                sightings = new Queue<DateTime>();
+                _entitySightings[spot.DxccEntity] = sightings;
+            }
+            sightings.Enqueue(now);
+            _totalSightings++;
+            while (sightings.Count > 0 && now - sightings.Peek() > RarityWindow)
+            {
+                sightings.Dequeue();
+                _totalSightings--;
+            }
+        }
+
+        if (!_callSpotters.TryGetValue(spot.DxCall, out var spotters))
+        {
+            spotters = new Dictionary<string, DateTime>(StringComparer.OrdinalIgnoreCase);
+            _callSpotters[spot.DxCall] = spotters;
+        }
+        spotters[spot.Spotter] = now;
+    }
+
+    public int Score(SpotRecord spot)
+    {
+        var now = DateTime.UtcNow;
+        return (int)Math.Round(RarityPoints(spot) + SpotterPoints(spot, now) + RecencyPoints(spot, now));
+    }
+
+    private double RarityPoints(SpotRecord spot)
+    {
+        // Unknown entity: neither rare nor common
+        if (string.IsNullOrEmpty(spot.DxccEntity) ||
+            !_entitySightings.TryGetValue(spot.DxccEntity, out var sightings) || sightings.Count == 0)
+            return 10;
+
+        var commonness = Math.Log(sightings.Count) / Math.Log(CommonEntitySightings);
+        var rarity = 40 * (1 - Math.Clamp(commonness, 0, 1));
+        var confidence = Math.Min(1, _totalSightings / WarmupSightings);
+        return 10 + (rarity - 10) * confidence;
+    }
+
+    /// <summary>The distance part of the score for a station distanceKm away (0 if not known).</summary>
+    public static int DistancePoints(double? distanceKm)
+    {
+        if (distanceKm == null) return 0;
+        return (int)Math.Round(MaxDistancePoints * Math.Clamp(distanceKm.Value / MaxDistanceKm, 0, 1));
+    }
+
+    private double SpotterPoints(SpotRecord spot, DateTime now)
+    {
+        if (!_callSpotters.TryGetValue(spot.DxCall, out var spotters)) return 0;
+        var recent = spotters.Values.Count(t => now - t < SpotterWindow);
+        return 20.0 * Math.Min(recent, MaxCountedSpotters) / MaxCountedSpotters;
+    }
+
+    private static double RecencyPoints(SpotRecord spot, DateTime now)
+    {
+        var age = now - spot.Timestamp;
+        if (age <= TimeSpan.FromMinutes(1)) return 15;
+        return 15 * Math.Clamp(1 - age / RecencyHorizon, 0, 1);
+    }
+
+    private void CleanupIfNeeded(DateTime now)
+    {
+        if ((now - _lastCleanup) < CleanupInterval) return;
+        _lastCleanup = now;
+
+        foreach (var entity in _entitySightings.Keys.ToList())
+        {
+            var sightings = _entitySightings[entity];
+            while (sightings.Count > 0 && now - sightings.Peek() > RarityWindow)
+            {
+                sightings.Dequeue();
+                _totalSightings--;
+            }
+            if (sightings.Count == 0)
+                _entitySightings.Remove(entity);
+        }
+
+        foreach (var call in _callSpotters.Keys.ToList())
+        {
+            var spotters = _callSpotters[call];
+            foreach (var spotter in spotters.Where(kvp => now - kvp.Value >= SpotterWindow).Select(kvp => kvp.Key).ToList())
+                spotters.Remove(spotter);
+            if (spotters.Count == 0)
+                _callSpotters.Remove(call);
+        }
+    }
+}
@@ -0,0 +1,52 @@
+using System.Collections.Concurrent;
+using DxAggregator.Models;
+
+namespace DxAggregator.Services;
+
+/// <summary>
+/// Tracks each SignalR connection's SpotFilter so SpotBroadcaster only sends a spot to
+/// the browsers that will show or alert on it. Connections that have not called
+/// Subscribe() yet (older pages) receive every spot.
+/// </summary>
+public class SpotSubscriptions
+{
+    private readonly ConcurrentDictionary<string, SpotFilter?> _filters = new();
+
+    public int Count => _filters.Count;
+
+    public void Add(string connectionId) => _filters[connectionId] = null;
+
+    public void Set(string connectionId, SpotFilter filter) => _filters[connectionId] = filter;
+
+    public void Remove(string connectionId) => _filters.TryRemove(connectionId, out _);
+
+    /// <summary>
+    /// Connection ids whose filter accepts the spot, each with the spot's score as that browser
+    /// sees it (the distance points depend on its QTH).
+    /// </summary>
+    public List<(string ConnectionId, int Score)> GetRecipients(SpotRecord spot)
+    {
+        var recipients = new List<(string, int)>();
+        foreach (var (connectionId, filter) in _filters)
+        {
+            if (filter == null)
+                recipients.Add((connectionId, spot.DesirabilityScore));
+            else if (filter.Matches(spot))
+                recipients.Add((connectionId, filter.Score(spot)));
+        }
+        return recipients;
+    }
+
+    /// <summary>
+    /// True if the spot matches a DX alert rule on any page (WsjtxListener highlights these).
+    /// </summary>
+    public bool IsWatched(SpotRecord spot)
+    {
+        foreach (var filter in _filters.Values)
+        {
+            if (filter != null && filter.IsWatched(spot))
+                return true;
+        }
+        return false;
+    }
+}
@@ -0,0 +1,368 @@
+using System.Globalization;
+using System.Net.Sockets;
+using System.Text;
+using System.Text.RegularExpressions;
+using Microsoft.Extensions.Options;
+using DxAggregator.Models;
+
+namespace DxAggregator.Services;
+
+/// <summary>
+/// Telnet DX cluster settings, bound from the "Telnet" section of appsettings.json.
+/// Callsign is the default login for every node; a node may override it.
+/// </summary>
+public class TelnetClusterOptions
+{
+    public string Callsign { get; set; } = string.Empty;
+    public List<TelnetNodeOptions> Nodes { get; set; } = new();
+}
+
+public class TelnetNodeOptions
+{
+    /// <summary>Shown in the status line and used as SpotRecord.Source for this node's spots.</summary>
+    public string Name { get; set; } = string.Empty;
+    public string Host { get; set; } = string.Empty;
+    public int Port { get; set; } = 7300;
+    public bool Enabled { get; set; } = true;
+    public string? Callsign { get; set; }
+    public string? Password { get; set; }
+
+    /// <summary>Number of recent spots requested with SH/DX after login (0 = none).</summary>
+    public int Backfill { get; set; } = 30;
+}
+
+/// <summary>
+/// Connects to DXSpider, AR-Cluster and CC-Cluster style telnet nodes as a second spot
+/// source alongside G7VrdClient. For each enabled node: log in with the configured callsign,
+/// request SH/DX backfill, then feed every "DX de ..." line into the SpotPipeline.
+/// Dropped connections are retried with exponential backoff (5 s doubling to 5 minutes).
+/// </summary>
+public class TelnetClusterClient : BackgroundService
+{
+    private readonly TelnetClusterOptions _options;
+    private readonly SpotPipeline _pipeline;
+    private readonly SourceStatusRegistry _status;
+    private readonly ILogger<TelnetClusterClient> _logger;
+
+    private static readonly TimeSpan MinBackoff = TimeSpan.FromSeconds(5);
+    private static readonly TimeSpan MaxBackoff = TimeSpan.FromMinutes(5);
+    // A session shorter than this doesn't reset the backoff (e.g. node rejects the login)
+    private static readonly TimeSpan StableSession = TimeSpan.FromMinutes(1);
+    // Wait for the node's welcome text to finish before sending SH/DX, but not forever
+    // on a busy node that starts streaming spots straight away
+    private static readonly TimeSpan LoginSettle = TimeSpan.FromSeconds(2);
+    private static readonly TimeSpan MaxLoginSettle = TimeSpan.FromSeconds(10);
+    private static readonly TimeSpan LoginTimeout = TimeSpan.FromSeconds(30);
+    // Nodes send spots, WWV and keepalive prompts all the time; this long without a byte means
+    // the node has hung, so reconnect instead of showing "Connected" with nothing arriving
+    private static readonly TimeSpan IdleTimeout = TimeSpan.FromMinutes(10);
+    // TCP keepalive notices a link a NAT or router dropped silently: first probe after a
+    // minute of quiet, then every 10 s, giving up after 3 unanswered probes
+    private const int KeepAliveSeconds = 60;
+    private const int KeepAliveIntervalSeconds = 10;
+    private const int KeepAliveProbes = 3;
+
+    // Login prompts vary: "login: ", "Please enter your call: ", "Enter your callsign:"
+    private static readonly Regex LoginPrompt = new(@"(login|call(sign)?)\s*:\s*$", RegexOptions.IgnoreCase);
+    private static readonly Regex PasswordPrompt = new(@"password\s*:\s*$", RegexOptions.IgnoreCase);
+
+    // DX de W3LPL:     14025.0  JA1ABC       CW 12 dB 25 WPM CQ           1234Z FN20
+    // (the locator after the time is the spotter's, not the DX station's)
+    private static readonly Regex DxDeLine = new(
+        @"^DX de\s+(?<spotter>[A-Z0-9/#-]+):\s*(?<freq>\d+(\.\d+)?)\s+(?<call>[A-Z0-9/]+)\s+(?<comment>.*?)\s*(?<time>\d{4})Z(\s+(?<grid>[A-R]{2}\d{2}([A-X]{2})?))?\s*$",
+        RegexOptions.IgnoreCase);
+
+    // SH/DX reply:  14025.0  JA1ABC      18-Oct-2026 1234Z  CW 599 up 2          <W3LPL>
+    private static readonly Regex ShowDxLine = new(
+        @"^\s*(?<freq>\d+(\.\d+)?)\s+(?<call>[A-Z0-9/]+)\s+(?<date>\d{1,2}-[A-Za-z]{3}-\d{4})\s+(?<time>\d{4})Z\s*(?<comment>.*?)\s*<(?<spotter>[A-Z0-9/#-]+)>\s*$",
+        RegexOptions.IgnoreCase);
+
+    private static readonly Regex SnrInComment = new(@"(?<snr>[+-]?\d+)\s*dB", RegexOptions.IgnoreCase);
+
+    private static readonly string[] CommentModes = { "FT8", "FT4", "CW", "RTTY", "SSB", "USB", "LSB", "PSK31", "JT65", "JT9" };
+
+    public TelnetClusterClient(IOptions<TelnetClusterOptions> options, SpotPipeline pipeline,
+        SourceStatusRegistry status, ILogger<TelnetClusterClient> logger)
+    {
+        _options = options.Value;
+        _pipeline = pipeline;
+        _status = status;
+        _logger = logger;
+
+        foreach (var node in EnabledNodes())
+            _status.Register(node.Name, "Telnet", node.Name);
+    }
+
+    private IEnumerable<TelnetNodeOptions> EnabledNodes()
+    {
+        return _options.Nodes.Where(n => n.Enabled && !string.IsNullOrWhiteSpace(n.Name) && !string.IsNullOrWhiteSpace(n.Host));
+    }
+
+    protected override Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        var nodes = EnabledNodes().ToList();
+        if (nodes.Count == 0)
+        {
+            _logger.LogInformation("No telnet cluster nodes enabled");
+            return Task.CompletedTask;
+        }
+
+        return Task.WhenAll(nodes.Select(node => RunNode(node, stoppingToken)));
+    }
+
+    private async Task RunNode(TelnetNodeOptions node, CancellationToken ct)
+    {
+        var backoff = MinBackoff;
+
+        while (!ct.IsCancellationRequested)
+        {
+            var started = DateTime.UtcNow;
+            string reason;
+            try
+            {
+                _status.Update(node.Name, SourceState.Connecting, $"{node.Host}:{node.Port}");
+                await ConnectAndReceive(node, ct);
+                reason = "connection closed by node";
+            }
+            catch (OperationCanceledException) when (ct.IsCancellationRequested)
+            {
+                break;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Telnet cluster {Node} ({Host}:{Port}) error", node.Name, node.Host, node.Port);
+                reason = ex.Message;
+            }
+
+            if (DateTime.UtcNow - started >= StableSession)
+                backoff = MinBackoff;
+
+            _logger.LogInformation("Telnet cluster {Node}: {Reason}, reconnecting in {Seconds}s",
+                node.Name, reason, backoff.TotalSeconds);
+            _status.Update(node.Name, SourceState.Disconnected, $"{reason}; retry in {backoff.TotalSeconds:0}s");
+
+            try
+            {
+                await Task.Delay(backoff, ct);
+            }
+            catch (OperationCanceledException)
+            {
+                break;
+            }
+            backoff = TimeSpan.FromSeconds(Math.Min(backoff.TotalSeconds * 2, MaxBackoff.TotalSeconds));
+        }
+    }
+
+    private async Task ConnectAndReceive(TelnetNodeOptions node, CancellationToken ct)
+    {
+        var callsign = (node.Callsign ?? _options.Callsign).Trim().ToUpperInvariant();
+        if (callsign.Length == 0)
+            throw new InvalidOperationException("no login callsign configured (Telnet:Callsign)");
+
+        _logger.LogInformation("Connecting to telnet cluster {Node} at {Host}:{Port}", node.Name, node.Host, node.Port);
+
+        using var client = new TcpClient { NoDelay = true };
+        client.Client.SetSocketOption(SocketOptionLevel.Socket, SocketOptionName.KeepAlive, true);
+        client.Client.SetSocketOption(SocketOptionLevel.Tcp, SocketOptionName.TcpKeepAliveTime, KeepAliveSeconds);
+        client.Client.SetSocketOption(SocketOptionLevel.Tcp, SocketOptionName.TcpKeepAliveInterval, KeepAliveIntervalSeconds);
+        client.Client.SetSocketOption(SocketOptionLevel.Tcp, SocketOptionName.TcpKeepAliveRetryCount, KeepAliveProbes);
+        await client.ConnectAsync(node.Host, node.Port, ct);
+        var stream = client.GetStream();
+
+        var buffer = new byte[4096];
+        var pending = new StringBuilder();
+        var loggedInAt = (DateTime?)null;
+        var backfillSent = false;
+        var deadline = DateTime.UtcNow + LoginTimeout;
+
+        while (!ct.IsCancellationRequested)
+        {
+            // Before login the deadline is the login timeout; after it, the moment to send SH/DX.
+            // Once the backfill has gone, the read only waits for the idle timeout.
+            var waitForDeadline = loggedInAt == null || !backfillSent;
+
+            int read;
+            using (var timeout = CancellationTokenSource.CreateLinkedTokenSource(ct))
+            {
+                if (waitForDeadline)
+                {
+                    var wait = deadline - DateTime.UtcNow;
+                    timeout.CancelAfter(wait > TimeSpan.Zero ? wait : TimeSpan.Zero);
+                }
+                else
+                {
+                    timeout.CancelAfter(IdleTimeout);
+                }
+                try
+                {
+                    read = await stream.ReadAsync(buffer, timeout.Token);
+                }
+                catch (OperationCanceledException) when (!ct.IsCancellationRequested)
+                {
+                    if (loggedInAt == null)
+                        throw new TimeoutException("no login prompt from node");
+                    if (backfillSent)
+                        throw new TimeoutException($"nothing received for {IdleTimeout.TotalMinutes:0} minutes");
+
+                    backfillSent = true;
+                    await SendBackfill(stream, node, ct);
+                    continue;
+                }
+            }
+
+            if (read == 0)
+                return;
+
+            pending.Append(TelnetProtocol.Decode(buffer, read, out var replies));
+            if (replies.Length > 0)
+                await stream.WriteAsync(replies, ct);
+            var text = pending.ToString();
+            pending.Clear();
+
+            int newline;
+            while ((newline = text.IndexOf('\n')) >= 0)
+            {
+                var line = text[..newline].TrimEnd('\r');
+                text = text[(newline + 1)..];
+                if (loggedInAt != null)
+                    ProcessLine(node, line);
+                else if (LoginPrompt.IsMatch(line))
+                    loggedInAt = await LogIn(stream, node, callsign, ct);
+            }
+
+            // Prompts usually arrive without a newline, so check the partial line too
+            if (loggedInAt == null && LoginPrompt.IsMatch(text))
+            {
+                loggedInAt = await LogIn(stream, node, callsign, ct);
+                text = string.Empty;
+            }
+            else if (loggedInAt != null && PasswordPrompt.IsMatch(text) && !string.IsNullOrEmpty(node.Password))
+            {
+                await TelnetProtocol.SendLineAsync(stream, node.Password, ct);
+                text = string.Empty;
+            }
+            pending.Append(text);
+
+            if (loggedInAt != null && !backfillSent)
+            {
+                var settleCap = loggedInAt.Value + MaxLoginSettle;
+                var settle = DateTime.UtcNow + LoginSettle;
+                deadline = settle < settleCap ? settle : settleCap;
+            }
+        }
+    }
+
+    private async Task<DateTime> LogIn(NetworkStream stream, TelnetNodeOptions node, string callsign, CancellationToken ct)
+    {
+        await TelnetProtocol.SendLineAsync(stream, callsign, ct);
+        _status.Update(node.Name, SourceState.Connected, $"{node.Host}:{node.Port} as {callsign}");
+        _logger.LogInformation("Logged in to telnet cluster {Node} as {Call}", node.Name, callsign);
+        return DateTime.UtcNow;
+    }
+
+    private async Task SendBackfill(NetworkStream stream, TelnetNodeOptions node, CancellationToken ct)
+    {
+        if (node.Backfill <= 0) return;
+        _logger.LogInformation("Requesting {Count} backfill spots from {Node}", node.Backfill, node.Name);
+        await TelnetProtocol.SendLineAsync(stream, $"SH/DX {node.Backfill}", ct);
+    }
+
+    private void ProcessLine(TelnetNodeOptions node, string line)
+    {
+        try
+        {
+            var spot = ParseSpotLine(line, node.Name, DateTime.UtcNow);
+            if (spot == null) return;
+
+            _logger.LogDebug("Telnet {Node} spot: {Call} on {Freq} by {Spotter}", node.Name, spot.DxCall, spot.Frequency, spot.Spotter);
+            _pipeline.Submit(spot);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Error parsing telnet line from {Node}: {Line}", node.Name, line);
+        }
+    }
+
+    /// <summary>
+    /// Parses a live "DX de" announcement or an SH/DX reply line into a SpotRecord.
+    /// Returns null for anything else (prompts, talk, announcements, WWV).
+    /// </summary>
+    public static SpotRecord? ParseSpotLine(string line, string source, DateTime nowUtc)
+    {
+        string spotter, call, comment, hhmm;
+        string? spotterGrid = null;
+        double freqKhz;
+        DateTime? date = null;
+
+        var match = DxDeLine.Match(line);
+        if (match.Success)
+        {
+            spotterGrid = match.Groups["grid"].Success ? match.Groups["grid"].Value : null;
+        }
+        else
+        {
+            match = ShowDxLine.Match(line);
+            if (!match.Success) return null;
+            if (DateTime.TryParseExact(match.Groups["date"].Value, "d-MMM-yyyy", CultureInfo.InvariantCulture,
+                    DateTimeStyles.AdjustToUniversal | DateTimeStyles.AssumeUniversal, out var parsedDate))
+                date = parsedDate.Date;
+        }
+
+        spotter = match.Groups["spotter"].Value;
+        call = match.Groups["call"].Value;
+        comment = match.Groups["comment"].Value.Trim();
+        hhmm = match.Groups["time"].Value;
+        if (!double.TryParse(match.Groups["freq"].Value, NumberStyles.Float, CultureInfo.InvariantCulture, out freqKhz))
+            return null;
+
+        // Skimmer spotters appear as "W3LPL-#"; SSIDs like "-2" are not part of the call either
+        var dash = spotter.IndexOf('-');
+        if (dash > 0) spotter = spotter[..dash];
+
+        var spot = new SpotRecord
+        {
+            DxCall = call.ToUpperInvariant(),
+            Frequency = freqKhz,
+            // Band comes from the band plan in SpotProcessor, which also infers a missing mode
+            Mode = ModeFromComment(comment) ?? "unknown",
+            Spotter = spotter.ToUpperInvariant(),
+            Snr = SnrFromComment(comment),
+            Timestamp = SpotTime(hhmm, date, nowUtc),
+            Source = source,
+            SpotterGrid = spotterGrid,
+            Comment = comment.Length > 0 ? comment : null
+        };
+        return spot;
+    }
+
+    private static string? ModeFromComment(string comment)
+    {
+        foreach (var word in comment.ToUpperInvariant().Split(' ', StringSplitOptions.RemoveEmptyEntries))
+        {
+            if (Array.IndexOf(CommentModes, word) < 0) continue;
+            return word is "USB" or "LSB" ? "SSB" : word;
+        }
+        return null;
+    }
+
+    private static int? SnrFromComment(string comment)
+    {
+        var match = SnrInComment.Match(comment);
+        return match.Success && int.TryParse(match.Groups["snr"].Value, out var snr) ? snr : null;
+    }
+
+    // "DX de" lines only carry HHMM: take today's date, or yesterday's if that would be
+    // in the future (a spot from 2359Z arriving just after midnight).
+    private static DateTime SpotTime(string hhmm, DateTime? date, DateTime nowUtc)
+    {
+        var hours = int.Parse(hhmm[..2], CultureInfo.InvariantCulture);
+        var minutes = int.Parse(hhmm[2..], CultureInfo.InvariantCulture);
+        if (hours > 23 || minutes > 59) return nowUtc;
+
+        var day = date ?? nowUtc.Date;
+        var time = DateTime.SpecifyKind(day.AddHours(hours).AddMinutes(minutes), DateTimeKind.Utc);
+        if (date == null && time > nowUtc.AddMinutes(5))
+            time = time.AddDays(-1);
+        return time;
+    }
+}
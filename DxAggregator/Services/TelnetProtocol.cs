@@ -0,0 +1,72 @@
+using System.Net.Sockets;
+using System.Text;
+
+namespace DxAggregator.Services;
+
+/// <summary>
+/// Minimal telnet (RFC 854) handling shared by TelnetClusterClient and TelnetSpotServer.
+/// Both sides want a plain NVT text session, so every option the peer offers or asks
+/// for is refused and negotiation bytes are stripped from the text.
+/// </summary>
+public static class TelnetProtocol
+{
+    private const byte Iac = 255;
+    private const byte Dont = 254;
+    private const byte Do = 253;
+    private const byte Wont = 252;
+    private const byte Will = 251;
+    private const byte Sb = 250;
+    private const byte Se = 240;
+
+    /// <summary>
+    /// Returns the text in the received bytes. Refusals for any option negotiation are
+    /// returned in replies (empty if none) for the caller to send through its own writer.
+    /// </summary>
+    public static string Decode(byte[] buffer, int count, out byte[] replies)
+    {
+        if (Array.IndexOf(buffer, Iac, 0, count) < 0)
+        {
+            replies = Array.Empty<byte>();
+            return Encoding.Latin1.GetString(buffer, 0, count);
+        }
+
+        var text = new List<byte>(count);
+        var refusals = new List<byte>();
+        for (int i = 0; i < count; i++)
+        {
+            if (buffer[i] != Iac)
+            {
+                text.Add(buffer[i]);
+                continue;
+            }
+            if (i + 1 >= count) break;
+
+            var command = buffer[++i];
+            if (command is Do or Dont or Will or Wont)
+            {
+                if (i + 1 >= count) break;
+                var option = buffer[++i];
+                if (command == Do) refusals.AddRange(new[] { Iac, Wont, option });
+                else if (command == Will) refusals.AddRange(new[] { Iac, Dont, option });
+            }
+            else if (command == Sb)
+            {
+                // Skip subnegotiation up to IAC SE
+                while (i + 1 < count && !(buffer[i] == Iac && buffer[i + 1] == Se)) i++;
+                i++;
+            }
+            else if (command == Iac)
+            {
+                text.Add(Iac);
+            }
+        }
+
+        replies = refusals.ToArray();
+        return Encoding.Latin1.GetString(text.ToArray());
+    }
+
+    public static async Task SendLineAsync(NetworkStream stream, string line, CancellationToken ct)
+    {
+        await stream.WriteAsync(Encoding.ASCII.GetBytes(line + "\r\n"), ct);
+    }
+}
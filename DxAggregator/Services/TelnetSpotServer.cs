@@ -0,0 +1,412 @@
+using System.Collections.Concurrent;
+using System.Globalization;
+using System.Net;
+using System.Net.Sockets;
+using System.Text;
+using System.Threading.Channels;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
+using DxAggregator.Data;
+using DxAggregator.Models;
+
+namespace DxAggregator.Services;
+
+/// <summary>
+/// Local telnet cluster port settings, bound from the "TelnetServer" section of appsettings.json.
+/// Listens on the loopback address by default; use "0.0.0.0" to serve loggers on other PCs.
+/// </summary>
+public class TelnetServerOptions
+{
+    public bool Enabled { get; set; } = true;
+    public string Address { get; set; } = "127.0.0.1";
+    public int Port { get; set; } = 7300;
+    public int MaxClients { get; set; } = 10;
+}
+
+public record TelnetClientInfo(string Callsign, string Remote, DateTime ConnectedUtc, string Filter, long SpotsSent);
+
+/// <summary>
+/// Serves the aggregated, de-duplicated spots to logging programs (N1MM+, Log4OM, DXLab...)
+/// as a DXSpider-style telnet cluster. Each client logs in with its callsign, then receives
+/// a "DX de" line for every spot from SpotPipeline.OnNewSpot that passes its own filter.
+/// Commands: SET/FILTER BAND|MODE list, SET/FILTER OFF, SH/FILTER, SH/DX [n] [call], BYE.
+/// </summary>
+public class TelnetSpotServer : BackgroundService
+{
+    private const string NodeCall = "DXAGG";
+    private const int MaxShowDx = 100;
+
+    private readonly TelnetServerOptions _options;
+    private readonly SpotPipeline _pipeline;
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ILogger<TelnetSpotServer> _logger;
+    private readonly ConcurrentDictionary<int, ClientSession> _clients = new();
+    private int _nextClientId;
+
+    public TelnetSpotServer(IOptions<TelnetServerOptions> options, SpotPipeline pipeline,
+        IServiceScopeFactory scopeFactory, ILogger<TelnetSpotServer> logger)
+    {
+        _options = options.Value;
+        _pipeline = pipeline;
+        _scopeFactory = scopeFactory;
+        _logger = logger;
+    }
+
+    public bool Enabled => _options.Enabled;
+    public string Address => _options.Address;
+    public int Port => _options.Port;
+
+    public IReadOnlyList<TelnetClientInfo> GetClients()
+    {
+        return _clients.Values
+            .Where(c => c.Callsign != null)
+            .OrderBy(c => c.ConnectedUtc)
+            .Select(c => new TelnetClientInfo(c.Callsign!, c.Remote, c.ConnectedUtc, DescribeFilter(c.Filter), c.SpotsSent))
+            .ToList();
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        if (!_options.Enabled)
+        {
+            _logger.LogInformation("Telnet spot server disabled");
+            return;
+        }
+
+        var listener = new TcpListener(IPAddress.Parse(_options.Address), _options.Port);
+        try
+        {
+            listener.Start();
+        }
+        catch (SocketException ex)
+        {
+            // Most likely another cluster program already owns the port; the rest of the app still works
+            _logger.LogError(ex, "Telnet spot server could not listen on {Address}:{Port}", _options.Address, _options.Port);
+            return;
+        }
+
+        _logger.LogInformation("Telnet spot server listening on {Address}:{Port}", _options.Address, _options.Port);
+        _pipeline.OnNewSpot += SendSpot;
+        try
+        {
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                var tcp = await listener.AcceptTcpClientAsync(stoppingToken);
+                if (_clients.Count >= _options.MaxClients)
+                {
+                    _logger.LogWarning("Telnet spot server full, refusing {Remote}", tcp.Client.RemoteEndPoint);
+                    tcp.Dispose();
+                    continue;
+                }
+                _ = HandleClient(tcp, stoppingToken);
+            }
+        }
+        catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+        {
+        }
+        finally
+        {
+            _pipeline.OnNewSpot -= SendSpot;
+            listener.Stop();
+        }
+    }
+
+    private void SendSpot(SpotRecord spot)
+    {
+        if (_clients.IsEmpty) return;
+
+        var line = new Outgoing(Encoding.ASCII.GetBytes(FormatDxDe(spot) + "\r\n"), IsSpot: true);
+        foreach (var client in _clients.Values)
+        {
+            if (client.Callsign != null && client.Filter.Matches(spot))
+                client.Outbound.Writer.TryWrite(line);
+        }
+    }
+
+    private async Task HandleClient(TcpClient tcp, CancellationToken stoppingToken)
+    {
+        var id = Interlocked.Increment(ref _nextClientId);
+        var session = new ClientSession(tcp.Client.RemoteEndPoint?.ToString() ?? "unknown");
+        _clients[id] = session;
+
+        using var cts = CancellationTokenSource.CreateLinkedTokenSource(stoppingToken);
+        var stream = tcp.GetStream();
+        var writer = WriteLoop(stream, session, cts.Token);
+        try
+        {
+            await WriteLine(session, "Welcome to the DX Cluster Aggregator spot server", cts.Token);
+            await WritePrompt(session, "login: ", cts.Token);
+            await ReadLoop(stream, session, cts.Token);
+        }
+        catch (Exception ex) when (ex is IOException or SocketException or OperationCanceledException)
+        {
+            // Client went away or the app is stopping
+        }
+        finally
+        {
+            _clients.TryRemove(id, out _);
+            session.Outbound.Writer.TryComplete();
+            cts.Cancel();
+            try
+            {
+                await writer;
+            }
+            catch (Exception ex) when (ex is IOException or SocketException or OperationCanceledException)
+            {
+            }
+            tcp.Dispose();
+            if (session.Callsign != null)
+                _logger.LogInformation("Telnet client {Call} ({Remote}) disconnected", session.Callsign, session.Remote);
+        }
+    }
+
+    // Single writer per connection so spot lines, command replies and telnet negotiation
+    // never interleave mid-line; nothing else writes to the stream
+    private static async Task WriteLoop(NetworkStream stream, ClientSession session, CancellationToken ct)
+    {
+        await foreach (var outgoing in session.Outbound.Reader.ReadAllAsync(ct))
+        {
+            await stream.WriteAsync(outgoing.Bytes, ct);
+            if (outgoing.IsSpot) session.SpotsSent++;
+        }
+    }
+
+    private static ValueTask WriteLine(ClientSession session, string line, CancellationToken ct)
+    {
+        return WritePrompt(session, line + "\r\n", ct);
+    }
+
+    // "login: " is sent without a newline, like a real node. The command prompt
+    // is a whole line so spots that arrive afterwards still start with "DX de".
+    private static ValueTask WritePrompt(ClientSession session, string prompt, CancellationToken ct)
+    {
+        return session.Outbound.Writer.WriteAsync(new Outgoing(Encoding.ASCII.GetBytes(prompt), IsSpot: false), ct);
+    }
+
+    private async Task ReadLoop(NetworkStream stream, ClientSession session, CancellationToken ct)
+    {
+        var buffer = new byte[1024];
+        var line = new StringBuilder();
+
+        while (!ct.IsCancellationRequested)
+        {
+            var read = await stream.ReadAsync(buffer, ct);
+            if (read == 0) return;
+
+            var text = TelnetProtocol.Decode(buffer, read, out var replies);
+            if (replies.Length > 0)
+                await session.Outbound.Writer.WriteAsync(new Outgoing(replies, IsSpot: false), ct);
+
+            foreach (var c in text)
+            {
+                if (c == '\n' || c == '\r')
+                {
+                    if (line.Length == 0) continue;
+                    var command = line.ToString().Trim();
+                    line.Clear();
+                    if (!await HandleLine(session, command, ct))
+                        return;
+                }
+                else if (c == '\b' || c == '\x7f')
+                {
+                    // Typed by hand in a terminal
+                    if (line.Length > 0) line.Length--;
+                }
+                else if (!char.IsControl(c) && line.Length < 200)
+                {
+                    line.Append(c);
+                }
+            }
+        }
+    }
+
+    // Returns false when the client asked to disconnect
+    private async Task<bool> HandleLine(ClientSession session, string text, CancellationToken ct)
+    {
+        if (session.Callsign == null)
+        {
+            var call = text.ToUpperInvariant();
+            if (call.Length < 3 || call.Length > 12 || !call.All(ch => char.IsLetterOrDigit(ch) || ch == '/' || ch == '-'))
+            {
+                await WriteLine(session, "Please enter a valid callsign", ct);
+                await WritePrompt(session, "login: ", ct);
+                return true;
+            }
+            session.Callsign = call;
+            _logger.LogInformation("Telnet client {Call} logged in from {Remote}", call, session.Remote);
+            await WriteLine(session, $"Hello {call}, you will receive spots from all feeds. Type HELP for commands.", ct);
+            await WriteLine(session, Prompt(session), ct);
+            return true;
+        }
+
+        var words = text.Split(' ', StringSplitOptions.RemoveEmptyEntries);
+        if (words.Length == 0)
+        {
+            // A line of spaces: prompt again, as for an empty line in a terminal
+            await WriteLine(session, Prompt(session), ct);
+            return true;
+        }
+        var verb = words[0].ToUpperInvariant();
+        var args = words.Skip(1).ToArray();
+
+        switch (verb)
+        {
+            case "BYE":
+            case "QUIT":
+            case "Q":
+                await WriteLine(session, $"73 {session.Callsign}", ct);
+                await Task.Delay(200, ct); // let the writer flush
+                return false;
+            case "SET/FILTER":
+                await WriteLine(session, SetFilter(session, args), ct);
+                break;
+            case "SH/FILTER":
+            case "SHOW/FILTER":
+                await WriteLine(session, "Filter: " + DescribeFilter(session.Filter), ct);
+                break;
+            case "SH/DX":
+            case "SHOW/DX":
+                foreach (var line in await ShowDx(session, args, ct))
+                    await WriteLine(session, line, ct);
+                break;
+            case "HELP":
+            case "?":
+                await WriteLine(session, "SET/FILTER BAND 20m,15m   SET/FILTER MODE CW,FT8   SET/FILTER OFF", ct);
+                await WriteLine(session, "SH/FILTER   SH/DX [count] [call]   BYE", ct);
+                break;
+            default:
+                await WriteLine(session, $"Unknown command: {verb}", ct);
+                break;
+        }
+
+        await WriteLine(session, Prompt(session), ct);
+        return true;
+    }
+
+    private static string SetFilter(ClientSession session, string[] args)
+    {
+        if (args.Length == 1 && args[0].Equals("OFF", StringComparison.OrdinalIgnoreCase))
+        {
+            session.Filter = new SpotFilter();
+            return "Filter cleared, sending all spots";
+        }
+        if (args.Length < 2)
+            return "Usage: SET/FILTER BAND 20m,15m | SET/FILTER MODE CW,FT8 | SET/FILTER OFF";
+
+        var values = string.Join(",", args.Skip(1))
+            .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            .ToList();
+
+        switch (args[0].ToUpperInvariant())
+        {
+            case "BAND":
+                // "20" and "20M" both mean 20m, as loggers and people type either
+                session.Filter.Bands = values.Select(v => char.IsDigit(v[^1]) ? v + "m" : v.ToLowerInvariant()).ToList();
+                break;
+            case "MODE":
+                session.Filter.Modes = values.Select(v => v.ToUpperInvariant()).ToList();
+                break;
+            default:
+                return $"Unknown filter: {args[0]}";
+        }
+        return "Filter: " + DescribeFilter(session.Filter);
+    }
+
+    private async Task<List<string>> ShowDx(ClientSession session, string[] args, CancellationToken ct)
+    {
+        var count = 10;
+        string? call = null;
+        foreach (var arg in args)
+        {
+            if (int.TryParse(arg, out var n)) count = Math.Clamp(n, 1, MaxShowDx);
+            else call = arg.ToUpperInvariant();
+        }
+
+        using var scope = _scopeFactory.CreateScope();
+        var db = scope.ServiceProvider.GetRequiredService<SpotDb>();
+        var query = db.Spots.AsQueryable();
+
+        var bands = session.Filter.Bands;
+        if (bands.Count > 0)
+            query = query.Where(s => bands.Contains(s.Band));
+        var modes = session.Filter.Modes;
+        if (modes.Count > 0)
+            query = query.Where(s => modes.Contains(s.Mode));
+        if (call != null)
+            query = query.Where(s => s.DxCall.StartsWith(call));
+
+        var spots = await query.OrderByDescending(s => s.Timestamp).Take(count).ToListAsync(ct);
+        if (spots.Count == 0)
+            return new List<string> { "No spots found" };
+        return spots.Select(FormatShowDx).ToList();
+    }
+
+    private static string Prompt(ClientSession session)
+    {
+        return $"{session.Callsign} de {NodeCall} {DateTime.UtcNow.ToString("dd-MMM-yyyy HHmm", CultureInfo.InvariantCulture)}Z >";
+    }
+
+    private static string DescribeFilter(SpotFilter filter)
+    {
+        var parts = new List<string>();
+        parts.Add(filter.Bands.Count > 0 ? "bands " + string.Join(",", filter.Bands) : "all bands");
+        parts.Add(filter.Modes.Count > 0 ? "modes " + string.Join(",", filter.Modes) : "all modes");
+        return string.Join(", ", parts);
+    }
+
+    // Skimmer and PSK Reporter spots have no comment; give loggers the mode and SNR instead
+    private static string SpotComment(SpotRecord spot)
+    {
+        var comment = spot.Comment;
+        if (string.IsNullOrWhiteSpace(comment))
+            comment = spot.Snr != null ? $"{spot.Mode} {spot.Snr} dB" : spot.Mode;
+        comment = comment.Replace('\r', ' ').Replace('\n', ' ');
+        return comment.Length > 30 ? comment[..30] : comment;
+    }
+
+    /// <summary>
+    /// Standard DXSpider announcement layout, which loggers parse by column:
+    /// "DX de W3LPL:     14025.0  JA1ABC       CW 12 dB                       1234Z"
+    /// Like DXSpider, the spotter is cut to 7 characters and the DX call to 12, and the fields are
+    /// always separated by a space, so long calls and microwave frequencies can't run together.
+    /// </summary>
+    public static string FormatDxDe(SpotRecord spot)
+    {
+        var freq = spot.Frequency.ToString("F1", CultureInfo.InvariantCulture);
+        return $"DX de {Fit(spot.Spotter + ":", 7)} {freq,10}  {Fit(spot.DxCall, 12)} {SpotComment(spot),-30} {spot.Timestamp:HHmm}Z";
+    }
+
+    // SH/DX reply layout: "  14025.0  JA1ABC      18-Oct-2026 1234Z CW 12 dB            <W3LPL>"
+    private static string FormatShowDx(SpotRecord spot)
+    {
+        var freq = spot.Frequency.ToString("F1", CultureInfo.InvariantCulture);
+        var date = spot.Timestamp.ToString("d-MMM-yyyy HHmm", CultureInfo.InvariantCulture);
+        return $"{freq,9}  {Fit(spot.DxCall, 11)} {date}Z {SpotComment(spot),-30} <{spot.Spotter}>";
+    }
+
+    // Pads or cuts a field to a fixed width
+    private static string Fit(string value, int width) =>
+        value.Length > width ? value[..width] : value.PadRight(width);
+
+    // Bytes for the writer loop; telnet negotiation is binary (IAC is 0xFF), so text is encoded
+    // before it's queued. IsSpot counts "DX de" lines in SpotsSent once they're written.
+    private readonly record struct Outgoing(byte[] Bytes, bool IsSpot);
+
+    private sealed class ClientSession
+    {
+        public ClientSession(string remote)
+        {
+            Remote = remote;
+        }
+
+        public string Remote { get; }
+        public DateTime ConnectedUtc { get; } = DateTime.UtcNow;
+        public string? Callsign { get; set; }
+        public SpotFilter Filter { get; set; } = new();
+        public long SpotsSent { get; set; }
+
+        // Bounded so a stalled logger can't hold every spot in memory; oldest lines are dropped
+        public Channel<Outgoing> Outbound { get; } = Channel.CreateBounded<Outgoing>(
+            new BoundedChannelOptions(500) { FullMode = BoundedChannelFullMode.DropOldest, SingleReader = true });
+    }
+}
@@ -0,0 +1,387 @@
+using System.Collections.Concurrent;
+using System.Net;
+using System.Net.Sockets;
+using Microsoft.Extensions.Options;
+using DxAggregator.Models;
+
+namespace DxAggregator.Services;
+
+/// <summary>
+/// WSJT-X / JTDX UDP settings, bound from the "Wsjtx" section of appsettings.json. Point the
+/// program's "UDP Server" (Settings, Reporting) at Address:Port. To share the decodes with
+/// GridTracker or JTAlert too, have them all use a multicast group (224.0.0.73, or another in
+/// 239.255.0.0/16; not 224.0.0.1, which is every host) and set MulticastGroup; the listener then
+/// binds to every interface on Port and joins the group.
+/// </summary>
+public class WsjtxOptions
+{
+    public bool Enabled { get; set; } = false;
+    public string Address { get; set; } = "127.0.0.1";
+    public int Port { get; set; } = 2237;
+    public string? MulticastGroup { get; set; }
+
+    /// <summary>How long a decoded station counts as "decoding locally".</summary>
+    public int DecodingSeconds { get; set; } = 120;
+
+    /// <summary>Highlight stations matching a DX alert rule in WSJT-X's Band Activity window.</summary>
+    public bool Highlight { get; set; } = true;
+    public string HighlightBackground { get; set; } = "#FFA500";
+    public string HighlightForeground { get; set; } = "#000000";
+}
+
+/// <summary>A station heard by WSJT-X in the last Wsjtx:DecodingSeconds, with its latest decode.</summary>
+public record LocalDecode(string Call, string ClientId, WsjtxDecode Decode, double? FrequencyKhz, DateTime HeardUtc);
+
+public record WsjtxClientInfo(string Id, string? Version, string Remote, double? DialFrequencyKhz, string? Mode, string? DeCall,
+    DateTime LastSeenUtc);
+
+/// <summary>
+/// Listens for WSJT-X / JTDX UDP messages (see WsjtxProtocol). Each new decode from a calling
+/// station becomes a spot with Source "local" (spotter: the station's own call) and marks the
+/// call as decoding locally; Status gives the dial frequency and mode, QSO Logged is passed on
+/// to the browser. Replies ("call this station") and callsign highlights go back to the
+/// address the program sends from.
+/// </summary>
+public class WsjtxListener : BackgroundService
+{
+    public const string SourceName = "WSJT-X";
+    public const string SpotSource = "local";
+
+    private static readonly TimeSpan SweepInterval = TimeSpan.FromSeconds(15);
+    // WSJT-X sends a heartbeat every 15 seconds
+    private static readonly TimeSpan ClientTimeout = TimeSpan.FromSeconds(60);
+
+    private readonly WsjtxOptions _options;
+    private readonly SpotPipeline _pipeline;
+    private readonly SourceStatusRegistry _status;
+    private readonly SpotSubscriptions _subscriptions;
+    private readonly CtyParser _cty;
+    private readonly BandPlan _bandPlan;
+    private readonly ILogger<WsjtxListener> _logger;
+    private readonly ConcurrentDictionary<string, ClientState> _clients = new();
+    private readonly ConcurrentDictionary<string, LocalDecode> _decoding = new(StringComparer.OrdinalIgnoreCase);
+    private readonly ConcurrentDictionary<string, string> _highlighted = new(StringComparer.OrdinalIgnoreCase);
+    private UdpClient? _udp;
+
+    /// <summary>Raised with the full list whenever a station starts or stops decoding locally.</summary>
+    public event Action<IReadOnlyList<LocalDecode>>? OnDecodingChanged;
+
+    public event Action<WsjtxQsoLogged>? OnQsoLogged;
+
+    public WsjtxListener(IOptions<WsjtxOptions> options, SpotPipeline pipeline, SourceStatusRegistry status,
+        SpotSubscriptions subscriptions, CtyParser cty, BandPlan bandPlan, ILogger<WsjtxListener> logger)
+    {
+        _options = options.Value;
+        _pipeline = pipeline;
+        _status = status;
+        _subscriptions = subscriptions;
+        _cty = cty;
+        _bandPlan = bandPlan;
+        _logger = logger;
+
+        if (_options.Enabled)
+            _status.Register(SourceName, "WSJT-X", SpotSource);
+    }
+
+    public bool Enabled => _options.Enabled;
+    public bool Listening => _udp != null;
+
+    public IReadOnlyList<LocalDecode> GetDecoding()
+    {
+        return _decoding.Values.OrderByDescending(d => d.HeardUtc).ToList();
+    }
+
+    public IReadOnlyList<WsjtxClientInfo> GetClients()
+    {
+        return _clients.Values
+            .OrderBy(c => c.Id)
+            .Select(c => new WsjtxClientInfo(c.Id, c.Version, c.Remote.ToString(),
+                c.Status != null ? c.Status.DialFrequencyHz / 1000.0 : null,
+                c.Status?.Mode, c.Status?.DeCall, c.LastSeenUtc))
+            .ToList();
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        if (!_options.Enabled)
+        {
+            _logger.LogInformation("WSJT-X listener disabled");
+            return;
+        }
+
+        var udp = new UdpClient(AddressFamily.InterNetwork);
+        try
+        {
+            // Other programs (GridTracker, JTAlert) may share a multicast port
+            udp.Client.SetSocketOption(SocketOptionLevel.Socket, SocketOptionName.ReuseAddress, true);
+            if (string.IsNullOrWhiteSpace(_options.MulticastGroup))
+            {
+                udp.Client.Bind(new IPEndPoint(IPAddress.Parse(_options.Address), _options.Port));
+            }
+            else
+            {
+                udp.Client.Bind(new IPEndPoint(IPAddress.Any, _options.Port));
+                udp.JoinMulticastGroup(IPAddress.Parse(_options.MulticastGroup));
+            }
+        }
+        catch (Exception ex) when (ex is SocketException or FormatException)
+        {
+            // Most likely another program already owns the port; the rest of the app still works
+            _logger.LogError(ex, "WSJT-X listener could not listen on {Address}:{Port}", _options.Address, _options.Port);
+            _status.Update(SourceName, SourceState.Disconnected, $"can't listen on port {_options.Port}: {ex.Message}");
+            udp.Dispose();
+            return;
+        }
+
+        _udp = udp;
+        _logger.LogInformation("WSJT-X listener on {Address}:{Port}", _options.MulticastGroup ?? _options.Address, _options.Port);
+        _status.Update(SourceName, SourceState.Disconnected, $"waiting for WSJT-X on UDP port {_options.Port}");
+        _pipeline.OnNewSpot += HighlightIfWatched;
+
+        var sweep = SweepLoop(stoppingToken);
+        try
+        {
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                UdpReceiveResult datagram;
+                try
+                {
+                    datagram = await udp.ReceiveAsync(stoppingToken);
+                }
+                catch (SocketException ex)
+                {
+                    // Windows reports an ICMP "port unreachable" from an earlier send as a receive error
+                    _logger.LogDebug(ex, "WSJT-X socket error");
+                    continue;
+                }
+                Handle(datagram.Buffer, datagram.RemoteEndPoint);
+            }
+        }
+        catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+        {
+        }
+        finally
+        {
+            _pipeline.OnNewSpot -= HighlightIfWatched;
+            ClearHighlights();
+            _udp = null;
+            udp.Dispose();
+            await sweep;
+        }
+    }
+
+    private void Handle(byte[] data, IPEndPoint remote)
+    {
+        var message = WsjtxProtocol.Parse(data);
+        if (message == null) return;
+
+        var client = _clients.GetOrAdd(message.Id, id =>
+        {
+            _logger.LogInformation("WSJT-X client {Id} at {Remote}", id, remote);
+            return new ClientState(id, remote);
+        });
+        client.Remote = remote;
+        client.LastSeenUtc = DateTime.UtcNow;
+
+        switch (message)
+        {
+            case WsjtxHeartbeat heartbeat:
+                client.Version = heartbeat.Version;
+                break;
+            case WsjtxStatus status:
+                client.Status = status;
+                break;
+            case WsjtxDecode decode:
+                HandleDecode(client, decode);
+                break;
+            case WsjtxQsoLogged logged:
+                _logger.LogInformation("WSJT-X {Id} logged {Call}", logged.Id, logged.DxCall);
+                OnQsoLogged?.Invoke(logged);
+                break;
+            case WsjtxClose:
+                _clients.TryRemove(message.Id, out _);
+                _logger.LogInformation("WSJT-X client {Id} closed", message.Id);
+                break;
+        }
+        UpdateSourceStatus();
+    }
+
+    private void HandleDecode(ClientState client, WsjtxDecode decode)
+    {
+        // Old decodes re-sent after a Replay request, and decodes of recorded .wav files, aren't on the air now
+        if (!decode.IsNew || decode.OffAir) return;
+        if (!WsjtxProtocol.TryParseSender(decode.Message, out var call, out var grid)) return;
+        // The station's own transmissions are echoed as decodes too
+        if (client.Status != null && string.Equals(call, client.Status.DeCall, StringComparison.OrdinalIgnoreCase)) return;
+
+        double? freqKhz = client.Status != null ? (client.Status.DialFrequencyHz + decode.DeltaFrequencyHz) / 1000.0 : null;
+        var now = DateTime.UtcNow;
+        var isNewStation = !_decoding.ContainsKey(call);
+        _decoding[call] = new LocalDecode(call, client.Id, decode, freqKhz, now);
+
+        // Without a Status there's no dial frequency yet, so no spot; the call still counts as decoding
+        SpotRecord? spot = null;
+        if (freqKhz != null)
+        {
+            spot = new SpotRecord
+            {
+                DxCall = call,
+                Frequency = Math.Round(freqKhz.Value, 3),
+                Band = _bandPlan.FrequencyToBand(freqKhz.Value),
+                Mode = WsjtxProtocol.ModeFromCode(decode.Mode) ?? client.Status!.Mode,
+                Spotter = string.IsNullOrWhiteSpace(client.Status!.DeCall) ? SpotSource : client.Status.DeCall,
+                Snr = decode.Snr,
+                Timestamp = DecodeTime(decode.TimeMs, now),
+                Source = SpotSource,
+                Grid = grid,
+                SpotterGrid = string.IsNullOrWhiteSpace(client.Status.DeGrid) ? null : client.Status.DeGrid,
+                Comment = decode.Message.Trim()
+            };
+            // SpotProcessor fills this in too; alert rules naming an entity need it now
+            spot.DxccEntity = _cty.LookupCallsign(call)?.Entity;
+            _pipeline.Submit(spot);
+        }
+
+        if (spot != null && _subscriptions.IsWatched(spot))
+            Highlight(client.Id, call);
+        if (isNewStation)
+            RaiseDecodingChanged();
+    }
+
+    // Decode times are milliseconds since 00:00 UTC; just after midnight they may be yesterday's
+    private static DateTime DecodeTime(uint timeMs, DateTime nowUtc)
+    {
+        if (timeMs >= 86_400_000) return nowUtc;
+        var time = DateTime.SpecifyKind(nowUtc.Date.AddMilliseconds(timeMs), DateTimeKind.Utc);
+        return time > nowUtc.AddMinutes(1) ? time.AddDays(-1) : time;
+    }
+
+    /// <summary>
+    /// Asks WSJT-X to call the station, replying to its latest decode as if it were double-clicked.
+    /// Returns false if the call hasn't been decoded recently.
+    /// </summary>
+    public async Task<bool> ReplyAsync(string call, CancellationToken ct)
+    {
+        var udp = _udp ?? throw new InvalidOperationException("the WSJT-X listener is not running");
+        if (!_decoding.TryGetValue(call, out var local) || !_clients.TryGetValue(local.ClientId, out var client))
+            return false;
+
+        await udp.SendAsync(WsjtxProtocol.BuildReply(local.Decode), client.Remote, ct);
+        _logger.LogInformation("Asked WSJT-X {Id} to reply to {Call}: {Message}", client.Id, call, local.Decode.Message);
+        return true;
+    }
+
+    // A spot from any source for a station WSJT-X is decoding, matching a browser's DX alert rule
+    private void HighlightIfWatched(SpotRecord spot)
+    {
+        if (!_decoding.TryGetValue(spot.DxCall, out var local)) return;
+        if (_subscriptions.IsWatched(spot))
+            Highlight(local.ClientId, spot.DxCall);
+    }
+
+    private void Highlight(string clientId, string call)
+    {
+        if (!_options.Highlight || !_highlighted.TryAdd(call, clientId)) return;
+        Send(clientId, WsjtxProtocol.BuildHighlight(clientId, call, _options.HighlightBackground, _options.HighlightForeground, true));
+        _logger.LogInformation("Highlighted {Call} in WSJT-X {Id}", call, clientId);
+    }
+
+    // WSJT-X keeps highlights until told otherwise, so take ours down on the way out
+    private void ClearHighlights()
+    {
+        foreach (var (call, clientId) in _highlighted)
+            Send(clientId, WsjtxProtocol.BuildHighlight(clientId, call, null, null, true));
+        _highlighted.Clear();
+    }
+
+    private void Send(string clientId, byte[] datagram)
+    {
+        var udp = _udp;
+        if (udp == null || !_clients.TryGetValue(clientId, out var client)) return;
+        try
+        {
+            udp.Send(datagram, datagram.Length, client.Remote);
+        }
+        catch (SocketException ex)
+        {
+            _logger.LogWarning(ex, "Could not send to WSJT-X {Id} at {Remote}", clientId, client.Remote);
+        }
+    }
+
+    private async Task SweepLoop(CancellationToken ct)
+    {
+        using var timer = new PeriodicTimer(SweepInterval);
+        try
+        {
+            while (await timer.WaitForNextTickAsync(ct))
+                Sweep(DateTime.UtcNow);
+        }
+        catch (OperationCanceledException)
+        {
+        }
+    }
+
+    // Stations not heard for DecodingSeconds stop "decoding locally"; silent clients are dropped
+    private void Sweep(DateTime nowUtc)
+    {
+        var cutoff = nowUtc.AddSeconds(-_options.DecodingSeconds);
+        var removed = false;
+        foreach (var (call, local) in _decoding)
+        {
+            if (local.HeardUtc >= cutoff) continue;
+            _decoding.TryRemove(call, out _);
+            // Take the highlight down in WSJT-X too, or it outlives the station for the session
+            if (_highlighted.TryRemove(call, out var clientId))
+                Send(clientId, WsjtxProtocol.BuildHighlight(clientId, call, null, null, true));
+            removed = true;
+        }
+
+        var dropped = false;
+        foreach (var (id, client) in _clients)
+        {
+            if (nowUtc - client.LastSeenUtc < ClientTimeout) continue;
+            _clients.TryRemove(id, out _);
+            _logger.LogInformation("WSJT-X client {Id} stopped sending", id);
+            dropped = true;
+        }
+
+        if (removed) RaiseDecodingChanged();
+        if (dropped) UpdateSourceStatus();
+    }
+
+    private void RaiseDecodingChanged()
+    {
+        OnDecodingChanged?.Invoke(GetDecoding());
+    }
+
+    // "WSJT-X on 14074.0 kHz FT8"; only pushed when the state or text changes
+    private void UpdateSourceStatus()
+    {
+        var clients = _clients.Values.OrderBy(c => c.Id).ToList();
+        var state = clients.Count > 0 ? SourceState.Connected : SourceState.Disconnected;
+        var detail = clients.Count > 0
+            ? string.Join("; ", clients.Select(c => c.Status != null
+                ? $"{c.Id} on {c.Status.DialFrequencyHz / 1000.0:0.0} kHz {c.Status.Mode}"
+                : c.Id))
+            : $"waiting for WSJT-X on UDP port {_options.Port}";
+
+        var current = _status.GetAll().FirstOrDefault(s => s.Name == SourceName);
+        if (current != null && current.State == state && current.Detail == detail) return;
+        _status.Update(SourceName, state, detail);
+    }
+
+    private sealed class ClientState
+    {
+        public ClientState(string id, IPEndPoint remote)
+        {
+            Id = id;
+            Remote = remote;
+        }
+
+        public string Id { get; }
+        public IPEndPoint Remote { get; set; }
+        public DateTime LastSeenUtc { get; set; } = DateTime.UtcNow;
+        public string? Version { get; set; }
+        public WsjtxStatus? Status { get; set; }
+    }
+}
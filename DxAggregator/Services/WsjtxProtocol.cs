@@ -0,0 +1,357 @@
+using System.Buffers.Binary;
+using System.Text;
+using System.Text.RegularExpressions;
+
+namespace DxAggregator.Services;
+
+public enum WsjtxMessageType : uint
+{
+    Heartbeat = 0,
+    Status = 1,
+    Decode = 2,
+    Clear = 3,
+    Reply = 4,
+    QsoLogged = 5,
+    Close = 6,
+    HighlightCallsign = 13
+}
+
+/// <summary>A message from WSJT-X or JTDX; Id names the instance ("WSJT-X", "JTDX", or a --rig-name).</summary>
+public abstract record WsjtxMessage(string Id);
+
+public record WsjtxHeartbeat(string Id, uint MaxSchema, string Version) : WsjtxMessage(Id);
+
+public record WsjtxStatus(string Id, ulong DialFrequencyHz, string Mode, string DxCall, bool TxEnabled,
+    bool Transmitting, bool Decoding, string DeCall, string DeGrid) : WsjtxMessage(Id);
+
+/// <summary>
+/// One line of the Band Activity window. TimeMs is milliseconds since 00:00 UTC; Mode is the
+/// single-character code ("~" FT8, "+" FT4). A Reply must echo these fields back unchanged.
+/// </summary>
+public record WsjtxDecode(string Id, bool IsNew, uint TimeMs, int Snr, double DeltaTime, uint DeltaFrequencyHz,
+    string Mode, string Message, bool LowConfidence, bool OffAir) : WsjtxMessage(Id);
+
+public record WsjtxQsoLogged(string Id, DateTime TimeOffUtc, string DxCall, string DxGrid, ulong TxFrequencyHz,
+    string Mode, string ReportSent, string ReportReceived, DateTime TimeOnUtc) : WsjtxMessage(Id);
+
+public record WsjtxClose(string Id) : WsjtxMessage(Id);
+
+/// <summary>
+/// The WSJT-X UDP message protocol (NetworkMessage.hpp in the WSJT-X source), also spoken by JTDX.
+/// Each datagram is a Qt QDataStream: magic 0xADBCCBDA, schema, message type and the client id,
+/// then the type's fields, all big-endian. Strings are a 32-bit byte count (0xFFFFFFFF = null)
+/// followed by UTF-8. Only the messages the aggregator uses are read or written; newer clients
+/// append fields, which are ignored.
+/// </summary>
+public static class WsjtxProtocol
+{
+    public const uint Magic = 0xADBCCBDA;
+    // Schema 2 (Qt 5.4 streams) covers every field used here and is accepted by all versions
+    public const uint Schema = 2;
+
+    private static readonly Regex GridPattern = new(@"^[A-R]{2}[0-9]{2}$", RegexOptions.IgnoreCase);
+    private static readonly Regex CallPattern = new(@"^(?=.*[0-9])(?=.*[A-Z])[A-Z0-9/]{3,}$");
+    // "CQ DX", "CQ NA", "CQ POTA", "CQ 290" (a directed CQ to a frequency or region)
+    private static readonly Regex CqModifier = new(@"^([A-Z]{1,4}|[0-9]{3})$");
+
+    /// <summary>Returns the message, or null for other message types and malformed datagrams.</summary>
+    public static WsjtxMessage? Parse(byte[] data)
+    {
+        var reader = new Reader(data);
+        try
+        {
+            if (reader.UInt32() != Magic) return null;
+            reader.UInt32(); // schema: the fields read below are the same in 2 and 3
+            var type = (WsjtxMessageType)reader.UInt32();
+            var id = reader.Utf8();
+
+            switch (type)
+            {
+                case WsjtxMessageType.Heartbeat:
+                    return new WsjtxHeartbeat(id, reader.UInt32(), reader.Utf8());
+
+                case WsjtxMessageType.Status:
+                {
+                    var dial = reader.UInt64();
+                    var mode = reader.Utf8();
+                    var dxCall = reader.Utf8();
+                    reader.Utf8(); // report
+                    reader.Utf8(); // Tx mode
+                    var txEnabled = reader.Bool();
+                    var transmitting = reader.Bool();
+                    var decoding = reader.Bool();
+                    reader.UInt32(); // Rx DF
+                    reader.UInt32(); // Tx DF
+                    var deCall = reader.Utf8();
+                    var deGrid = reader.Utf8();
+                    return new WsjtxStatus(id, dial, mode, dxCall, txEnabled, transmitting, decoding, deCall, deGrid);
+                }
+
+                case WsjtxMessageType.Decode:
+                {
+                    var isNew = reader.Bool();
+                    var time = reader.UInt32();
+                    var snr = reader.Int32();
+                    var dt = reader.Double();
+                    var df = reader.UInt32();
+                    var mode = reader.Utf8();
+                    var message = reader.Utf8();
+                    // Low confidence and off air were added in later versions
+                    var lowConfidence = reader.HasMore && reader.Bool();
+                    var offAir = reader.HasMore && reader.Bool();
+                    return new WsjtxDecode(id, isNew, time, snr, dt, df, mode, message, lowConfidence, offAir);
+                }
+
+                case WsjtxMessageType.QsoLogged:
+                {
+                    var timeOff = reader.DateTime();
+                    var dxCall = reader.Utf8();
+                    var dxGrid = reader.Utf8();
+                    var txFrequency = reader.UInt64();
+                    var mode = reader.Utf8();
+                    var reportSent = reader.Utf8();
+                    var reportReceived = reader.Utf8();
+                    reader.Utf8(); // Tx power
+                    reader.Utf8(); // comments
+                    reader.Utf8(); // name
+                    var timeOn = reader.DateTime();
+                    return new WsjtxQsoLogged(id, timeOff, dxCall, dxGrid, txFrequency, mode, reportSent, reportReceived, timeOn);
+                }
+
+                case WsjtxMessageType.Close:
+                    return new WsjtxClose(id);
+
+                default:
+                    return null;
+            }
+        }
+        catch (FormatException)
+        {
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Reply: asks WSJT-X to answer a decode, as if the operator double-clicked it. WSJT-X only
+    /// acts on a CQ or a message addressed by the station, and matches it by these fields.
+    /// </summary>
+    public static byte[] BuildReply(WsjtxDecode decode)
+    {
+        var writer = new Writer(WsjtxMessageType.Reply, decode.Id);
+        writer.UInt32(decode.TimeMs);
+        writer.Int32(decode.Snr);
+        writer.Double(decode.DeltaTime);
+        writer.UInt32(decode.DeltaFrequencyHz);
+        writer.Utf8(decode.Mode);
+        writer.Utf8(decode.Message);
+        writer.Bool(decode.LowConfidence);
+        writer.Byte(0); // keyboard modifiers: none
+        return writer.ToArray();
+    }
+
+    /// <summary>
+    /// Highlight Callsign: colours the call in WSJT-X's Band Activity window. Null colours
+    /// clear a highlight set earlier. Colours are "#RRGGBB".
+    /// </summary>
+    public static byte[] BuildHighlight(string id, string call, string? background, string? foreground, bool highlightLast)
+    {
+        var writer = new Writer(WsjtxMessageType.HighlightCallsign, id);
+        writer.Utf8(call);
+        writer.Color(background);
+        writer.Color(foreground);
+        writer.Bool(highlightLast);
+        return writer.ToArray();
+    }
+
+    /// <summary>
+    /// The transmitting station and its grid, if sent, in a decoded FT8/FT4 message:
+    ///   "CQ JA1ABC PM95", "CQ DX JA1ABC PM95" → JA1ABC, PM95
+    ///   "K1ABC JA1ABC -12", "K1ABC JA1ABC R PM95" → JA1ABC
+    /// Free text, telemetry and hashed calls ("&lt;...&gt;") give false.
+    /// </summary>
+    public static bool TryParseSender(string message, out string call, out string? grid)
+    {
+        call = string.Empty;
+        grid = null;
+
+        var words = message.Trim().ToUpperInvariant().Split(' ', StringSplitOptions.RemoveEmptyEntries);
+        int index;
+        if (words.Length >= 2 && words[0] == "CQ")
+        {
+            index = words.Length >= 3 && CqModifier.IsMatch(words[1]) && IsCall(Unbracket(words[2])) ? 2 : 1;
+        }
+        else if (words.Length >= 2)
+        {
+            index = 1;
+        }
+        else
+        {
+            return false;
+        }
+
+        var candidate = Unbracket(words[index]);
+        if (!IsCall(candidate)) return false;
+        call = candidate;
+
+        var next = index + 1 < words.Length ? words[index + 1] : null;
+        if (next == "R" && index + 2 < words.Length) next = words[index + 2];
+        // "RR73" looks like a grid in the Arctic Ocean
+        if (next != null && next != "RR73" && GridPattern.IsMatch(next)) grid = next;
+        return true;
+    }
+
+    private static bool IsCall(string word) => CallPattern.IsMatch(word) && word != "RR73";
+
+    // Non-standard calls are sent as "<PJ4/K1ABC>"; "<...>" is a hash WSJT-X couldn't resolve
+    private static string Unbracket(string word) =>
+        word.Length > 2 && word[0] == '<' && word[^1] == '>' ? word[1..^1] : word;
+
+    /// <summary>Mode name for a Decode's mode character, when no Status has said it.</summary>
+    public static string? ModeFromCode(string code) => code switch
+    {
+        "~" => "FT8",
+        "+" => "FT4",
+        "#" => "JT65",
+        "@" => "JT9",
+        ":" => "Q65",
+        "`" => "FST4",
+        "&" => "MSK144",
+        _ => null
+    };
+
+    private sealed class Reader
+    {
+        // 0001-01-01 and 9999-12-31, the range of DateTime
+        private const long FirstJulianDay = 1721426;
+        private const long LastJulianDay = 5373484;
+
+        private readonly byte[] _data;
+        private int _pos;
+
+        public Reader(byte[] data) => _data = data;
+
+        public bool HasMore => _pos < _data.Length;
+
+        private ReadOnlySpan<byte> Take(int count)
+        {
+            if (count < 0 || count > _data.Length - _pos) // not _pos + count, which overflows near 2 GB
+                throw new FormatException("WSJT-X message is truncated");
+            var span = new ReadOnlySpan<byte>(_data, _pos, count);
+            _pos += count;
+            return span;
+        }
+
+        public byte Byte() => Take(1)[0];
+        public bool Bool() => Byte() != 0;
+        public uint UInt32() => BinaryPrimitives.ReadUInt32BigEndian(Take(4));
+        public int Int32() => BinaryPrimitives.ReadInt32BigEndian(Take(4));
+        public ulong UInt64() => BinaryPrimitives.ReadUInt64BigEndian(Take(8));
+        public long Int64() => BinaryPrimitives.ReadInt64BigEndian(Take(8));
+        public double Double() => BinaryPrimitives.ReadDoubleBigEndian(Take(8));
+
+        public string Utf8()
+        {
+            var length = UInt32();
+            if (length == 0xFFFFFFFF) return string.Empty; // null QByteArray
+            return Encoding.UTF8.GetString(Take((int)length)); // 2 GB and over reads as negative, and Take refuses it
+        }
+
+        // QDateTime: Julian day, milliseconds since midnight, time spec (1 = UTC, 2 = offset follows)
+        public DateTime DateTime()
+        {
+            var julianDay = Int64();
+            var ms = UInt32();
+            var spec = Byte();
+            var offsetSeconds = spec == 2 ? Int32() : 0;
+            if (spec == 3) Utf8(); // time zone id; WSJT-X sends UTC
+
+            // Qt's invalid QDate is the minimum qint64; it, and any day DateTime can't hold, makes the
+            // datagram malformed rather than an exception out of the listener
+            if (julianDay < FirstJulianDay || julianDay > LastJulianDay || (ms != 0xFFFFFFFF && ms >= 86_400_000))
+                throw new FormatException("WSJT-X date is out of range");
+
+            // Julian day 2440588 is 1970-01-01
+            var time = System.DateTime.UnixEpoch.AddDays(julianDay - 2440588);
+            if (ms != 0xFFFFFFFF) time = time.AddMilliseconds(ms);
+            try
+            {
+                return System.DateTime.SpecifyKind(time.AddSeconds(-offsetSeconds), DateTimeKind.Utc);
+            }
+            catch (ArgumentOutOfRangeException)
+            {
+                throw new FormatException("WSJT-X date is out of range"); // an offset past 0001-01-01 or 9999-12-31
+            }
+        }
+    }
+
+    private sealed class Writer
+    {
+        private readonly MemoryStream _stream = new();
+
+        public Writer(WsjtxMessageType type, string id)
+        {
+            UInt32(Magic);
+            UInt32(Schema);
+            UInt32((uint)type);
+            Utf8(id);
+        }
+
+        public void Byte(byte value) => _stream.WriteByte(value);
+        public void Bool(bool value) => _stream.WriteByte(value ? (byte)1 : (byte)0);
+
+        public void UInt32(uint value)
+        {
+            Span<byte> buffer = stackalloc byte[4];
+            BinaryPrimitives.WriteUInt32BigEndian(buffer, value);
+            _stream.Write(buffer);
+        }
+
+        public void Int32(int value)
+        {
+            Span<byte> buffer = stackalloc byte[4];
+            BinaryPrimitives.WriteInt32BigEndian(buffer, value);
+            _stream.Write(buffer);
+        }
+
+        public void UInt16(ushort value)
+        {
+            Span<byte> buffer = stackalloc byte[2];
+            BinaryPrimitives.WriteUInt16BigEndian(buffer, value);
+            _stream.Write(buffer);
+        }
+
+        public void Double(double value)
+        {
+            Span<byte> buffer = stackalloc byte[8];
+            BinaryPrimitives.WriteDoubleBigEndian(buffer, value);
+            _stream.Write(buffer);
+        }
+
+        public void Utf8(string value)
+        {
+            var bytes = Encoding.UTF8.GetBytes(value);
+            UInt32((uint)bytes.Length);
+            _stream.Write(bytes);
+        }
+
+        // QColor: spec (1 = RGB, 0 = invalid), then alpha, red, green, blue and padding as 16-bit values
+        public void Color(string? hex)
+        {
+            if (hex == null || hex.Length != 7 || hex[0] != '#')
+            {
+                Byte(0);
+                for (int i = 0; i < 5; i++) UInt16(0);
+                return;
+            }
+            var rgb = Convert.ToInt32(hex[1..], 16);
+            Byte(1);
+            UInt16(0xFFFF);
+            UInt16((ushort)(((rgb >> 16) & 0xFF) * 0x101));
+            UInt16((ushort)(((rgb >> 8) & 0xFF) * 0x101));
+            UInt16((ushort)((rgb & 0xFF) * 0x101));
+            UInt16(0);
+        }
+
+        public byte[] ToArray() => _stream.ToArray();
+    }
+}
@@ -15,14 +15,97 @@ window.scrollTo(0, 0);
     var spotTable = document.getElementById("spot-table");
     var spotStatus = document.getElementById("spot-status");
     var connectionStatus = document.getElementById("connection-status");
+    var offlineBanner = document.getElementById("offline-banner");
+    var spotDetail = document.getElementById("spot-detail");
+    var spotDetailTitle = document.getElementById("spot-detail-title");
+    var spotDetailFacts = document.getElementById("spot-detail-facts");
+    var spotDetailCaption = document.getElementById("spot-detail-history-caption");
+    var spotDetailBody = document.getElementById("spot-detail-history-body");
+    var spotDetailClose = document.getElementById("spot-detail-close");
+    var spotDetailAnnouncer = document.getElementById("spot-detail-announcer");
+    var keymapHelp = document.getElementById("keymap-help");
+    var keymapBody = document.getElementById("keymap-body");
+    var keymapResetAllBtn = document.getElementById("keymap-reset-all");
+    var keymapHelpClose = document.getElementById("keymap-help-close");
+    var keymapHelpAnnouncer = document.getElementById("keymap-help-announcer");
+    var keymapHelpBtn = document.getElementById("keymap-help-btn");
+    var sourceStatusList = document.getElementById("source-status");
+    var sourceFilter = document.getElementById("source-filter");
     var locationStatus = document.getElementById("location-status");
     var dxAlert = document.getElementById("dx-alert");
     var srAnnouncer = document.getElementById("sr-announcer");
     var callsignSearch = document.getElementById("callsign-search");
+    var cqZoneInput = document.getElementById("cq-zone-filter");
+    var entityInput = document.getElementById("entity-input");
+    var entityOptions = document.getElementById("entity-options");
+    var entityAddBtn = document.getElementById("entity-add-btn");
+    var entityFilterList = document.getElementById("entity-filter-list");
+    var minScoreInput = document.getElementById("min-score");
+    var minDistanceInput = document.getElementById("min-distance");
+    var minDistanceUnit = document.getElementById("min-distance-unit");
+    var spotterDistanceInput = document.getElementById("spotter-distance");
+    var spotterDistanceUnit = document.getElementById("spotter-distance-unit");
+    var spotterContinentToggle = document.getElementById("spotter-continent-toggle");
+    var spotterContinentName = document.getElementById("spotter-continent-name");
+    var maxAgeInput = document.getElementById("max-age");
     var locateBtn = document.getElementById("locate-btn");
     var gridInput = document.getElementById("grid-input");
     var gridSetBtn = document.getElementById("grid-set-btn");
     var phoneticToggle = document.getElementById("phonetic-toggle");
+    var groupToggle = document.getElementById("group-toggle");
+    var mapToggle = document.getElementById("map-toggle");
+    var exportFormatSelect = document.getElementById("export-format");
+    var exportBtn = document.getElementById("export-btn");
+    var spotMap = document.getElementById("spot-map");
+    var spotMapSvg = document.getElementById("spot-map-svg");
+    var spotMapNote = document.getElementById("spot-map-note");
+    var spotMapLegend = document.getElementById("spot-map-legend");
+    var alertCallInput = document.getElementById("alert-call");
+    var alertEntityInput = document.getElementById("alert-entity");
+    var alertBandSelect = document.getElementById("alert-band");
+    var alertModeSelect = document.getElementById("alert-mode");
+    var bandFilter = document.getElementById("band-filter");
+    var modeFilter = document.getElementById("mode-filter");
+    var alertDistanceInput = document.getElementById("alert-distance");
+    var alertDistanceUnit = document.getElementById("alert-distance-unit");
+    var alertAddBtn = document.getElementById("alert-add-btn");
+    var alertRuleList = document.getElementById("alert-rule-list");
+    var adifFileInput = document.getElementById("adif-file");
+    var logClearBtn = document.getElementById("log-clear-btn");
+    var logStatus = document.getElementById("log-status");
+    var rigStatus = document.getElementById("rig-status");
+    var telnetServerStatus = document.getElementById("telnet-server-status");
+    var telnetClientList = document.getElementById("telnet-client-list");
+    var speechSettings = document.getElementById("speech-settings");
+    var speechVoiceSelect = document.getElementById("speech-voice");
+    var speechRateInput = document.getElementById("speech-rate");
+    var speechPitchInput = document.getElementById("speech-pitch");
+    var speechQueueMaxInput = document.getElementById("speech-queue-max");
+    var speechTestBtn = document.getElementById("speech-test-btn");
+    var earconToggle = document.getElementById("earcon-toggle");
+    var earconPanToggle = document.getElementById("earcon-pan-toggle");
+    var earconVolumeInput = document.getElementById("earcon-volume");
+    var profileSelect = document.getElementById("profile-select");
+    var profileNameInput = document.getElementById("profile-name");
+    var profileSaveBtn = document.getElementById("profile-save-btn");
+    var profileDeleteBtn = document.getElementById("profile-delete-btn");
+    var profileNewBtn = document.getElementById("profile-new-btn");
+    var profileRenameBtn = document.getElementById("profile-rename-btn");
+    var profileExportBtn = document.getElementById("profile-export-btn");
+    var profileImportFile = document.getElementById("profile-import-file");
+    var liveTab = document.getElementById("live-tab");
+    var historyTab = document.getElementById("history-tab");
+    var spotViewPanel = document.getElementById("spot-view");
+    var historyControls = document.getElementById("history-controls");
+    var historyFromInput = document.getElementById("history-from");
+    var historyToInput = document.getElementById("history-to");
+    var historySearchBtn = document.getElementById("history-search-btn");
+    var historyNewerBtn = document.getElementById("history-newer-btn");
+    var historyOlderBtn = document.getElementById("history-older-btn");
+    var conditionsTab = document.getElementById("conditions-tab");
+    var conditionsView = document.getElementById("conditions-view");
+    var conditionsCaption = document.getElementById("conditions-caption");
+    var conditionsBody = document.getElementById("conditions-body");
 
     // --- State ---
     var allSpots = [];
@@ -31,21 +114,75 @@ window.scrollTo(0, 0);
     var announceDebounceMs = 3000; // batch announcements over 3 seconds
     var storagePrefix = "dx-agg-";
 
+    // --- Live subscription state (SpotHub.Subscribe filter; see subscribeToSpots) ---
+    var hubConnection = null;
+    var subscribedFilterJson = null;
+    var resubscribeTimer = null;
+    var resubscribeDebounceMs = 500;
+    var minDistanceKm = null;
+    // "Heard near me": spotters within this many km of the QTH, and/or on the QTH's continent
+    var spotterMaxDistanceKm = null;
+    var spotterSameContinent = false;
+
+    // --- Spot feed state (from /api/sources; hiddenSources are SpotRecord.Source values switched off) ---
+    var spotFeeds = [];
+    var hiddenSources = [];
+
+    // --- WSJT-X state (stations decoded locally, by call; see applyLocalDecodes) ---
+    var localDecodes = {};
+
+    // --- Entity filter state (DXCC entity names as in cty.dat; empty = all entities) ---
+    var entityFilter = [];
+    var entityNames = []; // from /api/entities, for the picker's suggestions
+
     // --- User location state ---
     var userLat = null;
     var userLon = null;
     var userGrid = null;
+    var userContinent = null; // from /api/location/continent, for "spotters on my continent"
 
     // --- List size state ---
     var listMode = "long"; // "long" (100) or "short" (10)
     var listSizes = { long: 100, short: 20 };
 
     function getMaxRows() {
+        if (spotView === "history") return historyPageSize;
         return listSizes[listMode] || 100;
     }
 
-    // --- Location restore flag (defer initial load until server knows location) ---
-    var locationRestorePending = false;
+    // --- Spot age state: live spots older than this leave allSpots and the grid ---
+    var maxSpotAgeMinutes = 20;
+    // The server only serves spots this recent as live (SpotPruneService.LiveSpotAge), so a longer
+    // max age would keep spots that a reload or reconnect can't bring back
+    var maxSpotAgeLimit = 20;
+    var ageTickMs = 30000;
+
+    // --- Spot view state ("live" grid, "history" pages from /api/spots?from=&to=, or band "conditions") ---
+    var spotView = "live";
+    var viewTabIds = { live: "live-tab", history: "history-tab", conditions: "conditions-tab" };
+    var historySpots = [];
+    var historyQuery = null; // filter + time range of the last search, reused when paging
+    var historyPage = 1;
+    var historyPageSize = 100;
+    // Page n + 1 is the spots before the last of page n: historyCursors[n] is "beforeTime=...&beforeId=...&"
+    var historyCursors = [""];
+    var historyHasOlder = false;
+
+    // --- Station grouping state (spots of one DX call on one band share a row) ---
+    var groupByStation = true;
+    var expandedGroups = {}; // groupKey -> true while its individual reports are shown
+
+    // --- Spot map state (coastline.json is fetched the first time the map is shown) ---
+    var showMap = false;
+    var coastlines = null;
+    var mapCentre = null;     // "lat,lon" the coastline layer was projected for
+    var mapRenderTimer = null;
+    var mapPoints = [];       // <circle> per top-level grid row, in grid order
+    var pointRows = new WeakMap();
+
+    // --- Sort state (column key from spotColumns, direction as used by aria-sort) ---
+    var sortKey = "distance"; // distance falls back to newest-first until location is known
+    var sortDir = "descending";
 
     // --- Grid freeze state ---
     var reannouncing = false;
@@ -55,35 +192,93 @@ window.scrollTo(0, 0);
     var freezeCheckTimer = null;
     var freezeIdleMs = 60000; // 60 seconds without focus movement = unfreeze
 
+    // --- DX alert state ---
+    // Each rule: { call, entity, band, mode, minDistanceKm } — empty fields match anything
+    var alertRules = [];
+    var lastAlertSpot = null;
+    // "CALL|band" -> when that station last raised an alert; repeats within alertRepeatMs are
+    // announced as ordinary spots
+    var alertedStations = {};
+    var alertRepeatMs = 10 * 60000;
+
+    // --- Speech synthesis state (Web Speech API output for "Speak aloud" mode) ---
+    var speechSupported = "speechSynthesis" in window && typeof SpeechSynthesisUtterance !== "undefined";
+    var speechQueue = [];
+    var speechCurrent = null;
+    var savedSpeechVoice = "";
+
+    // --- Earcon state (AudioContext is created on first use, after a user gesture) ---
+    var audioCtx = null;
+    var lastEarconTime = 0;
+
+    // --- Filter profile state ({ name, settings } in localStorage order; Ctrl+digit picks by position) ---
+    var profiles = [];
+    var activeProfileName = "";
+
+    // --- Imported logbook state (null until a log is loaded from IndexedDB) ---
+    var logIndex = null;
+    var logStatusLabels = {
+        "new-one": "new one",
+        "new-band": "new band",
+        "new-mode": "new mode",
+        "worked": "worked before"
+    };
+
+    // --- Band plan state (/api/bandplan; the last one is kept in localStorage for offline starts) ---
+    var bandPlan = null;
+
     // --- localStorage persistence ---
     function saveFilters() {
         try {
-            localStorage.setItem(storagePrefix + "bands", JSON.stringify(getSelectedBands()));
-            localStorage.setItem(storagePrefix + "modes", JSON.stringify(getSelectedModes()));
+            // Until a band plan arrives there are no band or mode boxes to save
+            if (bandPlan) {
+                localStorage.setItem(storagePrefix + "bands", JSON.stringify(getSelectedBands()));
+                localStorage.setItem(storagePrefix + "modes", JSON.stringify(getSelectedModes()));
+            }
+            localStorage.setItem(storagePrefix + "logstatus", JSON.stringify(getSelectedLogStatuses()));
+            localStorage.setItem(storagePrefix + "hiddenSources", JSON.stringify(hiddenSources));
             localStorage.setItem(storagePrefix + "callsign", callsignSearch.value || "");
+            localStorage.setItem(storagePrefix + "continents", JSON.stringify(getSelectedContinents()));
+            localStorage.setItem(storagePrefix + "cqZones", cqZoneInput.value || "");
+            localStorage.setItem(storagePrefix + "entities", JSON.stringify(entityFilter));
+            localStorage.setItem(storagePrefix + "minScore", getMinScore().toString());
+            localStorage.setItem(storagePrefix + "minDistanceKm", minDistanceKm != null ? minDistanceKm.toString() : "");
+            localStorage.setItem(storagePrefix + "spotterMaxDistanceKm", spotterMaxDistanceKm != null ? spotterMaxDistanceKm.toString() : "");
+            localStorage.setItem(storagePrefix + "spotterSameContinent", spotterSameContinent ? "1" : "0");
+            localStorage.setItem(storagePrefix + "maxSpotAge", maxSpotAgeMinutes.toString());
+            localStorage.setItem(storagePrefix + "group", groupByStation ? "1" : "0");
+            localStorage.setItem(storagePrefix + "map", showMap ? "1" : "0");
+            localStorage.setItem(storagePrefix + "exportFormat", exportFormatSelect.value);
+            localStorage.setItem(storagePrefix + "sortKey", sortKey);
+            localStorage.setItem(storagePrefix + "sortDir", sortDir);
             localStorage.setItem(storagePrefix + "announce", getAnnounceLevel());
             localStorage.setItem(storagePrefix + "phonetic", phoneticToggle.checked ? "1" : "0");
+            localStorage.setItem(storagePrefix + "speechVoice", speechVoiceSelect.value || savedSpeechVoice);
+            localStorage.setItem(storagePrefix + "speechRate", speechRateInput.value);
+            localStorage.setItem(storagePrefix + "speechPitch", speechPitchInput.value);
+            localStorage.setItem(storagePrefix + "speechQueueMax", getSpeechQueueMax().toString());
+            localStorage.setItem(storagePrefix + "alerts", JSON.stringify(alertRules));
+            localStorage.setItem(storagePrefix + "earcons", earconToggle.checked ? "1" : "0");
+            localStorage.setItem(storagePrefix + "earconPan", earconPanToggle.checked ? "1" : "0");
+            localStorage.setItem(storagePrefix + "earconVolume", earconVolumeInput.value);
         } catch (e) { /* localStorage unavailable */ }
     }
 
     function restoreFilters() {
         try {
             var bands = localStorage.getItem(storagePrefix + "bands");
-            if (bands) {
-                bands = JSON.parse(bands);
-                var bandInputs = document.querySelectorAll('input[name="band"]');
-                for (var i = 0; i < bandInputs.length; i++) {
-                    bandInputs[i].checked = bands.indexOf(bandInputs[i].value) !== -1;
-                }
-            }
+            if (bands) setCheckedValues("band", JSON.parse(bands));
 
             var modes = localStorage.getItem(storagePrefix + "modes");
-            if (modes) {
-                modes = JSON.parse(modes);
-                var modeInputs = document.querySelectorAll('input[name="mode"]');
-                for (var i = 0; i < modeInputs.length; i++) {
-                    modeInputs[i].checked = modes.indexOf(modeInputs[i].value) !== -1;
-                }
+            if (modes) setCheckedValues("mode", JSON.parse(modes));
+
+            var logStatuses = localStorage.getItem(storagePrefix + "logstatus");
+            if (logStatuses) setCheckedValues("logstatus", JSON.parse(logStatuses));
+
+            var savedHiddenSources = localStorage.getItem(storagePrefix + "hiddenSources");
+            if (savedHiddenSources) {
+                savedHiddenSources = JSON.parse(savedHiddenSources);
+                if (Array.isArray(savedHiddenSources)) hiddenSources = savedHiddenSources;
             }
 
             var callsign = localStorage.getItem(storagePrefix + "callsign");
@@ -91,35 +286,108 @@ window.scrollTo(0, 0);
                 callsignSearch.value = callsign;
             }
 
+            var continents = localStorage.getItem(storagePrefix + "continents");
+            if (continents) setCheckedValues("continent", JSON.parse(continents));
+
+            var cqZones = localStorage.getItem(storagePrefix + "cqZones");
+            if (cqZones) cqZoneInput.value = cqZones;
+
+            var savedEntities = localStorage.getItem(storagePrefix + "entities");
+            if (savedEntities) {
+                savedEntities = JSON.parse(savedEntities);
+                if (Array.isArray(savedEntities)) entityFilter = savedEntities;
+            }
+
+            var minScore = localStorage.getItem(storagePrefix + "minScore");
+            if (minScore && minScoreInput) {
+                minScoreInput.value = minScore;
+            }
+
+            var savedMinDistance = parseFloat(localStorage.getItem(storagePrefix + "minDistanceKm"));
+            if (savedMinDistance > 0) minDistanceKm = savedMinDistance;
+
+            var savedSpotterDistance = parseFloat(localStorage.getItem(storagePrefix + "spotterMaxDistanceKm"));
+            if (savedSpotterDistance > 0) spotterMaxDistanceKm = savedSpotterDistance;
+            spotterSameContinent = localStorage.getItem(storagePrefix + "spotterSameContinent") === "1";
+
+            var savedMaxAge = parseInt(localStorage.getItem(storagePrefix + "maxSpotAge"), 10);
+            if (savedMaxAge > 0) maxSpotAgeMinutes = Math.min(savedMaxAge, maxSpotAgeLimit);
+
+            var savedSortKey = localStorage.getItem(storagePrefix + "sortKey");
+            var savedSortDir = localStorage.getItem(storagePrefix + "sortDir");
+            if (savedSortKey && getSpotColumn(savedSortKey)) {
+                sortKey = savedSortKey;
+                sortDir = savedSortDir === "ascending" ? "ascending" : "descending";
+            } else if (localStorage.getItem(storagePrefix + "sort") === "score") {
+                // Older versions only offered a distance/score toggle
+                sortKey = "score";
+                sortDir = "descending";
+            }
+
             var announce = localStorage.getItem(storagePrefix + "announce");
             if (announce) {
                 var radio = document.querySelector('input[name="announce"][value="' + announce + '"]');
-                if (radio) radio.checked = true;
-                if (announce === "off") {
-                    srAnnouncer.removeAttribute("aria-live");
-                } else {
-                    srAnnouncer.setAttribute("aria-live", announce);
-                }
+                if (radio && !radio.disabled) radio.checked = true;
             }
 
             var phonetic = localStorage.getItem(storagePrefix + "phonetic");
             if (phonetic === "1") phoneticToggle.checked = true;
-            phoneticToggle.disabled = getAnnounceLevel() === "off";
+
+            savedSpeechVoice = localStorage.getItem(storagePrefix + "speechVoice") || "";
+            var speechRate = localStorage.getItem(storagePrefix + "speechRate");
+            if (speechRate) speechRateInput.value = speechRate;
+            var speechPitch = localStorage.getItem(storagePrefix + "speechPitch");
+            if (speechPitch) speechPitchInput.value = speechPitch;
+            var speechQueueMax = localStorage.getItem(storagePrefix + "speechQueueMax");
+            if (speechQueueMax) speechQueueMaxInput.value = speechQueueMax;
+
+            earconToggle.checked = localStorage.getItem(storagePrefix + "earcons") === "1";
+            earconPanToggle.checked = localStorage.getItem(storagePrefix + "earconPan") !== "0";
+            var earconVolume = localStorage.getItem(storagePrefix + "earconVolume");
+            if (earconVolume) earconVolumeInput.value = earconVolume;
+
+            var alerts = localStorage.getItem(storagePrefix + "alerts");
+            if (alerts) {
+                alerts = JSON.parse(alerts);
+                if (Array.isArray(alerts)) alertRules = alerts;
+            }
+
+            var savedProfiles = localStorage.getItem(storagePrefix + "profiles");
+            if (savedProfiles) {
+                savedProfiles = JSON.parse(savedProfiles);
+                if (Array.isArray(savedProfiles)) profiles = savedProfiles.filter(isUsableProfile);
+            }
+            activeProfileName = localStorage.getItem(storagePrefix + "profile") || "";
 
             // Restore user location
             var savedGrid = localStorage.getItem(storagePrefix + "grid");
             var savedLat = localStorage.getItem(storagePrefix + "lat");
             var savedLon = localStorage.getItem(storagePrefix + "lon");
             if (savedGrid) {
-                userGrid = savedGrid;
-                if (gridInput) gridInput.value = savedGrid;
-                if (savedLat && savedLon) {
-                    userLat = parseFloat(savedLat);
-                    userLon = parseFloat(savedLon);
+                var savedPosition = savedLat && savedLon
+                    ? { lat: parseFloat(savedLat), lon: parseFloat(savedLon) }
+                    : gridToLatLon(savedGrid);
+                if (savedPosition) {
+                    userGrid = savedGrid;
+                    userLat = savedPosition.lat;
+                    userLon = savedPosition.lon;
+                    userContinent = localStorage.getItem(storagePrefix + "qthContinent") || null;
+                    if (gridInput) gridInput.value = savedGrid;
+                    updateLocationStatus("Your grid: " + userGrid);
                 }
-                updateLocationStatus("Your grid: " + userGrid);
-                locationRestorePending = true;
-                sendGridToBackend(savedGrid, false);
+            }
+
+            // Restore station grouping (on unless turned off)
+            groupByStation = localStorage.getItem(storagePrefix + "group") !== "0";
+            if (groupToggle) groupToggle.checked = groupByStation;
+
+            showMap = localStorage.getItem(storagePrefix + "map") === "1";
+            mapToggle.checked = showMap;
+            spotMap.hidden = !showMap;
+
+            var savedExportFormat = localStorage.getItem(storagePrefix + "exportFormat");
+            if (savedExportFormat === "csv" || savedExportFormat === "adif" || savedExportFormat === "json") {
+                exportFormatSelect.value = savedExportFormat;
             }
 
             // Restore list mode
@@ -131,8 +399,102 @@ window.scrollTo(0, 0);
         } catch (e) { /* localStorage unavailable */ }
     }
 
+    // --- Band plan ---
+    // The band and mode filters are built from the server's band plan: bands in frequency
+    // order (which the pitch of earcons and the band conditions order follow) and the modes
+    // it lists. Sub-band segments name the part of the band a spot is in ("CW segment").
+    function readCachedBandPlan() {
+        try {
+            var saved = localStorage.getItem(storagePrefix + "bandPlan");
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function readSavedValues(key) {
+        try {
+            var saved = JSON.parse(localStorage.getItem(storagePrefix + key));
+            return Array.isArray(saved) ? saved : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // items: [{ value, checked }]; selected (when given) overrides the plan's defaults
+    function renderFilterCheckboxes(fieldset, name, items, selected) {
+        var labels = fieldset.querySelectorAll("label");
+        for (var i = 0; i < labels.length; i++) fieldset.removeChild(labels[i]);
+        items.forEach(function (item) {
+            var label = document.createElement("label");
+            var input = document.createElement("input");
+            input.type = "checkbox";
+            input.name = name;
+            input.value = item.value;
+            input.checked = selected ? selected.indexOf(item.value) !== -1 : item.checked;
+            label.appendChild(input);
+            label.appendChild(document.createTextNode(" " + item.value));
+            fieldset.appendChild(label);
+        });
+    }
+
+    function renderBandPlan(selectedBands, selectedModes) {
+        if (!bandPlan) return;
+        renderFilterCheckboxes(bandFilter, "band", bandPlan.bands.map(function (b) {
+            return { value: b.band, checked: b.default };
+        }), selectedBands);
+        renderFilterCheckboxes(modeFilter, "mode", bandPlan.modes.map(function (m) {
+            return { value: m.mode, checked: m.default };
+        }), selectedModes);
+        populateAlertSelects();
+    }
+
+    // A changed plan rebuilds the filters keeping the ticks (or, on a first start, the saved ones)
+    function loadBandPlan() {
+        fetch("/api/bandplan")
+            .then(function (r) {
+                if (!r.ok) throw new Error("HTTP " + r.status);
+                return r.json();
+            })
+            .then(function (plan) {
+                var json = JSON.stringify(plan);
+                if (bandPlan && JSON.stringify(bandPlan) === json) return;
+                var bands = bandPlan ? getSelectedBands() : readSavedValues("bands");
+                var modes = bandPlan ? getSelectedModes() : readSavedValues("modes");
+                bandPlan = plan;
+                try {
+                    localStorage.setItem(storagePrefix + "bandPlan", json);
+                } catch (e) { /* localStorage unavailable */ }
+                renderBandPlan(bands, modes);
+                saveFilters();
+                renderFullTable();
+                scheduleResubscribe();
+            })
+            .catch(function (err) {
+                console.error("Failed to load band plan:", err);
+            });
+    }
+
+    function findBandSegment(freq) {
+        if (!bandPlan || !freq) return null;
+        for (var i = 0; i < bandPlan.bands.length; i++) {
+            var band = bandPlan.bands[i];
+            if (freq < band.lowKhz || freq >= band.highKhz) continue;
+            for (var j = 0; j < band.segments.length; j++) {
+                var segment = band.segments[j];
+                if (freq >= segment.lowKhz && freq < segment.highKhz) return segment;
+            }
+            return null;
+        }
+        return null;
+    }
+
     // Restore saved filters before loading any data
+    if (!speechSupported) disableSpeechOption();
+    bandPlan = readCachedBandPlan();
+    renderBandPlan(null, null);
     restoreFilters();
+    applyAnnounceLevel();
 
     // --- Filter state ---
     function getSelectedBands() {
@@ -149,25 +511,147 @@ window.scrollTo(0, 0);
         return modes;
     }
 
+    function getSelectedContinents() {
+        var checked = document.querySelectorAll('input[name="continent"]:checked');
+        var continents = [];
+        for (var i = 0; i < checked.length; i++) continents.push(checked[i].value);
+        return continents;
+    }
+
+    function getSelectedLogStatuses() {
+        var checked = document.querySelectorAll('input[name="logstatus"]:checked');
+        var statuses = [];
+        for (var i = 0; i < checked.length; i++) statuses.push(checked[i].value);
+        return statuses;
+    }
+
+    function setCheckedValues(name, values) {
+        var inputs = document.querySelectorAll('input[name="' + name + '"]');
+        for (var i = 0; i < inputs.length; i++) {
+            inputs[i].checked = values.indexOf(inputs[i].value) !== -1;
+        }
+    }
+
     function getAnnounceLevel() {
         var selected = document.querySelector('input[name="announce"]:checked');
         return selected ? selected.value : "polite";
     }
 
+    // Syncs the live region, phonetic toggle and speech settings with the selected mode
+    function applyAnnounceLevel() {
+        var level = getAnnounceLevel();
+        if (level === "polite") {
+            srAnnouncer.setAttribute("aria-live", level);
+        } else {
+            // "off" is silent; "speech" talks through speechSynthesis, so the live region
+            // stays quiet rather than doubling up with a screen reader
+            srAnnouncer.removeAttribute("aria-live");
+        }
+        phoneticToggle.disabled = level === "off";
+        speechSettings.disabled = level !== "speech";
+        if (level !== "speech") stopSpeaking();
+    }
+
     function getCallsignFilter() {
         return (callsignSearch.value || "").trim().toUpperCase();
     }
 
+    // "26-30, 33" -> [26, 27, 28, 29, 30, 33]; null when the box doesn't parse (the filter is then
+    // ignored and the box marked invalid), [] when it's empty
+    function parseCqZones(text) {
+        var zones = [];
+        var parts = (text || "").split(",");
+        for (var i = 0; i < parts.length; i++) {
+            var part = parts[i].trim();
+            if (!part) continue;
+            var match = /^(\d{1,2})\s*(?:-\s*(\d{1,2}))?$/.exec(part);
+            if (!match) return null;
+            var first = parseInt(match[1], 10);
+            var last = match[2] ? parseInt(match[2], 10) : first;
+            if (first < 1 || last > 40 || first > last) return null;
+            for (var z = first; z <= last; z++) {
+                if (zones.indexOf(z) === -1) zones.push(z);
+            }
+        }
+        return zones;
+    }
+
+    function getCqZones() {
+        var zones = parseCqZones(cqZoneInput.value);
+        if (zones) {
+            cqZoneInput.removeAttribute("aria-invalid");
+        } else {
+            cqZoneInput.setAttribute("aria-invalid", "true");
+        }
+        return zones || [];
+    }
+
+    function getMinScore() {
+        var value = minScoreInput ? parseInt(minScoreInput.value, 10) : 0;
+        return isNaN(value) ? 0 : Math.max(0, Math.min(100, value));
+    }
+
+    // Min distance is kept in km; the box shows it in the grid's display unit
+    function renderMinDistance() {
+        minDistanceUnit.textContent = usesMiles() ? "mi" : "km";
+        if (document.activeElement === minDistanceInput) return;
+        minDistanceInput.value = minDistanceKm ? Math.round(usesMiles() ? minDistanceKm * KM_TO_MI : minDistanceKm) : "";
+    }
+
+    function readMinDistanceInput() {
+        var dist = parseFloat(minDistanceInput.value);
+        minDistanceKm = !isNaN(dist) && dist > 0 ? (usesMiles() ? Math.round(dist / KM_TO_MI) : dist) : null;
+    }
+
+    // "Heard near me", kept in km like min distance; the tick box names the QTH's continent once known
+    function renderSpotterFilter() {
+        spotterDistanceUnit.textContent = usesMiles() ? "mi" : "km";
+        spotterContinentToggle.checked = spotterSameContinent;
+        spotterContinentName.textContent = userContinent ? " (" + userContinent + ")" : "";
+        if (document.activeElement === spotterDistanceInput) return;
+        spotterDistanceInput.value = spotterMaxDistanceKm
+            ? Math.round(usesMiles() ? spotterMaxDistanceKm * KM_TO_MI : spotterMaxDistanceKm) : "";
+    }
+
+    function readSpotterDistanceInput() {
+        var dist = parseFloat(spotterDistanceInput.value);
+        spotterMaxDistanceKm = !isNaN(dist) && dist > 0 ? (usesMiles() ? Math.round(dist / KM_TO_MI) : dist) : null;
+    }
+
+    // Until the QTH's continent is known the continent filter lets every spot through
+    function getSpotterContinent() {
+        return spotterSameContinent ? userContinent : null;
+    }
+
     // --- Filtering ---
     function spotMatchesFilters(spot) {
         var bands = getSelectedBands();
         var modes = getSelectedModes();
         var callFilter = getCallsignFilter();
 
+        if (hiddenSources.indexOf(spot.source) !== -1) return false;
         if (bands.length > 0 && bands.indexOf(spot.band) === -1) return false;
         if (modes.length > 0 && modes.indexOf(spot.mode) === -1) return false;
         if (callFilter && spot.dxCall.indexOf(callFilter) !== 0) return false;
 
+        var continents = getSelectedContinents();
+        if (continents.length > 0 && continents.indexOf(spot.continent) === -1) return false;
+        var zones = getCqZones();
+        if (zones.length > 0 && zones.indexOf(spot.cqZone) === -1) return false;
+        if (entityFilter.length > 0 && findEntityIndex(entityFilter, spot.dxccEntity) === -1) return false;
+
+        var minScore = getMinScore();
+        if (minScore > 0 && spot.desirabilityScore < minScore) return false;
+
+        if (minDistanceKm && (spot.distanceKm == null || spot.distanceKm < minDistanceKm)) return false;
+        if (spotterMaxDistanceKm && (spot.spotterDistanceKm == null || spot.spotterDistanceKm > spotterMaxDistanceKm)) return false;
+        var spotterContinent = getSpotterContinent();
+        if (spotterContinent && spot.spotterContinent !== spotterContinent) return false;
+
+        // Without a log every spot's status is unknown, so the ticked statuses wait for an import
+        var statuses = getSelectedLogStatuses();
+        if (logIndex && statuses.length > 0 && statuses.indexOf(getLogStatus(spot)) === -1) return false;
+
         return true;
     }
 
@@ -245,9 +729,60 @@ window.scrollTo(0, 0);
     function speakTime(isoString) {
         var t = formatTime(isoString); // "HH:MM:SS"
         if (!t) return "";
+        // History spans days, so its spots also give the date
+        if (spotView === "history") return speakDate(isoString) + " at " + t.replace(/:/g, " ");
         return "at " + t.replace(/:/g, " ");
     }
 
+    var monthNames = ["January", "February", "March", "April", "May", "June", "July",
+        "August", "September", "October", "November", "December"];
+
+    // Read from the string like formatTime: stored timestamps are UTC but may lack the "Z"
+    function speakDate(isoString) {
+        var month = monthNames[parseInt(isoString.substr(5, 2), 10) - 1];
+        return month ? parseInt(isoString.substr(8, 2), 10) + " " + month : "";
+    }
+
+    // Whole minutes since the spot, by this PC's clock (never negative), or null without a time
+    function getSpotAgeMinutes(spot) {
+        if (!spot.timestamp) return null;
+        var ts = spot.timestamp;
+        var ms = Date.parse(/(Z|[+-]\d\d:?\d\d)$/i.test(ts) ? ts : ts + "Z");
+        if (isNaN(ms)) return null;
+        return Math.max(0, Math.floor((Date.now() - ms) / 60000));
+    }
+
+    // "4 min"; history reaches back hours and days: "3 h", "2 d"
+    function formatAge(minutes) {
+        if (minutes == null) return "";
+        if (minutes < 1) return "<1 min";
+        if (minutes < 60) return minutes + " min";
+        if (minutes < 48 * 60) return Math.floor(minutes / 60) + " h";
+        return Math.floor(minutes / (24 * 60)) + " d";
+    }
+
+    function speakAge(minutes) {
+        if (minutes == null) return "";
+        if (minutes < 1) return "just now";
+        if (minutes < 60) return minutes + (minutes === 1 ? " minute ago" : " minutes ago");
+        var hours = Math.floor(minutes / 60);
+        if (hours < 48) return hours + (hours === 1 ? " hour ago" : " hours ago");
+        return Math.floor(hours / 24) + " days ago";
+    }
+
+    function isSpotExpired(spot) {
+        var minutes = getSpotAgeMinutes(spot);
+        return minutes != null && minutes >= maxSpotAgeMinutes;
+    }
+
+    // Live rows fade as they near the max age: past half of it, and past three quarters
+    function getAgeClass(spot) {
+        if (spotView !== "live") return "";
+        var minutes = getSpotAgeMinutes(spot);
+        if (minutes == null || minutes < maxSpotAgeMinutes / 2) return "";
+        return minutes < maxSpotAgeMinutes * 0.75 ? "spot-aging" : "spot-old";
+    }
+
     function speakFrequency(freq) {
         if (!freq) return "";
         var s = freq.toFixed(1);
@@ -256,378 +791,3417 @@ window.scrollTo(0, 0);
 
     function speakBand(band) {
         if (!band) return "";
-        // "20m" -> "20 meters"
-        return band.replace("m", " meters");
+        // "20m" -> "20 meters", "70cm" -> "70 centimeters"
+        return band.replace(/(\d)(c?)m$/, function (all, digit, centi) {
+            return digit + (centi ? " centimeters" : " meters");
+        });
+    }
+
+    // "20 meters CW segment" when the band plan names the part of the band the spot is in
+    function speakBandSegment(spot) {
+        var segment = findBandSegment(spot.frequency);
+        return speakBand(spot.band) + (segment ? " " + segment.name + " segment" : "");
+    }
+
+    // "20m" -> "band-20", "70cm" -> "band-70cm" (the band colours in style.css)
+    function bandClass(band) {
+        return "band-" + (band || "unknown").replace(/(\d)m$/, "$1");
+    }
+
+    function speakDistance(km) {
+        if (km == null) return "";
+        if (usesMiles()) return Math.round(km * KM_TO_MI) + " miles";
+        return Math.round(km) + " kilometers";
+    }
+
+    function speakSnr(snr) {
+        if (snr > 0) return "plus " + snr;
+        if (snr < 0) return "minus " + Math.abs(snr);
+        return "zero";
     }
 
     function buildRowSummary(spot) {
         var parts = [];
+        if (findAlertRule(spot)) parts.push("Alert");
         parts.push(speakTime(spot.timestamp));
+        var age = speakAge(getSpotAgeMinutes(spot));
+        if (age) parts.push(age);
         if (spot.dxCall) parts.push(spellCall(spot.dxCall));
+        if (isDecodingLocally(spot)) parts.push("decoding locally");
+        var logTag = getLogStatus(spot);
+        if (logTag) parts.push(logStatusLabels[logTag]);
         parts.push(speakFrequency(spot.frequency));
-        if (spot.band) parts.push(speakBand(spot.band));
+        if (spot.band) parts.push(speakBandSegment(spot));
         if (spot.mode) parts.push(spot.mode);
-        if (spot.distanceKm != null) {
-            if (usesMiles()) {
-                parts.push(Math.round(spot.distanceKm * KM_TO_MI) + " miles");
-            } else {
-                parts.push(Math.round(spot.distanceKm) + " kilometers");
+        if (spot.distanceKm != null) parts.push(speakDistance(spot.distanceKm));
+        if (spot.bearing != null) parts.push(Math.round(spot.bearing) + " degrees");
+        if (spot.spots && spot.spotterCount > 1) {
+            // Station group: describe the reports rather than one spotter
+            parts.push("heard by " + spot.spotterCount + " spotters");
+            if (spot.nearestSpotterKm != null) parts.push("nearest " + speakDistance(spot.nearestSpotterKm) + " away");
+            if (spot.bestSnr != null) parts.push("best SNR " + speakSnr(spot.bestSnr));
+        } else {
+            if (spot.spotter) {
+                parts.push("spotted by " + spellCall(spot.spotter) +
+                    (spot.spotterDistanceKm != null ? " " + speakDistance(spot.spotterDistanceKm) + " away" : ""));
             }
+            if (spot.snr != null) parts.push("SNR " + spot.snr);
         }
-        if (spot.bearing != null) parts.push(Math.round(spot.bearing) + " degrees");
-        if (spot.spotter) parts.push("spotted by " + spellCall(spot.spotter));
-        if (spot.snr != null) parts.push("SNR " + spot.snr);
+        parts.push("score " + spot.desirabilityScore);
         if (spot.source) parts.push(spot.source);
+        if (spot.spots && spot.spots.length > 1) parts.push(spot.spots.length + " reports");
         if (spot.comment) parts.push(spot.comment);
         return parts.join(", ");
     }
 
+    // --- Columns: display text and sort value for each #spot-table column, in header order ---
+    var logStatusRank = { "new-one": 0, "new-band": 1, "new-mode": 2, "worked": 3 };
+
+    function upperOrNull(text) {
+        return text ? text.toUpperCase() : null;
+    }
+
+    var spotColumns = [
+        { key: "time", label: "time", defaultDir: "descending",
+          cell: function (s) {
+              // History spans days: "10-18 06:12:30"
+              var t = formatTime(s.timestamp);
+              return spotView === "history" && t ? s.timestamp.substr(5, 5) + " " + t : t;
+          },
+          sortValue: function (s) { return Date.parse(s.timestamp) || null; } },
+        // Ascending age = newest first
+        { key: "age", label: "age", defaultDir: "ascending",
+          cell: function (s) { return formatAge(getSpotAgeMinutes(s)); },
+          sortValue: function (s) { var t = Date.parse(s.timestamp); return t ? -t : null; } },
+        { key: "call", label: "DX call", defaultDir: "ascending",
+          cell: function (s) { return s.dxCall || ""; },
+          sortValue: function (s) { return upperOrNull(s.dxCall); } },
+        { key: "frequency", label: "frequency", defaultDir: "ascending",
+          cell: function (s) { return formatFrequency(s.frequency); },
+          sortValue: function (s) { return s.frequency || null; } },
+        // Bands sort by frequency so 160m comes before 20m
+        { key: "band", label: "band", defaultDir: "ascending",
+          cell: function (s) { return s.band || ""; },
+          sortValue: function (s) { return s.band ? s.frequency : null; } },
+        { key: "mode", label: "mode", defaultDir: "ascending",
+          cell: function (s) { return s.mode || ""; },
+          sortValue: function (s) { return upperOrNull(s.mode); } },
+        { key: "distance", label: "distance", defaultDir: "descending",
+          cell: function (s) { return formatDistance(s.distanceKm); },
+          sortValue: function (s) { return s.distanceKm; } },
+        { key: "azimuth", label: "azimuth", defaultDir: "ascending",
+          cell: function (s) { return formatBearing(s.bearing); },
+          sortValue: function (s) { return s.bearing; } },
+        // Station groups show and sort by their spotter count; a single spotter shows how far away it is
+        { key: "spotter", label: "spotter", defaultDir: "ascending",
+          cell: function (s) {
+              if (s.spots && s.spotterCount > 1) return s.spotterCount + " spotters";
+              if (!s.spotter) return "";
+              return s.spotterDistanceKm != null ? s.spotter + " (" + formatDistance(s.spotterDistanceKm) + ")" : s.spotter;
+          },
+          sortValue: function (s) { return s.spots ? s.spotterCount : upperOrNull(s.spotter); } },
+        // Station groups show best / worst and sort by best (carried as snr)
+        { key: "snr", label: "SNR", defaultDir: "descending",
+          cell: function (s) {
+              if (s.spots && s.bestSnr != null && s.worstSnr !== s.bestSnr) return s.bestSnr + " / " + s.worstSnr;
+              return s.snr != null ? s.snr.toString() : "";
+          },
+          sortValue: function (s) { return s.snr; } },
+        { key: "source", label: "source", defaultDir: "ascending",
+          cell: function (s) { return s.source || ""; },
+          sortValue: function (s) { return upperOrNull(s.source); } },
+        { key: "score", label: "score", defaultDir: "descending",
+          cell: function (s) { return s.desirabilityScore.toString(); },
+          sortValue: function (s) { return s.desirabilityScore; } },
+        // Ascending log status = most needed first
+        { key: "log", label: "log status", defaultDir: "ascending",
+          cell: function (s) { var tag = getLogStatus(s); return tag ? logStatusLabels[tag] : ""; },
+          sortValue: function (s) { var tag = getLogStatus(s); return tag ? logStatusRank[tag] : null; } },
+        { key: "comment", label: "comment", defaultDir: "ascending",
+          cell: function (s) { return s.comment || ""; },
+          sortValue: function (s) { return upperOrNull(s.comment); } }
+    ];
+
+    function getSpotColumn(key) {
+        for (var i = 0; i < spotColumns.length; i++) {
+            if (spotColumns[i].key === key) return spotColumns[i];
+        }
+        return null;
+    }
+
+    // Spot (or station group) shown by each row, for sorted insertion of live spots
+    var rowSpots = new WeakMap();
+
     function createSpotRow(spot) {
         var tr = document.createElement("tr");
+        tr.dataset.id = spot.id != null ? spot.id.toString() : "";
+        if (spot.groupKey) tr.dataset.group = spot.groupKey;
         tr.dataset.band = spot.band || "";
         tr.dataset.mode = spot.mode || "";
-        tr.dataset.distance = (spot.distanceKm != null) ? spot.distanceKm.toString() : "";
-        tr.className = "band-" + (spot.band || "unknown").replace("m", "");
+        tr.className = bandClass(spot.band);
+        if (findAlertRule(spot)) tr.className += " alert-match";
+        var logTag = getLogStatus(spot);
+        if (logTag) tr.className += " log-" + logTag;
+        if (isDecodingLocally(spot)) tr.className += " decoding-local";
+        var ageClass = getAgeClass(spot);
+        if (ageClass) tr.className += " " + ageClass;
         tr.tabIndex = 0;
         tr.setAttribute("aria-label", buildRowSummary(spot));
 
-        var cells = [
-            formatTime(spot.timestamp),
-            spot.dxCall || "",
-            formatFrequency(spot.frequency),
-            spot.band || "",
-            spot.mode || "",
-            formatDistance(spot.distanceKm),
-            formatBearing(spot.bearing),
-            spot.spotter || "",
-            spot.snr != null ? spot.snr.toString() : "",
-            spot.source || "",
-            spot.comment || ""
-        ];
-
-        for (var i = 0; i < cells.length; i++) {
+        for (var i = 0; i < spotColumns.length; i++) {
             var td = document.createElement("td");
-            td.textContent = cells[i];
+            td.textContent = spotColumns[i].cell(spot);
             tr.appendChild(td);
         }
 
+        if (spot.spots && spot.spots.length > 1) {
+            var expanded = !!expandedGroups[spot.groupKey];
+            tr.setAttribute("aria-expanded", expanded ? "true" : "false");
+            // Mouse affordance; keyboard users expand with the arrow keys
+            var toggle = document.createElement("button");
+            toggle.type = "button";
+            toggle.className = "group-toggle";
+            toggle.tabIndex = -1;
+            toggle.setAttribute("aria-hidden", "true");
+            toggle.textContent = expanded ? "\u25BE" : "\u25B8";
+            toggle.addEventListener("click", function () {
+                setGroupExpanded(tr, !expandedGroups[spot.groupKey]);
+            });
+            tr.firstChild.insertBefore(toggle, tr.firstChild.firstChild);
+        }
+
+        rowSpots.set(tr, spot);
         return tr;
     }
 
-    function updateAriaSortAttributes() {
-        var timeHeader = spotTable.querySelector('th[aria-sort]');
-        var distHeader = spotTable.querySelectorAll('thead th')[5]; // Distance is 6th column (index 5)
+    // Rows for one display item: the row itself, plus individual reports if it's an expanded group
+    function createItemRows(item) {
+        var rows = [createSpotRow(item)];
+        if (item.spots && item.spots.length > 1 && expandedGroups[item.groupKey]) {
+            for (var i = 0; i < item.spots.length; i++) {
+                var child = createSpotRow(item.spots[i]);
+                child.className += " group-child";
+                rows.push(child);
+            }
+        }
+        return rows;
+    }
 
-        if (userLat != null) {
-            // Sorted by distance
-            if (timeHeader) timeHeader.removeAttribute("aria-sort");
-            if (distHeader) distHeader.setAttribute("aria-sort", "descending");
-        } else {
-            // Sorted by time
-            var firstTh = spotTable.querySelector('thead th');
-            if (firstTh) firstTh.setAttribute("aria-sort", "descending");
-            if (distHeader) distHeader.removeAttribute("aria-sort");
+    // --- Station grouping ---
+    function getGroupKey(spot) {
+        return spot.dxCall + "|" + (spot.band || "");
+    }
+
+    // spots: same call and band, newest first
+    function buildStationGroup(key, spots) {
+        var latest = spots[0];
+        var spotters = {};
+        var spotterCount = 0;
+        var sources = [];
+        var bestSnr = null;
+        var worstSnr = null;
+        var maxScore = 0;
+        var comment = null;
+        var nearestSpotterKm = null;
+
+        for (var i = 0; i < spots.length; i++) {
+            var s = spots[i];
+            if (s.spotter && !spotters[s.spotter]) {
+                spotters[s.spotter] = true;
+                spotterCount++;
+            }
+            if (s.source && sources.indexOf(s.source) === -1) sources.push(s.source);
+            if (s.snr != null) {
+                if (bestSnr == null || s.snr > bestSnr) bestSnr = s.snr;
+                if (worstSnr == null || s.snr < worstSnr) worstSnr = s.snr;
+            }
+            if (s.desirabilityScore > maxScore) maxScore = s.desirabilityScore;
+            if (s.spotterDistanceKm != null && (nearestSpotterKm == null || s.spotterDistanceKm < nearestSpotterKm)) {
+                nearestSpotterKm = s.spotterDistanceKm;
+            }
+            if (!comment && s.comment) comment = s.comment;
         }
+
+        return {
+            groupKey: key,
+            spots: spots,
+            id: latest.id,
+            dxCall: latest.dxCall,
+            frequency: latest.frequency,
+            band: latest.band,
+            mode: latest.mode,
+            spotter: latest.spotter,
+            spotterCount: spotterCount,
+            spotterGrid: latest.spotterGrid,
+            spotterLatitude: latest.spotterLatitude,
+            spotterLongitude: latest.spotterLongitude,
+            spotterContinent: latest.spotterContinent,
+            spotterDistanceKm: latest.spotterDistanceKm,
+            nearestSpotterKm: nearestSpotterKm,
+            snr: bestSnr,
+            bestSnr: bestSnr,
+            worstSnr: worstSnr,
+            timestamp: latest.timestamp,
+            source: sources.join(", "),
+            dxccEntity: latest.dxccEntity,
+            continent: latest.continent,
+            cqZone: latest.cqZone,
+            grid: latest.grid,
+            dxLatitude: latest.dxLatitude,
+            dxLongitude: latest.dxLongitude,
+            distanceKm: latest.distanceKm,
+            bearing: latest.bearing,
+            comment: comment,
+            desirabilityScore: maxScore
+        };
     }
 
-    function renderFullTable() {
-        // Clear existing rows
-        while (spotBody.firstChild) {
-            spotBody.removeChild(spotBody.firstChild);
+    function groupSpots(spots) {
+        var groups = [];
+        var byKey = {};
+        for (var i = 0; i < spots.length; i++) {
+            var key = getGroupKey(spots[i]);
+            if (!byKey[key]) {
+                byKey[key] = [];
+                groups.push(key);
+            }
+            byKey[key].push(spots[i]);
         }
+        return groups.map(function (key) {
+            return buildStationGroup(key, byKey[key]);
+        });
+    }
 
-        // Filter spots
-        var filtered = [];
+    // Current group for a spot's station, rebuilt from allSpots (newest first)
+    function buildGroupForSpot(spot) {
+        var key = getGroupKey(spot);
+        var members = [];
         for (var i = 0; i < allSpots.length; i++) {
-            if (spotMatchesFilters(allSpots[i])) {
-                filtered.push(allSpots[i]);
+            if (getGroupKey(allSpots[i]) === key && spotMatchesFilters(allSpots[i])) {
+                members.push(allSpots[i]);
             }
         }
+        if (members.length === 0) members.push(spot);
+        return buildStationGroup(key, members);
+    }
 
-        // Sort by distance (farthest first) if user location is known
-        if (userLat != null) {
-            filtered.sort(function (a, b) {
-                var da = a.distanceKm != null ? a.distanceKm : -1;
-                var db = b.distanceKm != null ? b.distanceKm : -1;
-                return db - da;
-            });
-        }
+    function getTopLevelRows() {
+        return spotBody.querySelectorAll("tr:not(.group-child)");
+    }
 
-        // Truncate to list size
-        var max = getMaxRows();
-        var visibleCount = 0;
-        for (var i = 0; i < filtered.length && visibleCount < max; i++) {
-            spotBody.appendChild(createSpotRow(filtered[i]));
-            visibleCount++;
+    // Removes a row together with any expanded report rows that follow it
+    function removeItemRows(row) {
+        while (row.nextElementSibling && row.nextElementSibling.classList.contains("group-child")) {
+            spotBody.removeChild(row.nextElementSibling);
         }
+        spotBody.removeChild(row);
+    }
 
-        spotTable.setAttribute("aria-rowcount", visibleCount.toString());
-        var statusText = "Showing " + visibleCount + " spot" + (visibleCount !== 1 ? "s" : "");
-        if (userLat != null) statusText += ", sorted by distance";
-        spotStatus.textContent = statusText;
+    function setGroupExpanded(row, expanded) {
+        var group = rowSpots.get(row);
+        if (!group || !group.spots || group.spots.length < 2) return;
+        if (!!expandedGroups[group.groupKey] === expanded) return;
 
-        updateAriaSortAttributes();
-    }
+        if (expanded) {
+            expandedGroups[group.groupKey] = true;
+        } else {
+            delete expandedGroups[group.groupKey];
+        }
 
-    // --- Grid freeze helpers ---
-    function isGridFrozen() {
-        return getAnnounceLevel() !== "off" && focusInGrid && (Date.now() - lastFocusMoveTime < freezeIdleMs);
+        // Re-create the group's rows in place; keep focus on the group row
+        var rows = createItemRows(group);
+        var next = row;
+        while (next.nextElementSibling && next.nextElementSibling.classList.contains("group-child")) {
+            next = next.nextElementSibling;
+        }
+        var anchor = next.nextElementSibling;
+        var hadFocus = row === document.activeElement || row.contains(document.activeElement);
+        reannouncing = true;
+        removeItemRows(row);
+        for (var i = 0; i < rows.length; i++) {
+            spotBody.insertBefore(rows[i], anchor);
+        }
+        if (hadFocus) rows[0].focus();
+        reannouncing = false;
+        updateSpotStatus();
     }
 
-    function flushFrozenSpots() {
-        if (frozenSpots.length === 0) return;
-        var toFlush = frozenSpots;
-        frozenSpots = [];
-        // Insert oldest-first so newest ends up at top
-        for (var i = toFlush.length - 1; i >= 0; i--) {
-            insertSpotRow(toFlush[i]);
+    function updateSpotStatus() {
+        var topRows = getTopLevelRows().length;
+        spotTable.setAttribute("aria-rowcount", spotBody.children.length.toString());
+        var text = (spotView === "history" ? "History page " + historyPage + ": showing " : "Showing ") + topRows;
+        if (groupByStation) {
+            text += " station" + (topRows !== 1 ? "s" : "");
+        } else {
+            text += " spot" + (topRows !== 1 ? "s" : "");
         }
+        spotStatus.textContent = text + getSortStatusText();
+        // Every change to the grid ends here, so the map follows it
+        scheduleMapRender();
     }
 
-    function startFreezeCheck() {
-        if (freezeCheckTimer) return;
-        freezeCheckTimer = setInterval(function () {
-            if (!isGridFrozen()) {
-                flushFrozenSpots();
-                stopFreezeCheck();
-            }
-        }, 5000);
+    // Distance sort needs a location; until then the grid stays newest-first
+    function getActiveSortKey() {
+        if (sortKey === "distance" && userLat == null) return "time";
+        return sortKey;
     }
 
-    function stopFreezeCheck() {
-        if (freezeCheckTimer) {
-            clearInterval(freezeCheckTimer);
-            freezeCheckTimer = null;
-        }
+    function getActiveSortDir() {
+        return sortKey === "distance" && userLat == null ? "descending" : sortDir;
     }
 
-    function insertSpotRow(spot) {
-        if (!spotMatchesFilters(spot)) return;
+    function compareSpots(a, b) {
+        var column = getSpotColumn(getActiveSortKey());
+        var va = column.sortValue(a);
+        var vb = column.sortValue(b);
+        // Spots without a value always go to the bottom, whichever the direction
+        if (va == null && vb == null) return 0;
+        if (va == null) return 1;
+        if (vb == null) return -1;
+        var result = va < vb ? -1 : (va > vb ? 1 : 0);
+        return getActiveSortDir() === "ascending" ? result : -result;
+    }
 
-        var row = createSpotRow(spot);
-        var max = getMaxRows();
+    function getSortStatusText() {
+        var column = getSpotColumn(getActiveSortKey());
+        return ", sorted by " + column.label + (getActiveSortDir() === "ascending" ? ", ascending" : ", descending");
+    }
 
-        if (userLat != null && spot.distanceKm != null) {
-            // Distance-sorted insertion (descending — farthest first)
-            var rows = spotBody.children;
-            var inserted = false;
-            for (var i = 0; i < rows.length; i++) {
-                var rowDist = parseFloat(rows[i].dataset.distance);
-                if (isNaN(rowDist) || spot.distanceKm > rowDist) {
-                    spotBody.insertBefore(row, rows[i]);
-                    inserted = true;
-                    break;
-                }
-            }
-            if (!inserted && rows.length < max) {
-                spotBody.appendChild(row);
-            } else if (!inserted) {
-                return; // Nearer than all displayed spots and list full; skip
-            }
-        } else {
-            // No distance sorting: newest first
-            if (spotBody.firstChild) {
-                spotBody.insertBefore(row, spotBody.firstChild);
+    function updateAriaSortAttributes() {
+        var headers = spotTable.querySelectorAll('thead th');
+        var activeKey = getActiveSortKey();
+        for (var i = 0; i < headers.length; i++) {
+            if (headers[i].dataset.sort === activeKey) {
+                headers[i].setAttribute("aria-sort", getActiveSortDir());
             } else {
-                spotBody.appendChild(row);
+                headers[i].removeAttribute("aria-sort");
             }
         }
+    }
 
-        while (spotBody.children.length > max) {
-            spotBody.removeChild(spotBody.lastChild);
+    function setSort(key) {
+        var column = getSpotColumn(key);
+        if (!column) return;
+        if (key === getActiveSortKey()) {
+            // Same column again reverses the direction
+            sortDir = getActiveSortDir() === "ascending" ? "descending" : "ascending";
+        } else {
+            sortDir = column.defaultDir;
         }
+        sortKey = key;
+        saveFilters();
+        renderFullTable();
 
-        var count = spotBody.children.length;
-        spotTable.setAttribute("aria-rowcount", count.toString());
-        var statusText = "Showing " + count + " spot" + (count !== 1 ? "s" : "");
-        if (userLat != null) statusText += ", sorted by distance";
-        spotStatus.textContent = statusText;
+        var text = "Sorted by " + column.label + ", " + sortDir;
+        if (key === "distance" && userLat == null) {
+            text = "Distance sort needs your location; sorted by time until a grid is set";
+        }
+        srAnnounce(text);
     }
 
-    function addSpotToTable(spot) {
-        if (isGridFrozen()) {
-            frozenSpots.push(spot);
-            startFreezeCheck();
-            return;
+    function renderFullTable() {
+        // Clear existing rows
+        while (spotBody.firstChild) {
+            spotBody.removeChild(spotBody.firstChild);
         }
-        insertSpotRow(spot);
-    }
 
-    // --- Screen reader announcements ---
-    function announceSpot(spot) {
-        var level = getAnnounceLevel();
-        if (level === "off") return;
+        // Filter spots
+        var source = spotView === "history" ? historySpots : allSpots;
+        var filtered = [];
+        for (var i = 0; i < source.length; i++) {
+            if (spotMatchesFilters(source[i])) {
+                filtered.push(source[i]);
+            }
+        }
 
-        pendingAnnounceCount++;
+        var items = groupByStation ? groupSpots(filtered) : filtered;
 
-        // Debounce: batch announcements
-        if (announceTimer) clearTimeout(announceTimer);
-        announceTimer = setTimeout(function () {
-            if (pendingAnnounceCount <= 0) return;
+        // Stable sort: ties keep the newest-first order of allSpots / historySpots
+        items.sort(compareSpots);
 
-            var text;
-            if (pendingAnnounceCount === 1) {
-                text = spellCall(spot.dxCall) + " on " + speakFrequency(spot.frequency) + " " + (spot.mode || "") + " " + speakBand(spot.band);
-                if (spot.distanceKm != null) {
-                    if (usesMiles()) {
-                        text += ", " + Math.round(spot.distanceKm * KM_TO_MI) + " miles";
-                    } else {
-                        text += ", " + Math.round(spot.distanceKm) + " kilometers";
-                    }
-                }
-            } else {
-                text = pendingAnnounceCount + " new spots detected";
+        // Truncate to list size (expanded report rows don't count against it)
+        var max = getMaxRows();
+        for (var i = 0; i < items.length && i < max; i++) {
+            var rows = createItemRows(items[i]);
+            for (var r = 0; r < rows.length; r++) {
+                spotBody.appendChild(rows[r]);
             }
+        }
+
+        updateSpotStatus();
+        updateAriaSortAttributes();
+    }
+
+    // --- Spot map (azimuthal equidistant projection centred on the user's QTH) ---
+    // Distances from the centre are true great-circle distances and directions are true bearings:
+    // the edge of the circle is the antipode. Coordinates are in a unit circle, north up.
+    var svgNs = "http://www.w3.org/2000/svg";
+    var EARTH_HALF_CIRCUMFERENCE_KM = 20015;
+    var mapRenderDelayMs = 250; // PSK Reporter bursts redraw once
+
+    function projectAzimuthal(lat, lon) {
+        var toRad = Math.PI / 180;
+        var phi0 = userLat * toRad;
+        var phi = lat * toRad;
+        var dLon = (lon - userLon) * toRad;
+        var cosC = Math.sin(phi0) * Math.sin(phi) + Math.cos(phi0) * Math.cos(phi) * Math.cos(dLon);
+        var c = Math.acos(Math.max(-1, Math.min(1, cosC)));
+        if (c < 1e-9) return [0, 0];
+        var x = Math.cos(phi) * Math.sin(dLon);
+        var y = Math.cos(phi0) * Math.sin(phi) - Math.sin(phi0) * Math.cos(phi) * Math.cos(dLon);
+        var len = Math.sqrt(x * x + y * y);
+        if (len < 1e-12) return [0, c / Math.PI]; // the antipode itself: any point on the edge
+        // Unit direction times angular distance; SVG y grows downward
+        return [(x / len) * (c / Math.PI), -(y / len) * (c / Math.PI)];
+    }
+
+    function svgElement(name, attrs) {
+        var el = document.createElementNS(svgNs, name);
+        for (var key in attrs) el.setAttribute(key, attrs[key]);
+        return el;
+    }
+
+    function loadCoastlines() {
+        if (coastlines) return;
+        coastlines = { lines: [] }; // one request; the map draws without coast until it arrives
+        fetch("coastline.json")
+            .then(function (r) { return r.json(); })
+            .then(function (data) {
+                coastlines = data;
+                mapCentre = null;
+                scheduleMapRender();
+            })
+            .catch(function (err) {
+                console.error("Failed to load coastline:", err);
+            });
+    }
+
+    // Coastline polylines (flat lon,lat lists) as one path; a line is broken where it wraps
+    // round the antipode, which shows as a jump across the map
+    function buildCoastPath() {
+        var d = "";
+        coastlines.lines.forEach(function (line) {
+            var prev = null;
+            for (var i = 0; i < line.length; i += 2) {
+                var p = projectAzimuthal(line[i + 1], line[i]);
+                var jump = prev && Math.abs(p[0] - prev[0]) + Math.abs(p[1] - prev[1]) > 0.25;
+                d += (prev && !jump ? "L" : "M") + p[0].toFixed(3) + " " + p[1].toFixed(3);
+                prev = p;
+            }
+        });
+        return d;
+    }
+
+    function drawMapBase() {
+        while (spotMapSvg.firstChild) spotMapSvg.removeChild(spotMapSvg.firstChild);
+        spotMapSvg.appendChild(svgElement("circle", { "class": "map-globe", cx: 0, cy: 0, r: 1 }));
+        spotMapSvg.appendChild(svgElement("path", { "class": "map-coast", d: buildCoastPath() }));
+        // Range rings every 5000 km
+        for (var km = 5000; km < EARTH_HALF_CIRCUMFERENCE_KM; km += 5000) {
+            spotMapSvg.appendChild(svgElement("circle", {
+                "class": "map-ring", cx: 0, cy: 0, r: (km / EARTH_HALF_CIRCUMFERENCE_KM).toFixed(3)
+            }));
+        }
+        var labels = [["N", 0, -1.04], ["E", 1.04, 0], ["S", 0, 1.04], ["W", -1.04, 0]];
+        labels.forEach(function (l) {
+            var text = svgElement("text", { "class": "map-label", x: l[1], y: l[2], "aria-hidden": "true" });
+            text.textContent = l[0];
+            spotMapSvg.appendChild(text);
+        });
+        spotMapSvg.appendChild(svgElement("circle", { "class": "map-home", cx: 0, cy: 0, r: 0.012 }));
+        spotMapSvg.appendChild(svgElement("g", { "class": "map-points" }));
+    }
+
+    function describeMapPoint(spot) {
+        var parts = [spellCall(spot.dxCall)];
+        if (spot.band) parts.push(speakBand(spot.band));
+        if (spot.mode) parts.push(spot.mode);
+        if (spot.distanceKm != null) parts.push(speakDistance(spot.distanceKm));
+        if (spot.bearing != null) parts.push(Math.round(spot.bearing) + " degrees");
+        return parts.join(", ");
+    }
+
+    function scheduleMapRender() {
+        if (!showMap || mapRenderTimer) return;
+        mapRenderTimer = setTimeout(function () {
+            mapRenderTimer = null;
+            renderSpotMap();
+        }, mapRenderDelayMs);
+    }
+
+    function renderSpotMap() {
+        if (!showMap) return;
+        // Don't rebuild the points under a keyboard user; focusout renders again
+        if (spotMapSvg.contains(document.activeElement)) return;
+
+        if (userLat == null || userLon == null) {
+            spotMapSvg.style.display = "none";
+            spotMapNote.hidden = false;
+            return;
+        }
+        spotMapSvg.style.display = "";
+        spotMapNote.hidden = true;
+        loadCoastlines();
+
+        var centre = userLat + "," + userLon;
+        if (centre !== mapCentre) {
+            drawMapBase();
+            mapCentre = centre;
+        }
+
+        var layer = spotMapSvg.querySelector(".map-points");
+        while (layer.firstChild) layer.removeChild(layer.firstChild);
+        mapPoints = [];
+        var bands = [];
+        var rows = getTopLevelRows();
+        for (var i = 0; i < rows.length; i++) {
+            var spot = rowSpots.get(rows[i]);
+            if (!spot || spot.dxLatitude == null || spot.dxLongitude == null) continue;
+            var p = projectAzimuthal(spot.dxLatitude, spot.dxLongitude);
+            var point = svgElement("circle", {
+                "class": "map-spot " + bandClass(spot.band),
+                cx: p[0].toFixed(3), cy: p[1].toFixed(3), r: 0.022,
+                role: "button", tabindex: mapPoints.length === 0 ? "0" : "-1",
+                "aria-label": describeMapPoint(spot)
+            });
+            pointRows.set(point, rows[i]);
+            mapPoints.push(point);
+            if (spot.band && bands.indexOf(spot.band) === -1) bands.push(spot.band);
+        }
+        // Top rows are drawn last so they sit on top of the crowd
+        for (var j = mapPoints.length - 1; j >= 0; j--) layer.appendChild(mapPoints[j]);
+
+        renderMapLegend(bands);
+    }
+
+    function renderMapLegend(bands) {
+        var order = getBandOrder();
+        bands.sort(function (a, b) { return order(a) - order(b); });
+        while (spotMapLegend.firstChild) spotMapLegend.removeChild(spotMapLegend.firstChild);
+        bands.forEach(function (band) {
+            var li = document.createElement("li");
+            li.className = bandClass(band);
+            li.textContent = band;
+            spotMapLegend.appendChild(li);
+        });
+    }
+
+    // Selects (highlights and scrolls to) the grid row for a map point
+    function selectRowForPoint(point) {
+        var previous = spotBody.querySelectorAll("tr.map-selected");
+        for (var i = 0; i < previous.length; i++) previous[i].classList.remove("map-selected");
+        var row = pointRows.get(point);
+        if (!row || !spotBody.contains(row)) return null;
+        row.classList.add("map-selected");
+        if (row.scrollIntoView) row.scrollIntoView({ block: "nearest" });
+        return row;
+    }
+
+    function focusMapPoint(index) {
+        if (mapPoints.length === 0) return;
+        index = Math.max(0, Math.min(mapPoints.length - 1, index));
+        for (var i = 0; i < mapPoints.length; i++) {
+            mapPoints[i].setAttribute("tabindex", i === index ? "0" : "-1");
+        }
+        mapPoints[index].focus();
+    }
+
+    function setShowMap(show) {
+        showMap = show;
+        spotMap.hidden = !show;
+        saveFilters();
+        if (show) {
+            mapCentre = null;
+            renderSpotMap();
+        } else if (mapRenderTimer) {
+            clearTimeout(mapRenderTimer);
+            mapRenderTimer = null;
+        }
+    }
+
+    // --- Grid freeze helpers ---
+    function isGridFrozen() {
+        return getAnnounceLevel() !== "off" && focusInGrid && (Date.now() - lastFocusMoveTime < freezeIdleMs);
+    }
+
+    function flushFrozenSpots() {
+        if (frozenSpots.length === 0) return;
+        var toFlush = frozenSpots;
+        frozenSpots = [];
+        // Insert oldest-first so newest ends up at top
+        for (var i = toFlush.length - 1; i >= 0; i--) {
+            insertSpotRow(toFlush[i]);
+        }
+    }
+
+    function startFreezeCheck() {
+        if (freezeCheckTimer) return;
+        freezeCheckTimer = setInterval(function () {
+            if (!isGridFrozen()) {
+                flushFrozenSpots();
+                stopFreezeCheck();
+            }
+        }, 5000);
+    }
+
+    function stopFreezeCheck() {
+        if (freezeCheckTimer) {
+            clearInterval(freezeCheckTimer);
+            freezeCheckTimer = null;
+        }
+    }
+
+    function insertSpotRow(spot) {
+        // Live spots still collect in allSpots while history is shown
+        if (spotView !== "live" || !spotMatchesFilters(spot)) return;
+
+        var item = spot;
+        var refocus = false;
+        if (groupByStation) {
+            // Replace the station's existing row with an updated group
+            item = buildGroupForSpot(spot);
+            var existing = spotBody.querySelector('tr[data-group="' + item.groupKey + '"]');
+            if (existing) {
+                refocus = existing === document.activeElement;
+                reannouncing = refocus;
+                removeItemRows(existing);
+            }
+        }
+
+        var newRows = createItemRows(item);
+        var max = getMaxRows();
+
+        // Insert ahead of the first row it doesn't sort after; the newest spot wins ties
+        var rows = getTopLevelRows();
+        var inserted = false;
+        for (var i = 0; i < rows.length; i++) {
+            if (compareSpots(item, rowSpots.get(rows[i])) <= 0) {
+                for (var r = 0; r < newRows.length; r++) {
+                    spotBody.insertBefore(newRows[r], rows[i]);
+                }
+                inserted = true;
+                break;
+            }
+        }
+        if (!inserted && rows.length < max) {
+            for (var r = 0; r < newRows.length; r++) {
+                spotBody.appendChild(newRows[r]);
+            }
+        } else if (!inserted) {
+            reannouncing = false;
+            updateSpotStatus();
+            return; // Sorts below all displayed spots and list full; skip
+        }
+
+        if (refocus) newRows[0].focus();
+        reannouncing = false;
+
+        rows = getTopLevelRows();
+        for (var t = rows.length - 1; t >= max; t--) {
+            removeItemRows(rows[t]);
+        }
+
+        updateSpotStatus();
+    }
+
+    function addSpotToTable(spot) {
+        if (isGridFrozen()) {
+            frozenSpots.push(spot);
+            startFreezeCheck();
+            return;
+        }
+        insertSpotRow(spot);
+    }
+
+    // --- Spot ageing: the Age column, row summaries and fading follow the clock; spots past the
+    // max age leave allSpots and the grid ---
+    function renderMaxAge() {
+        if (document.activeElement === maxAgeInput) return;
+        maxAgeInput.value = maxSpotAgeMinutes;
+    }
+
+    function readMaxAgeInput() {
+        var minutes = parseInt(maxAgeInput.value, 10);
+        if (!isNaN(minutes) && minutes > 0) maxSpotAgeMinutes = Math.min(minutes, maxSpotAgeLimit);
+    }
+
+    // The row the user is on, or will go back to from the spot details or keymap help
+    function getProtectedRow() {
+        var el = document.activeElement;
+        if (spotDetail.open) el = detailReturnRow;
+        else if (keymapHelp.open) el = keymapReturnFocus;
+        return el && spotBody.contains(el) ? el.closest("tr") : null;
+    }
+
+    // A top-level row together with its expanded report rows
+    function itemContainsRow(row, target) {
+        for (var r = row; r; r = r.nextElementSibling) {
+            if (r !== row && !r.classList.contains("group-child")) return false;
+            if (r === target) return true;
+        }
+        return false;
+    }
+
+    // Not while offline: the banner says how old the last known spots are
+    function expireSpots() {
+        if (!offlineBanner.hidden) return;
+        var kept = allSpots.filter(function (s) { return !isSpotExpired(s); });
+        frozenSpots = frozenSpots.filter(function (s) { return !isSpotExpired(s); });
+        var dropped = kept.length !== allSpots.length;
+        if (dropped) {
+            allSpots = kept;
+            scheduleSpotCacheSave();
+        }
+        if (spotView !== "live") return;
+
+        var rows = getTopLevelRows();
+        var expiredRows = [];
+        for (var i = 0; i < rows.length; i++) {
+            var item = rowSpots.get(rows[i]);
+            if (item && isSpotExpired(item)) expiredRows.push(rows[i]);
+        }
+        var keep = getProtectedRow();
+        if (!keep) {
+            // Also redraws station groups that lost older reports, and fills the list back up
+            if (dropped || expiredRows.length > 0) renderFullTable();
+            return;
+        }
+        // Redrawing would lose the user's place: take the expired rows out around theirs, which
+        // goes on a later tick once they leave it. A station group stays while its newest report
+        // is fresh.
+        if (expiredRows.length === 0) return;
+        expiredRows.forEach(function (row) {
+            if (!itemContainsRow(row, keep)) removeItemRows(row);
+        });
+        updateSpotStatus();
+    }
+
+    // The focused row keeps its summary until focus leaves it, so the screen reader doesn't
+    // read it again every minute
+    function refreshRowAges() {
+        var ageIndex = spotColumns.indexOf(getSpotColumn("age"));
+        var rows = spotBody.querySelectorAll("tr");
+        for (var i = 0; i < rows.length; i++) {
+            var spot = rowSpots.get(rows[i]);
+            if (!spot) continue;
+            rows[i].children[ageIndex].textContent = spotColumns[ageIndex].cell(spot);
+            rows[i].classList.remove("spot-aging", "spot-old");
+            var ageClass = getAgeClass(spot);
+            if (ageClass) rows[i].classList.add(ageClass);
+            if (rows[i] === document.activeElement) continue;
+            var label = buildRowSummary(spot);
+            if (rows[i].getAttribute("aria-label") !== label) rows[i].setAttribute("aria-label", label);
+        }
+    }
+
+    // A repeat report changed a spot's score: update its Score cell and summary (or its station's)
+    // in place, or draw the grid again if the new score moves it across the min score
+    function onSpotScore(update) {
+        var spot = null;
+        for (var i = 0; i < allSpots.length; i++) {
+            if (allSpots[i].id === update.id) { spot = allSpots[i]; break; }
+        }
+        if (!spot) return;
+        var wasShown = spotMatchesFilters(spot);
+        spot.desirabilityScore = update.desirabilityScore;
+        scheduleSpotCacheSave();
+        if (spotView !== "live") return;
+        if (spotMatchesFilters(spot) !== wasShown && !isGridFrozen()) {
+            renderFullTable();
+            return;
+        }
+
+        var scoreIndex = spotColumns.indexOf(getSpotColumn("score"));
+        var rows = spotBody.querySelectorAll("tr");
+        for (var r = 0; r < rows.length; r++) {
+            var item = rowSpots.get(rows[r]);
+            if (!item || (item !== spot && !(item.spots && item.spots.indexOf(spot) !== -1))) continue;
+            if (item.spots) {
+                item.desirabilityScore = 0;
+                item.spots.forEach(function (s) {
+                    if (s.desirabilityScore > item.desirabilityScore) item.desirabilityScore = s.desirabilityScore;
+                });
+            }
+            rows[r].children[scoreIndex].textContent = spotColumns[scoreIndex].cell(item);
+            if (rows[r] === document.activeElement) continue;
+            rows[r].setAttribute("aria-label", buildRowSummary(item));
+        }
+    }
+
+    function tickSpotAges() {
+        expireSpots();
+        refreshRowAges();
+    }
+
+    // --- Screen reader announcements ---
+    function srAnnounce(text) {
+        speak(text, false);
+        // Screen readers ignore the page behind a modal dialog, so each has its own live region
+        var region = keymapHelp.open ? keymapHelpAnnouncer : (spotDetail.open ? spotDetailAnnouncer : srAnnouncer);
+        // Clear then set to force re-announcement
+        region.textContent = "";
+        setTimeout(function () {
+            region.textContent = text;
+        }, 100);
+    }
+
+    // --- Speech synthesis output (Web Speech API) ---
+    // "Speak aloud" mode voices the same text the live regions carry, for operators
+    // without a screen reader or who want spots in a different voice from their reader's.
+    function isSpeechMode() {
+        return speechSupported && getAnnounceLevel() === "speech";
+    }
+
+    function getSpeechQueueMax() {
+        var value = parseInt(speechQueueMaxInput.value, 10);
+        return isNaN(value) ? 5 : Math.max(1, Math.min(20, value));
+    }
+
+    // interrupt = true drops anything queued or playing (focus moves, DX alerts)
+    function speak(text, interrupt) {
+        if (!isSpeechMode() || !text) return;
+        if (interrupt) stopSpeaking();
+        speechQueue.push(text);
+        // Drop the oldest waiting phrases so speech never falls minutes behind the feed
+        while (speechQueue.length > getSpeechQueueMax()) speechQueue.shift();
+        speakNext();
+    }
+
+    function speakNext() {
+        if (speechCurrent || speechQueue.length === 0) return;
+        var utterance = new SpeechSynthesisUtterance(speechQueue.shift());
+        var voice = findSpeechVoice(speechVoiceSelect.value);
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        }
+        utterance.rate = parseFloat(speechRateInput.value) || 1;
+        utterance.pitch = parseFloat(speechPitchInput.value);
+        if (isNaN(utterance.pitch)) utterance.pitch = 1;
+        utterance.onend = utterance.onerror = function () {
+            // Ignore callbacks from utterances cancelled by stopSpeaking()
+            if (speechCurrent !== utterance) return;
+            speechCurrent = null;
+            speakNext();
+        };
+        speechCurrent = utterance;
+        window.speechSynthesis.speak(utterance);
+    }
+
+    function isSpeaking() {
+        return speechCurrent !== null || speechQueue.length > 0;
+    }
+
+    function stopSpeaking() {
+        speechQueue = [];
+        speechCurrent = null;
+        if (speechSupported) window.speechSynthesis.cancel();
+    }
+
+    function findSpeechVoice(uri) {
+        if (!uri || !speechSupported) return null;
+        var voices = window.speechSynthesis.getVoices();
+        for (var i = 0; i < voices.length; i++) {
+            if (voices[i].voiceURI === uri) return voices[i];
+        }
+        return null;
+    }
+
+    // Voices load asynchronously in most browsers; rebuilt on each voiceschanged event
+    function populateSpeechVoices() {
+        var wanted = speechVoiceSelect.value || savedSpeechVoice;
+        while (speechVoiceSelect.options.length > 1) {
+            speechVoiceSelect.remove(1);
+        }
+        var voices = window.speechSynthesis.getVoices();
+        for (var i = 0; i < voices.length; i++) {
+            var opt = document.createElement("option");
+            opt.value = voices[i].voiceURI;
+            opt.textContent = voices[i].name + " (" + voices[i].lang + ")";
+            speechVoiceSelect.appendChild(opt);
+        }
+        if (findSpeechVoice(wanted)) speechVoiceSelect.value = wanted;
+    }
+
+    function disableSpeechOption() {
+        var radio = document.querySelector('input[name="announce"][value="speech"]');
+        if (!radio) return;
+        radio.disabled = true;
+        radio.parentNode.appendChild(document.createTextNode(" (not supported by this browser)"));
+    }
+
+    function speakSpotBrief(spot) {
+        var text = spellCall(spot.dxCall) + " on " + speakFrequency(spot.frequency) + " " + (spot.mode || "") + " " + speakBand(spot.band);
+        if (spot.distanceKm != null) text += ", " + speakDistance(spot.distanceKm);
+        return text;
+    }
+
+    function announceSpot(spot) {
+        var level = getAnnounceLevel();
+        if (level === "off") return;
+
+        pendingAnnounceCount++;
+
+        // Debounce: batch announcements
+        if (announceTimer) clearTimeout(announceTimer);
+        announceTimer = setTimeout(function () {
+            if (pendingAnnounceCount <= 0) return;
+
+            var text;
+            if (pendingAnnounceCount === 1) {
+                text = speakSpotBrief(spot);
+            } else {
+                text = pendingAnnounceCount + " new spots detected";
+            }
+
+            if (level === "polite") srAnnouncer.setAttribute("aria-live", level);
+            srAnnounce(text);
 
-            srAnnouncer.setAttribute("aria-live", level);
-            // Clear then set to force re-announcement
-            srAnnouncer.textContent = "";
-            setTimeout(function () {
-                srAnnouncer.textContent = text;
-            }, 100);
-
             pendingAnnounceCount = 0;
         }, announceDebounceMs);
     }
 
-    // --- User location ---
-    function updateLocationStatus(text) {
-        if (locationStatus) locationStatus.textContent = text;
+    // --- Audio earcons (Web Audio) ---
+    // A short tone per arriving spot so band activity can be heard without reading rows.
+    // Pitch rises with band (160m lowest); new entities and DX alert matches get their own
+    // motifs, and the tone can be panned left/right by the spot's bearing.
+    var earconMinGapMs = 120; // PSK Reporter bursts would otherwise become a buzz
+    var pentatonicSteps = [0, 2, 4, 7, 9, 12, 14, 16, 19, 21, 24, 26, 28, 31, 33];
+
+    function getAudioContext() {
+        if (!audioCtx) {
+            var Ctx = window.AudioContext || window.webkitAudioContext;
+            if (!Ctx) return null;
+            audioCtx = new Ctx();
+        }
+        if (audioCtx.state === "suspended") audioCtx.resume();
+        return audioCtx;
+    }
+
+    // Band checkboxes are in frequency order, so their position gives the pitch
+    function bandPitch(band) {
+        var inputs = document.querySelectorAll('input[name="band"]');
+        var index = -1;
+        for (var i = 0; i < inputs.length; i++) {
+            if (inputs[i].value === band) index = i;
+        }
+        if (index === -1) index = Math.floor(inputs.length / 2);
+        var step = pentatonicSteps[Math.min(index, pentatonicSteps.length - 1)];
+        return 220 * Math.pow(2, step / 12);
+    }
+
+    function earconPan(spot) {
+        if (!earconPanToggle.checked || spot.bearing == null) return 0;
+        // East is right, west is left; north and south sit in the middle
+        return Math.sin(spot.bearing * Math.PI / 180);
+    }
+
+    function playTone(ctx, destination, freq, start, duration, type) {
+        var osc = ctx.createOscillator();
+        var env = ctx.createGain();
+        osc.type = type;
+        osc.frequency.value = freq;
+        // Quick attack and exponential decay avoid clicks
+        env.gain.setValueAtTime(0.0001, start);
+        env.gain.exponentialRampToValueAtTime(1, start + 0.01);
+        env.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+        osc.connect(env);
+        env.connect(destination);
+        osc.start(start);
+        osc.stop(start + duration + 0.02);
+    }
+
+    function playEarcon(spot, isAlert) {
+        if (!earconToggle.checked || !spotMatchesFilters(spot)) return;
+
+        var important = isAlert || getLogStatus(spot) === "new-one";
+        var now = Date.now();
+        if (!important && now - lastEarconTime < earconMinGapMs) return;
+        lastEarconTime = now;
+
+        var ctx = getAudioContext();
+        if (!ctx) return;
+
+        var volume = parseInt(earconVolumeInput.value, 10) / 100;
+        if (!(volume > 0)) return;
+
+        var out = ctx.createGain();
+        out.gain.value = volume * 0.5;
+        if (ctx.createStereoPanner) {
+            var panner = ctx.createStereoPanner();
+            panner.pan.value = earconPan(spot);
+            out.connect(panner);
+            panner.connect(ctx.destination);
+        } else {
+            out.connect(ctx.destination);
+        }
+
+        var base = bandPitch(spot.band);
+        var t = ctx.currentTime + 0.01;
+        if (isAlert) {
+            // DX alert: rising two-note call, repeated
+            playTone(ctx, out, base, t, 0.12, "triangle");
+            playTone(ctx, out, base * 1.5, t + 0.13, 0.12, "triangle");
+            playTone(ctx, out, base, t + 0.3, 0.12, "triangle");
+            playTone(ctx, out, base * 1.5, t + 0.43, 0.2, "triangle");
+        } else if (getLogStatus(spot) === "new-one") {
+            // New entity: major arpeggio
+            playTone(ctx, out, base, t, 0.1, "square");
+            playTone(ctx, out, base * 1.25, t + 0.1, 0.1, "square");
+            playTone(ctx, out, base * 1.5, t + 0.2, 0.18, "square");
+        } else {
+            playTone(ctx, out, base, t, 0.08, "sine");
+        }
+    }
+
+    function toggleEarconMute() {
+        earconToggle.checked = !earconToggle.checked;
+        saveFilters();
+        srAnnounce(earconToggle.checked ? "Earcons on" : "Earcons muted");
+    }
+
+    // --- DX alerts ---
+    function describeAlertRule(rule) {
+        var parts = [];
+        if (rule.call) parts.push("call " + rule.call);
+        if (rule.entity) parts.push(rule.entity);
+        if (rule.band) parts.push(rule.band);
+        if (rule.mode) parts.push(rule.mode);
+        if (rule.minDistanceKm) parts.push("beyond " + formatDistance(rule.minDistanceKm));
+        return parts.join(", ");
+    }
+
+    function alertRuleMatches(rule, spot) {
+        if (rule.call && spot.dxCall.indexOf(rule.call) !== 0) return false;
+        if (rule.entity && (spot.dxccEntity || "").toUpperCase() !== rule.entity.toUpperCase()) return false;
+        if (rule.band && spot.band !== rule.band) return false;
+        if (rule.mode && spot.mode !== rule.mode) return false;
+        if (rule.minDistanceKm && (spot.distanceKm == null || spot.distanceKm < rule.minDistanceKm)) return false;
+        return true;
+    }
+
+    function findAlertRule(spot) {
+        for (var i = 0; i < alertRules.length; i++) {
+            if (alertRuleMatches(alertRules[i], spot)) return alertRules[i];
+        }
+        return null;
+    }
+
+    // One alert per station and band in alertRepeatMs: a station every skimmer reports would
+    // otherwise interrupt again with each spot
+    function isNewAlert(spot) {
+        var key = spot.dxCall + "|" + spot.band;
+        var now = Date.now();
+        if (alertedStations[key] && now - alertedStations[key] < alertRepeatMs) return false;
+        Object.keys(alertedStations).forEach(function (k) {
+            if (now - alertedStations[k] >= alertRepeatMs) delete alertedStations[k];
+        });
+        alertedStations[key] = now;
+        return true;
+    }
+
+    // With announcements off the banner still shows the alert, but nothing is spoken and the
+    // alert region stays silent
+    function raiseDxAlert(spot) {
+        lastAlertSpot = spot;
+        var level = getAnnounceLevel();
+
+        var visual = "DX alert: " + spot.dxCall + " " + formatFrequency(spot.frequency) + " " +
+            (spot.mode || "") + " " + (spot.band || "");
+        if (spot.dxccEntity) visual += " \u2014 " + spot.dxccEntity;
+        if (spot.distanceKm != null) visual += ", " + formatDistance(spot.distanceKm);
+
+        var spoken = "DX alert, " + speakSpotBrief(spot);
+        if (spot.dxccEntity) spoken += ", " + spot.dxccEntity;
+        speak(spoken, true);
+
+        // Bypass the debounced announcer: role="alert" interrupts immediately.
+        // Visual text is hidden from screen readers in favour of the spelled-out version,
+        // which only goes in for "polite": "speech" has just said it aloud, "off" stays silent.
+        dxAlert.textContent = "";
+        setTimeout(function () {
+            var shown = document.createElement("span");
+            shown.setAttribute("aria-hidden", "true");
+            shown.textContent = visual;
+            var said = document.createElement("span");
+            said.className = "visually-hidden";
+            said.textContent = spoken;
+            dxAlert.appendChild(shown);
+            if (level === "polite") dxAlert.appendChild(said);
+        }, 100);
+    }
+
+    function jumpToLastAlert() {
+        if (!lastAlertSpot) {
+            srAnnounce("No DX alerts yet");
+            return;
+        }
+        flushFrozenSpots();
+        var row = spotBody.querySelector('tr[data-id="' + lastAlertSpot.id + '"]') ||
+            spotBody.querySelector('tr[data-group="' + getGroupKey(lastAlertSpot) + '"]');
+        if (row) {
+            row.focus();
+        } else {
+            // Filtered out or pushed off the list — read the alert banner instead
+            dxAlert.focus();
+        }
+    }
+
+    function renderAlertRules() {
+        if (alertDistanceUnit) alertDistanceUnit.textContent = usesMiles() ? "mi" : "km";
+        if (!alertRuleList) return;
+
+        while (alertRuleList.firstChild) {
+            alertRuleList.removeChild(alertRuleList.firstChild);
+        }
+
+        alertRules.forEach(function (rule, index) {
+            var li = document.createElement("li");
+            var text = document.createElement("span");
+            text.textContent = describeAlertRule(rule);
+            var removeBtn = document.createElement("button");
+            removeBtn.type = "button";
+            removeBtn.textContent = "Remove";
+            removeBtn.setAttribute("aria-label", "Remove alert: " + describeAlertRule(rule));
+            removeBtn.addEventListener("click", function () {
+                removeAlertRule(index);
+            });
+            li.appendChild(text);
+            li.appendChild(removeBtn);
+            alertRuleList.appendChild(li);
+        });
+    }
+
+    function addAlertRuleFromForm() {
+        var rule = {
+            call: alertCallInput.value.trim().toUpperCase(),
+            entity: alertEntityInput.value.trim(),
+            band: alertBandSelect.value,
+            mode: alertModeSelect.value,
+            minDistanceKm: null
+        };
+        var dist = parseFloat(alertDistanceInput.value);
+        if (!isNaN(dist) && dist > 0) {
+            // Entered in the same unit the grid displays
+            rule.minDistanceKm = usesMiles() ? Math.round(dist / KM_TO_MI) : dist;
+        }
+
+        if (!rule.call && !rule.entity && !rule.band && !rule.mode && !rule.minDistanceKm) {
+            srAnnounce("Enter at least one alert condition");
+            alertCallInput.focus();
+            return;
+        }
+
+        alertRules.push(rule);
+        saveFilters();
+        renderAlertRules();
+        renderFullTable();
+        scheduleResubscribe();
+
+        alertCallInput.value = "";
+        alertEntityInput.value = "";
+        alertBandSelect.value = "";
+        alertModeSelect.value = "";
+        alertDistanceInput.value = "";
+        srAnnounce("Alert added: " + describeAlertRule(rule));
+    }
+
+    function removeAlertRule(index) {
+        var removed = alertRules.splice(index, 1)[0];
+        saveFilters();
+        renderAlertRules();
+        renderFullTable();
+        scheduleResubscribe();
+
+        // Keep focus in the list so keyboard users don't lose their place
+        var buttons = alertRuleList.querySelectorAll("button");
+        if (buttons.length > 0) {
+            buttons[Math.min(index, buttons.length - 1)].focus();
+        } else {
+            alertCallInput.focus();
+        }
+        if (removed) srAnnounce("Alert removed: " + describeAlertRule(removed));
+    }
+
+    // Rebuilt when the band plan changes; the first option ("Any") and the choice stay
+    function populateAlertSelects() {
+        var pairs = [[alertBandSelect, 'input[name="band"]'], [alertModeSelect, 'input[name="mode"]']];
+        for (var p = 0; p < pairs.length; p++) {
+            var select = pairs[p][0];
+            var inputs = document.querySelectorAll(pairs[p][1]);
+            var chosen = select.value;
+            while (select.options.length > 1) select.remove(1);
+            for (var i = 0; i < inputs.length; i++) {
+                var opt = document.createElement("option");
+                opt.value = inputs[i].value;
+                opt.textContent = inputs[i].value;
+                select.appendChild(opt);
+            }
+            select.value = chosen;
+            if (select.selectedIndex === -1) select.selectedIndex = 0;
+        }
+    }
+
+    // --- Entity filter ---
+    function findEntityIndex(list, name) {
+        if (!name) return -1;
+        var lower = name.toLowerCase();
+        for (var i = 0; i < list.length; i++) {
+            if (list[i].toLowerCase() === lower) return i;
+        }
+        return -1;
+    }
+
+    function loadEntityOptions() {
+        fetch("/api/entities")
+            .then(function (r) { return r.json(); })
+            .then(function (names) {
+                entityNames = names;
+                while (entityOptions.firstChild) {
+                    entityOptions.removeChild(entityOptions.firstChild);
+                }
+                names.forEach(function (name) {
+                    var opt = document.createElement("option");
+                    opt.value = name;
+                    entityOptions.appendChild(opt);
+                });
+            })
+            .catch(function (err) {
+                console.error("Failed to load entity names:", err);
+            });
+    }
+
+    function renderEntityFilter() {
+        while (entityFilterList.firstChild) {
+            entityFilterList.removeChild(entityFilterList.firstChild);
+        }
+
+        entityFilter.forEach(function (name, index) {
+            var li = document.createElement("li");
+            var text = document.createElement("span");
+            text.textContent = name;
+            var removeBtn = document.createElement("button");
+            removeBtn.type = "button";
+            removeBtn.textContent = "Remove";
+            removeBtn.setAttribute("aria-label", "Remove entity: " + name);
+            removeBtn.addEventListener("click", function () {
+                removeEntityFilter(index);
+            });
+            li.appendChild(text);
+            li.appendChild(removeBtn);
+            entityFilterList.appendChild(li);
+        });
+    }
+
+    function addEntityFromInput() {
+        var typed = entityInput.value.trim();
+        if (!typed) {
+            srAnnounce("Enter a DXCC entity");
+            entityInput.focus();
+            return;
+        }
+        // Use cty.dat's spelling so the filter matches the spots' entity names
+        var known = findEntityIndex(entityNames, typed);
+        if (entityNames.length > 0 && known === -1) {
+            srAnnounce("Unknown entity: " + typed);
+            entityInput.focus();
+            return;
+        }
+        var name = known !== -1 ? entityNames[known] : typed;
+        entityInput.value = "";
+        if (findEntityIndex(entityFilter, name) !== -1) {
+            srAnnounce(name + " is already in the entity filter");
+            return;
+        }
+
+        entityFilter.push(name);
+        saveFilters();
+        renderEntityFilter();
+        renderFullTable();
+        scheduleResubscribe();
+        srAnnounce("Entity added: " + name);
+    }
+
+    function removeEntityFilter(index) {
+        var removed = entityFilter.splice(index, 1)[0];
+        saveFilters();
+        renderEntityFilter();
+        renderFullTable();
+        scheduleResubscribe();
+
+        // Keep focus in the list so keyboard users don't lose their place
+        var buttons = entityFilterList.querySelectorAll("button");
+        if (buttons.length > 0) {
+            buttons[Math.min(index, buttons.length - 1)].focus();
+        } else {
+            entityInput.focus();
+        }
+        if (removed) srAnnounce("Entity removed: " + removed + (entityFilter.length ? "" : ", showing all entities"));
+    }
+
+    // --- Filter profiles ---
+    // A profile is a named snapshot of everything saveFilters() keeps except location,
+    // voice and earcon settings, which belong to the station rather than the activity.
+    function collectProfileSettings() {
+        return {
+            bands: getSelectedBands(),
+            modes: getSelectedModes(),
+            logStatuses: getSelectedLogStatuses(),
+            hiddenSources: hiddenSources.slice(),
+            callsign: callsignSearch.value || "",
+            continents: getSelectedContinents(),
+            cqZones: cqZoneInput.value || "",
+            entities: entityFilter.slice(),
+            minScore: getMinScore(),
+            minDistanceKm: minDistanceKm,
+            spotterMaxDistanceKm: spotterMaxDistanceKm,
+            spotterSameContinent: spotterSameContinent,
+            maxSpotAge: maxSpotAgeMinutes,
+            group: groupByStation,
+            sortKey: sortKey,
+            sortDir: sortDir,
+            announce: getAnnounceLevel(),
+            phonetic: phoneticToggle.checked,
+            listMode: listMode,
+            alerts: JSON.parse(JSON.stringify(alertRules))
+        };
+    }
+
+    function applyProfileSettings(settings) {
+        if (Array.isArray(settings.bands)) setCheckedValues("band", settings.bands);
+        if (Array.isArray(settings.modes)) setCheckedValues("mode", settings.modes);
+        if (Array.isArray(settings.logStatuses)) setCheckedValues("logstatus", settings.logStatuses);
+        if (Array.isArray(settings.hiddenSources)) {
+            hiddenSources = settings.hiddenSources.slice();
+            renderSourceFilter();
+        }
+        callsignSearch.value = settings.callsign || "";
+        setCheckedValues("continent", Array.isArray(settings.continents) ? settings.continents : []);
+        cqZoneInput.value = settings.cqZones || "";
+        entityFilter = Array.isArray(settings.entities) ? settings.entities.slice() : [];
+        renderEntityFilter();
+        minScoreInput.value = settings.minScore || 0;
+        minDistanceKm = settings.minDistanceKm > 0 ? settings.minDistanceKm : null;
+        renderMinDistance();
+        spotterMaxDistanceKm = settings.spotterMaxDistanceKm > 0 ? settings.spotterMaxDistanceKm : null;
+        spotterSameContinent = settings.spotterSameContinent === true;
+        renderSpotterFilter();
+        if (settings.maxSpotAge > 0) maxSpotAgeMinutes = Math.min(settings.maxSpotAge, maxSpotAgeLimit);
+        renderMaxAge();
+        if (typeof settings.group === "boolean") {
+            groupByStation = settings.group;
+            groupToggle.checked = groupByStation;
+        }
+        if (settings.sortKey && getSpotColumn(settings.sortKey)) {
+            sortKey = settings.sortKey;
+            sortDir = settings.sortDir === "ascending" ? "ascending" : "descending";
+        }
+        if (settings.announce) {
+            var radio = document.querySelector('input[name="announce"][value="' + settings.announce + '"]');
+            if (radio && !radio.disabled) radio.checked = true;
+        }
+        if (typeof settings.phonetic === "boolean") phoneticToggle.checked = settings.phonetic;
+        if (Array.isArray(settings.alerts)) alertRules = JSON.parse(JSON.stringify(settings.alerts));
+
+        applyAnnounceLevel();
+        if (getAnnounceLevel() === "off") {
+            flushFrozenSpots();
+            stopFreezeCheck();
+        }
+        renderAlertRules();
+        saveFilters();
+        // setListMode saves the list size and re-renders the grid
+        setListMode(settings.listMode === "short" ? "short" : "long");
+        scheduleResubscribe();
+    }
+
+    // Why a profile's settings can't be applied, or null. applyProfileSettings trusts each field
+    // to have the type collectProfileSettings gives it (any may be missing), so an imported file
+    // is checked field by field first.
+    function profileSettingsError(settings) {
+        if (!settings || typeof settings !== "object" || Array.isArray(settings)) return "it has no settings";
+        var i, key;
+        var lists = ["bands", "modes", "logStatuses", "hiddenSources", "continents", "entities"];
+        for (i = 0; i < lists.length; i++) {
+            key = lists[i];
+            if (settings[key] != null && !isStringList(settings[key])) return key + " is not a list of names";
+        }
+        var texts = ["callsign", "cqZones", "sortKey"];
+        for (i = 0; i < texts.length; i++) {
+            key = texts[i];
+            if (settings[key] != null && typeof settings[key] !== "string") return key + " is not text";
+        }
+        var numbers = ["minScore", "minDistanceKm", "spotterMaxDistanceKm", "maxSpotAge"];
+        for (i = 0; i < numbers.length; i++) {
+            key = numbers[i];
+            if (settings[key] != null && !Number.isFinite(settings[key])) return key + " is not a number";
+        }
+        var flags = ["spotterSameContinent", "group", "phonetic"];
+        for (i = 0; i < flags.length; i++) {
+            key = flags[i];
+            if (settings[key] != null && typeof settings[key] !== "boolean") return key + " is not true or false";
+        }
+        var choices = { sortDir: ["ascending", "descending"], announce: ["polite", "off", "speech"], listMode: ["short", "long"] };
+        for (key in choices) {
+            if (settings[key] != null && choices[key].indexOf(settings[key]) === -1) {
+                return key + " is not one of " + choices[key].join(", ");
+            }
+        }
+        if (settings.alerts != null) {
+            if (!Array.isArray(settings.alerts)) return "alerts is not a list of rules";
+            for (i = 0; i < settings.alerts.length; i++) {
+                var rule = settings.alerts[i];
+                if (!rule || typeof rule !== "object" ||
+                    ["call", "entity", "band", "mode"].some(function (k) { return rule[k] != null && typeof rule[k] !== "string"; }) ||
+                    (rule.minDistanceKm != null && !Number.isFinite(rule.minDistanceKm))) {
+                    return "alert rule " + (i + 1) + " is not valid";
+                }
+            }
+        }
+        return null;
+    }
+
+    function isStringList(value) {
+        return Array.isArray(value) && value.every(function (v) { return typeof v === "string"; });
+    }
+
+    function isUsableProfile(profile) {
+        return !!profile && typeof profile.name === "string" && profile.name.trim() !== "" &&
+            profileSettingsError(profile.settings) === null;
+    }
+
+    function describeProfile(settings) {
+        var parts = [];
+        parts.push(settings.bands && settings.bands.length ? settings.bands.join(", ") : "all bands");
+        parts.push(settings.modes && settings.modes.length ? settings.modes.join(", ") : "all modes");
+        if (settings.callsign) parts.push("calls starting " + settings.callsign);
+        var column = getSpotColumn(settings.sortKey);
+        if (column) parts.push("sorted by " + column.label);
+        return parts.join("; ");
+    }
+
+    function findProfileIndex(name) {
+        for (var i = 0; i < profiles.length; i++) {
+            if (profiles[i].name.toLowerCase() === name.toLowerCase()) return i;
+        }
+        return -1;
+    }
+
+    function saveProfiles() {
+        try {
+            localStorage.setItem(storagePrefix + "profiles", JSON.stringify(profiles));
+            localStorage.setItem(storagePrefix + "profile", activeProfileName);
+        } catch (e) { /* localStorage unavailable */ }
+    }
+
+    function renderProfileSelect() {
+        while (profileSelect.options.length > 1) {
+            profileSelect.remove(1);
+        }
+        profiles.forEach(function (profile, index) {
+            var opt = document.createElement("option");
+            opt.value = profile.name;
+            opt.textContent = index < 9 ? (index + 1) + ". " + profile.name : profile.name;
+            profileSelect.appendChild(opt);
+        });
+        if (findProfileIndex(activeProfileName) === -1) activeProfileName = "";
+        profileSelect.value = activeProfileName;
+    }
+
+    function switchToProfile(index) {
+        var profile = profiles[index];
+        if (!profile) {
+            srAnnounce("No profile " + (index + 1));
+            return;
+        }
+        activeProfileName = profile.name;
+        saveProfiles();
+        profileSelect.value = profile.name;
+        applyProfileSettings(profile.settings);
+        srAnnounce("Profile " + profile.name + ": " + describeProfile(profile.settings));
+    }
+
+    function getProfileNameInput() {
+        var name = profileNameInput.value.trim();
+        if (!name) {
+            srAnnounce("Enter a profile name");
+            profileNameInput.focus();
+        }
+        return name;
+    }
+
+    function saveNewProfile() {
+        var name = getProfileNameInput();
+        if (!name) return;
+        if (findProfileIndex(name) !== -1) {
+            srAnnounce("A profile named " + name + " already exists");
+            profileNameInput.focus();
+            return;
+        }
+        profiles.push({ name: name, settings: collectProfileSettings() });
+        activeProfileName = name;
+        saveProfiles();
+        renderProfileSelect();
+        profileNameInput.value = "";
+        srAnnounce("Profile " + name + " saved as number " + profiles.length);
+    }
+
+    function saveActiveProfile() {
+        var index = findProfileIndex(activeProfileName);
+        if (index === -1) {
+            // Nothing selected yet: behave like "Save as new"
+            saveNewProfile();
+            return;
+        }
+        profiles[index].settings = collectProfileSettings();
+        saveProfiles();
+        srAnnounce("Profile " + activeProfileName + " updated");
+    }
+
+    function renameActiveProfile() {
+        var index = findProfileIndex(activeProfileName);
+        if (index === -1) {
+            srAnnounce("Choose a profile to rename");
+            profileSelect.focus();
+            return;
+        }
+        var name = getProfileNameInput();
+        if (!name) return;
+        var existing = findProfileIndex(name);
+        if (existing !== -1 && existing !== index) {
+            srAnnounce("A profile named " + name + " already exists");
+            profileNameInput.focus();
+            return;
+        }
+        var oldName = profiles[index].name;
+        profiles[index].name = name;
+        activeProfileName = name;
+        saveProfiles();
+        renderProfileSelect();
+        profileNameInput.value = "";
+        srAnnounce("Profile " + oldName + " renamed to " + name);
+    }
+
+    function deleteActiveProfile() {
+        var index = findProfileIndex(activeProfileName);
+        if (index === -1) {
+            srAnnounce("Choose a profile to delete");
+            profileSelect.focus();
+            return;
+        }
+        var removed = profiles.splice(index, 1)[0];
+        activeProfileName = "";
+        saveProfiles();
+        renderProfileSelect();
+        profileSelect.focus();
+        srAnnounce("Profile " + removed.name + " deleted");
+    }
+
+    function exportProfiles() {
+        if (profiles.length === 0) {
+            srAnnounce("No profiles to export");
+            return;
+        }
+        var json = JSON.stringify({ version: 1, profiles: profiles }, null, 2);
+        var url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+        var link = document.createElement("a");
+        link.href = url;
+        link.download = "dx-aggregator-profiles.json";
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+        srAnnounce("Exported " + profiles.length + " profiles");
+    }
+
+    // Accepts an export file or a bare array; profiles with an existing name replace it
+    function importProfilesFile(file) {
+        if (!file) return;
+        var reader = new FileReader();
+        reader.onload = function () {
+            var imported;
+            try {
+                var data = JSON.parse(reader.result);
+                imported = Array.isArray(data) ? data : data.profiles;
+                if (!Array.isArray(imported)) throw new Error("no profiles array");
+            } catch (e) {
+                srAnnounce("Profile import failed: not a profile file");
+                return;
+            }
+
+            var count = 0;
+            var rejected = [];
+            imported.forEach(function (profile, i) {
+                var hasName = !!profile && typeof profile.name === "string" && profile.name.trim() !== "";
+                var problem = hasName ? profileSettingsError(profile.settings) : "it has no name";
+                if (problem) {
+                    rejected.push((hasName ? profile.name.trim() : "Profile " + (i + 1)) + ": " + problem);
+                    return;
+                }
+                var entry = { name: profile.name.trim(), settings: profile.settings };
+                var index = findProfileIndex(entry.name);
+                if (index === -1) {
+                    profiles.push(entry);
+                } else {
+                    profiles[index] = entry;
+                }
+                count++;
+            });
+            profileImportFile.value = "";
+            if (count === 0) {
+                srAnnounce("Profile import failed: " + (rejected.length ? rejected.join("; ") : "the file has no profiles"));
+                return;
+            }
+            saveProfiles();
+            renderProfileSelect();
+            srAnnounce("Imported " + count + (count === 1 ? " profile" : " profiles") +
+                (rejected.length ? ". Not imported: " + rejected.join("; ") : ""));
+        };
+        reader.onerror = function () {
+            srAnnounce("Profile import failed: could not read the file");
+        };
+        reader.readAsText(file);
+    }
+
+    // --- Imported logbook (ADIF) ---
+    // QSOs are kept in IndexedDB so the log survives reloads without re-importing.
+    var logDbName = storagePrefix + "log";
+    var logStoreName = "qsos";
+
+    function openLogDb() {
+        return new Promise(function (resolve, reject) {
+            if (!window.indexedDB) {
+                reject(new Error("IndexedDB unavailable"));
+                return;
+            }
+            var request = indexedDB.open(logDbName, 1);
+            request.onupgradeneeded = function () {
+                request.result.createObjectStore(logStoreName, { autoIncrement: true });
+            };
+            request.onsuccess = function () { resolve(request.result); };
+            request.onerror = function () { reject(request.error); };
+        });
+    }
+
+    function readStoredQsos() {
+        return openLogDb().then(function (db) {
+            return new Promise(function (resolve, reject) {
+                var request = db.transaction(logStoreName, "readonly").objectStore(logStoreName).getAll();
+                request.onsuccess = function () { resolve(request.result || []); };
+                request.onerror = function () { reject(request.error); };
+            });
+        });
+    }
+
+    function addStoredQso(qso) {
+        return openLogDb().then(function (db) {
+            return new Promise(function (resolve, reject) {
+                var tx = db.transaction(logStoreName, "readwrite");
+                tx.objectStore(logStoreName).add(qso);
+                tx.oncomplete = function () { resolve(); };
+                tx.onerror = function () { reject(tx.error); };
+            });
+        });
+    }
+
+    function replaceStoredQsos(qsos) {
+        return openLogDb().then(function (db) {
+            return new Promise(function (resolve, reject) {
+                var tx = db.transaction(logStoreName, "readwrite");
+                var store = tx.objectStore(logStoreName);
+                store.clear();
+                for (var i = 0; i < qsos.length; i++) store.add(qsos[i]);
+                tx.oncomplete = function () { resolve(); };
+                tx.onerror = function () { reject(tx.error); };
+            });
+        });
+    }
+
+    // Minimal ADIF (.adi) reader: <FIELD:len>value ... <EOR>, header ends at <EOH>
+    function parseAdif(text) {
+        var records = [];
+        var current = {};
+        var fieldRe = /<([A-Za-z0-9_]+)(?::(\d+)(?::[A-Za-z])?)?>/g;
+        var eoh = text.search(/<eoh>/i);
+        fieldRe.lastIndex = eoh !== -1 ? eoh + 5 : 0;
+
+        var m;
+        while ((m = fieldRe.exec(text)) !== null) {
+            var name = m[1].toUpperCase();
+            if (name === "EOR") {
+                if (current.CALL) records.push(current);
+                current = {};
+                continue;
+            }
+            var len = m[2] ? parseInt(m[2], 10) : 0;
+            current[name] = text.substr(fieldRe.lastIndex, len).trim();
+            fieldRe.lastIndex += len;
+        }
+        return records;
+    }
+
+    function normalizeLogMode(record) {
+        var mode = (record.MODE || "").toUpperCase();
+        var submode = (record.SUBMODE || "").toUpperCase();
+        // FT4 and friends are logged as MODE=MFSK with the real mode in SUBMODE
+        if (mode === "MFSK" && submode) return submode;
+        if (mode === "USB" || mode === "LSB" || mode === "PHONE") return "SSB";
+        return mode;
+    }
+
+    function buildLogIndex(qsos) {
+        var index = { count: qsos.length, calls: {}, entities: {}, entityBands: {}, entityModes: {}, entityCount: 0 };
+        for (var i = 0; i < qsos.length; i++) {
+            var q = qsos[i];
+            index.calls[q.call] = true;
+            for (var e = 0; e < q.entities.length; e++) {
+                var entity = q.entities[e];
+                if (!index.entities[entity]) {
+                    index.entities[entity] = true;
+                    index.entityCount++;
+                }
+                if (q.band) index.entityBands[entity + "|" + q.band] = true;
+                if (q.mode) index.entityModes[entity + "|" + q.mode] = true;
+            }
+        }
+        return index;
+    }
+
+    function getLogStatus(spot) {
+        if (!logIndex) return null;
+        var entity = (spot.dxccEntity || "").toUpperCase();
+        if (entity) {
+            if (!logIndex.entities[entity]) return "new-one";
+            if (spot.band && !logIndex.entityBands[entity + "|" + spot.band]) return "new-band";
+            if (spot.mode && !logIndex.entityModes[entity + "|" + spot.mode]) return "new-mode";
+            return "worked";
+        }
+        // Entity unknown — we can still tell if this exact call is in the log
+        return logIndex.calls[spot.dxCall] ? "worked" : null;
+    }
+
+    function updateLogStatus() {
+        if (!logStatus) return;
+        if (!logIndex) {
+            logStatus.textContent = "No log imported";
+            return;
+        }
+        logStatus.textContent = "Log: " + logIndex.count + " QSO" + (logIndex.count !== 1 ? "s" : "") +
+            ", " + logIndex.entityCount + " entit" + (logIndex.entityCount !== 1 ? "ies" : "y") + " worked";
+    }
+
+    function applyLog(qsos) {
+        logIndex = qsos.length > 0 ? buildLogIndex(qsos) : null;
+        updateLogStatus();
+        renderFullTable();
+    }
+
+    function importAdifFile(file) {
+        if (!file) return;
+        logStatus.textContent = "Reading " + file.name + "...";
+
+        var reader = new FileReader();
+        reader.onload = function () {
+            var records = parseAdif(String(reader.result || ""));
+            if (records.length === 0) {
+                logStatus.textContent = "No QSOs found in " + file.name;
+                return;
+            }
+
+            var calls = [];
+            var seenCalls = {};
+            var qsos = records.map(function (r) {
+                var call = r.CALL.toUpperCase();
+                if (!seenCalls[call]) {
+                    seenCalls[call] = true;
+                    calls.push(call);
+                }
+                return {
+                    call: call,
+                    band: (r.BAND || "").toLowerCase(),
+                    mode: normalizeLogMode(r),
+                    country: (r.COUNTRY || "").toUpperCase()
+                };
+            });
+
+            logStatus.textContent = "Resolving entities for " + calls.length + " calls...";
+
+            // Resolve entities with the same cty.dat the server uses for spots, so names
+            // line up with dxccEntity; the ADIF COUNTRY field is kept as a fallback alias.
+            fetch("/api/callsign/entities", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(calls)
+            })
+                .then(function (r) { return r.ok ? r.json() : {}; })
+                .catch(function () { return {}; })
+                .then(function (entities) {
+                    qsos.forEach(function (q) {
+                        q.entities = [];
+                        var resolved = entities[q.call];
+                        if (resolved) q.entities.push(resolved.toUpperCase());
+                        if (q.country && q.entities.indexOf(q.country) === -1) q.entities.push(q.country);
+                        delete q.country;
+                    });
+                    return replaceStoredQsos(qsos).catch(function (err) {
+                        console.error("Could not store log in IndexedDB:", err);
+                    });
+                })
+                .then(function () {
+                    applyLog(qsos);
+                    srAnnounce(logStatus.textContent);
+                });
+        };
+        reader.onerror = function () {
+            logStatus.textContent = "Could not read " + file.name;
+        };
+        reader.readAsText(file);
+    }
+
+    function clearImportedLog() {
+        replaceStoredQsos([])
+            .catch(function () { /* IndexedDB unavailable */ })
+            .then(function () {
+                applyLog([]);
+                if (adifFileInput) adifFileInput.value = "";
+                srAnnounce("Imported log cleared");
+            });
+    }
+
+    function loadStoredLog() {
+        readStoredQsos()
+            .then(function (qsos) {
+                if (qsos.length > 0) applyLog(qsos);
+            })
+            .catch(function () { /* IndexedDB unavailable — log features stay off */ });
+    }
+
+    // --- Spot detail dialog (I on a spot row) ---
+    // cty.dat facts and paths from /api/callsign/{call}, the call's recent spots from /api/spots
+    var detailHistoryLimit = 50;
+    var detailCall = null;
+    var detailReturnRow = null;
+
+    // 9 -> "UTC+9", -3.5 -> "UTC-3:30"
+    function formatUtcOffset(hours) {
+        var abs = Math.abs(hours);
+        var whole = Math.floor(abs);
+        var minutes = Math.round((abs - whole) * 60);
+        return "UTC" + (hours < 0 ? "-" : "+") + whole + (minutes ? ":" + (minutes < 10 ? "0" : "") + minutes : "");
+    }
+
+    // The station's clock now, "HH:MM"
+    function stationLocalTime(utcOffset) {
+        return new Date(Date.now() + utcOffset * 3600000).toISOString().substr(11, 5);
+    }
+
+    function openSpotDetail(spot, row) {
+        var call = spot.dxCall;
+        detailCall = call;
+        detailReturnRow = row;
+        spotDetailTitle.textContent = call;
+        while (spotDetailFacts.firstChild) spotDetailFacts.removeChild(spotDetailFacts.firstChild);
+        while (spotDetailBody.firstChild) spotDetailBody.removeChild(spotDetailBody.firstChild);
+        spotDetailCaption.textContent = "Recent spots (loading)";
+        if (!spotDetail.open) spotDetail.showModal();
+
+        // The server works out the paths from this page's QTH. Without one it would use the
+        // aggregator's, which isn't where this operator is, so the paths are left out instead.
+        var lookupQuery = qthQuery() + (spot.grid ? "grid=" + encodeURIComponent(spot.grid) : "");
+        var lookup = fetch("/api/callsign/" + encodeURIComponent(call) + (lookupQuery ? "?" + lookupQuery : ""))
+            .then(function (r) {
+                return r.json().then(function (data) {
+                    if (!r.ok) throw new Error(data.error || "lookup failed");
+                    if (userLat == null) data.shortPath = data.longPath = null;
+                    return data;
+                });
+            });
+        // "to" makes this a history search, so kept history counts too
+        var recent = fetch("/api/spots?call=" + encodeURIComponent(call) + "&exactCall=true" +
+                "&to=" + encodeURIComponent(new Date().toISOString()) + "&limit=" + detailHistoryLimit)
+            .then(function (r) { return r.json(); })
+            .then(function (spots) { return spots.map(normalizeSpot); });
+
+        Promise.all([
+            lookup.catch(function (err) { return { error: err.message }; }),
+            recent.catch(function () { return null; })
+        ]).then(function (results) {
+            if (detailCall !== call || !spotDetail.open) return; // closed, or another call opened
+            renderSpotDetail(spot, results[0], results[1]);
+            srAnnounce(describeSpotDetail(spot, results[0], results[1]));
+        });
+    }
+
+    function addDetailFact(term, value) {
+        var dt = document.createElement("dt");
+        dt.textContent = term;
+        var dd = document.createElement("dd");
+        dd.textContent = value;
+        spotDetailFacts.appendChild(dt);
+        spotDetailFacts.appendChild(dd);
+    }
+
+    function formatPath(path) {
+        return formatBearing(path.bearing) + ", " + formatDistance(path.distanceKm);
+    }
+
+    function renderSpotDetail(spot, info, spots) {
+        if (info.error) {
+            addDetailFact("Entity", info.error);
+        } else {
+            addDetailFact("Entity", info.entity + " (" + info.prefix + ")");
+            addDetailFact("Continent", continentNames[info.continent] || info.continent);
+            addDetailFact("CQ zone", String(info.cqZone));
+            addDetailFact("ITU zone", String(info.ituZone));
+            addDetailFact("Local time", stationLocalTime(info.utcOffset) + " (" + formatUtcOffset(info.utcOffset) + ")");
+            if (info.grid) addDetailFact("Grid", info.grid);
+            if (info.shortPath) {
+                addDetailFact("Short path", formatPath(info.shortPath));
+                addDetailFact("Long path", formatPath(info.longPath));
+            } else {
+                addDetailFact("Path", "Set your QTH grid to see bearing and distance");
+            }
+        }
+
+        if (spots == null) {
+            spotDetailCaption.textContent = "Recent spots could not be loaded";
+            return;
+        }
+        spotDetailCaption.textContent = spots.length === 0 ? "No recent spots" :
+            "Recent spots (" + spots.length + (spots.length === detailHistoryLimit ? ", newest " + detailHistoryLimit : "") + ")";
+        spots.forEach(function (s) {
+            var tr = document.createElement("tr");
+            [
+                s.timestamp.substr(5, 5) + " " + formatTime(s.timestamp), formatFrequency(s.frequency), s.band, s.mode,
+                s.spotter, s.snr != null ? String(s.snr) : "", s.source
+            ].forEach(function (text) {
+                var td = document.createElement("td");
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            spotDetailBody.appendChild(tr);
+        });
+    }
+
+    function describeSpotDetail(spot, info, spots) {
+        var parts = [spellCall(spot.dxCall)];
+        if (info.error) {
+            parts.push("not found in the country file");
+        } else {
+            parts.push(info.entity, continentNames[info.continent] || info.continent,
+                "CQ zone " + info.cqZone, "ITU zone " + info.ituZone,
+                "local time " + stationLocalTime(info.utcOffset).replace(":", " "));
+            if (info.shortPath) {
+                parts.push("short path " + info.shortPath.bearing + " degrees " + speakDistance(info.shortPath.distanceKm));
+                parts.push("long path " + info.longPath.bearing + " degrees " + speakDistance(info.longPath.distanceKm));
+            }
+        }
+        if (spots) parts.push(spots.length === 1 ? "1 recent spot" : spots.length + " recent spots");
+        return parts.join(", ");
+    }
+
+    // --- Radio control (Hamlib rigctld via /api/rig) ---
+    // The server pushes "RigStatus" whenever the rig's frequency, mode or connection changes;
+    // /api/rig/status is only read at startup and after a reconnect.
+
+    function tuneToSpot(spot) {
+        var url = "/api/rig/tune?freq=" + spot.frequency + "&mode=" + encodeURIComponent(spot.mode || "");
+        fetch(url, { method: "POST" })
+            .then(function (r) {
+                return r.json().then(function (data) {
+                    if (!r.ok) throw new Error(data.error || "rig did not respond");
+                    return data;
+                });
+            })
+            .then(function (data) {
+                srAnnounce("Tuned to " + speakFrequency(spot.frequency) + (data.mode ? " " + data.mode : ""));
+            })
+            .catch(function (err) {
+                srAnnounce("Tune failed: " + err.message);
+            });
+    }
+
+    function refreshRigStatus() {
+        if (!rigStatus) return;
+        fetch("/api/rig/status")
+            .then(function (r) { return r.json(); })
+            .then(showRigStatus)
+            .catch(function () {
+                rigStatus.textContent = "Unavailable";
+                rigStatus.className = "rig-disconnected";
+            });
+    }
+
+    function showRigStatus(data) {
+        if (!rigStatus) return;
+        var where = data.host + ":" + data.port;
+        if (data.connected) {
+            rigStatus.textContent = formatFrequency(data.frequency) + " kHz " + (data.mode || "") + " (" + where + ")";
+            rigStatus.className = "rig-connected";
+        } else {
+            rigStatus.textContent = "Not connected (" + where + ")";
+            rigStatus.className = "rig-disconnected";
+        }
+    }
+
+    // --- WSJT-X / JTDX (/api/wsjtx; needs "Wsjtx" enabled on the server) ---
+    // localDecodes holds the stations WSJT-X decoded in the last couple of minutes, by call;
+    // their rows are marked and read as "decoding locally". W on a row asks WSJT-X to call it.
+    function isDecodingLocally(spot) {
+        return !!localDecodes[spot.dxCall];
+    }
+
+    function loadLocalDecodes() {
+        fetch("/api/wsjtx")
+            .then(function (r) { return r.json(); })
+            .then(function (info) {
+                if (info.enabled) applyLocalDecodes(info.decoding);
+            })
+            .catch(function (err) {
+                console.error("Failed to load WSJT-X decodes:", err);
+            });
+    }
+
+    // Marks rows in place rather than re-rendering, so focus and the frozen grid are left alone
+    function applyLocalDecodes(decoding) {
+        localDecodes = {};
+        decoding.forEach(function (d) {
+            localDecodes[d.call] = d;
+        });
+
+        var rows = spotBody.querySelectorAll("tr");
+        for (var i = 0; i < rows.length; i++) {
+            var spot = rowSpots.get(rows[i]);
+            if (!spot) continue;
+            var decodingNow = isDecodingLocally(spot);
+            if (rows[i].classList.contains("decoding-local") === decodingNow) continue;
+            rows[i].classList.toggle("decoding-local", decodingNow);
+            rows[i].setAttribute("aria-label", buildRowSummary(spot));
+        }
+    }
+
+    function replyInWsjtx(spot) {
+        if (!isDecodingLocally(spot)) {
+            srAnnounce(spellCall(spot.dxCall) + " is not being decoded locally");
+            return;
+        }
+        fetch("/api/wsjtx/reply?call=" + encodeURIComponent(spot.dxCall), { method: "POST" })
+            .then(function (r) {
+                return r.json().then(function (data) {
+                    if (!r.ok) throw new Error(data.error || "WSJT-X did not respond");
+                    return data;
+                });
+            })
+            .then(function () {
+                srAnnounce("Calling " + spellCall(spot.dxCall) + " in WSJT-X");
+            })
+            .catch(function (err) {
+                srAnnounce("Reply failed: " + err.message);
+            });
+    }
+
+    // A QSO logged in WSJT-X counts in the imported log at once (no log imported: just say it)
+    function onQsoLogged(qso) {
+        srAnnounce("Logged " + spellCall(qso.call) + ", " + (qso.band !== "unknown" ? speakBand(qso.band) + " " : "") + qso.mode);
+        if (!logIndex) return;
+
+        var q = { call: qso.call.toUpperCase(), band: qso.band, mode: qso.mode.toUpperCase(), entities: [] };
+        if (qso.entity) q.entities.push(qso.entity.toUpperCase());
+        addStoredQso(q)
+            .then(readStoredQsos)
+            .then(applyLog)
+            .catch(function (err) {
+                console.error("Could not add the logged QSO:", err);
+            });
+    }
+
+    // --- Local telnet spot server (/api/telnet/clients) ---
+    // Polled quietly: no live region, the list is read when the user visits it.
+    var telnetPollMs = 10000;
+
+    function refreshTelnetClients() {
+        if (!telnetServerStatus) return;
+        fetch("/api/telnet/clients")
+            .then(function (r) { return r.json(); })
+            .then(function (data) {
+                if (!data.enabled) {
+                    telnetServerStatus.textContent = "Off (enable TelnetServer in appsettings.json)";
+                } else {
+                    var n = data.clients.length;
+                    telnetServerStatus.textContent = data.address + ":" + data.port + ", " +
+                        n + (n === 1 ? " client" : " clients");
+                }
+                renderTelnetClients(data.clients || []);
+            })
+            .catch(function () {
+                telnetServerStatus.textContent = "Unavailable";
+                renderTelnetClients([]);
+            });
+    }
+
+    function renderTelnetClients(clients) {
+        while (telnetClientList.firstChild) {
+            telnetClientList.removeChild(telnetClientList.firstChild);
+        }
+        clients.forEach(function (c) {
+            var li = document.createElement("li");
+            li.textContent = c.callsign + " from " + c.remote + " since " + formatTime(c.connected) +
+                " UTC, " + c.filter + ", " + c.spotsSent + " spots sent";
+            telnetClientList.appendChild(li);
+        });
+    }
+
+    // --- User location ---
+    function updateLocationStatus(text) {
+        if (locationStatus) locationStatus.textContent = text;
+    }
+
+    function requestGeolocation() {
+        if (!navigator.geolocation) {
+            updateLocationStatus("Geolocation not available");
+            return;
+        }
+
+        updateLocationStatus("Requesting location...");
+
+        navigator.geolocation.getCurrentPosition(
+            function (pos) {
+                var lat = pos.coords.latitude;
+                var lon = pos.coords.longitude;
+                setUserLocation(lat, lon, latLonToGrid(lat, lon));
+            },
+            function () {
+                updateLocationStatus("Location denied or unavailable");
+            },
+            { enableHighAccuracy: false, timeout: 10000, maximumAge: 86400000 }
+        );
+    }
+
+    // The QTH is this browser's own: distances and bearings are worked out here from each
+    // spot's DX position, and sent with requests that filter by distance, so other pages
+    // sharing the aggregator keep theirs.
+    function setUserLocation(lat, lon, grid) {
+        userLat = lat;
+        userLon = lon;
+        userGrid = grid;
+        userContinent = null;
+        if (gridInput) gridInput.value = userGrid;
+        try {
+            localStorage.setItem(storagePrefix + "lat", lat.toString());
+            localStorage.setItem(storagePrefix + "lon", lon.toString());
+            localStorage.setItem(storagePrefix + "grid", userGrid);
+            localStorage.removeItem(storagePrefix + "qthContinent");
+        } catch (e) { /* localStorage unavailable */ }
+        updateLocationStatus("Your grid: " + userGrid);
+
+        allSpots.forEach(locateSpot);
+        historySpots.forEach(locateSpot);
+        renderAlertRules();
+        renderMinDistance();
+        renderSpotterFilter();
+        renderFullTable();
+        subscribeToSpots();
+        loadInitialSpots();
+        loadUserContinent();
+    }
+
+    // The QTH's continent, worked out by the server from cty.dat; kept with the QTH so the
+    // continent filter also works offline
+    function loadUserContinent() {
+        if (userLat == null) return;
+        fetch("/api/location/continent?" + qthQuery())
+            .then(function (r) {
+                if (!r.ok) throw new Error("HTTP " + r.status);
+                return r.json();
+            })
+            .then(function (info) {
+                userContinent = info.continent || null;
+                try {
+                    localStorage.setItem(storagePrefix + "qthContinent", userContinent || "");
+                } catch (e) { /* localStorage unavailable */ }
+                renderSpotterFilter();
+                if (spotterSameContinent) {
+                    renderFullTable();
+                    scheduleResubscribe();
+                }
+            })
+            .catch(function () { /* no cty.dat on the server — the continent filter stays off */ });
+    }
+
+    function setGridFromInput() {
+        var grid = (gridInput ? gridInput.value : "").trim().toUpperCase();
+        if (grid.length < 4) {
+            updateLocationStatus("Enter at least 4 characters (e.g. FN31)");
+            return;
+        }
+        var position = gridToLatLon(grid);
+        if (!position) {
+            updateLocationStatus("Invalid grid square");
+            return;
+        }
+        setUserLocation(position.lat, position.lon, grid);
+    }
+
+    // Maidenhead grid to the centre of its square (or subsquare), as CtyParser.GridToLatLon
+    function gridToLatLon(grid) {
+        grid = (grid || "").toUpperCase();
+        if (!/^[A-R]{2}[0-9]{2}/.test(grid)) return null;
+        var lon = (grid.charCodeAt(0) - 65) * 20 - 180 + parseInt(grid.charAt(2), 10) * 2;
+        var lat = (grid.charCodeAt(1) - 65) * 10 - 90 + parseInt(grid.charAt(3), 10);
+        if (/^[A-X]{2}$/.test(grid.substr(4, 2))) {
+            lon += (grid.charCodeAt(4) - 65) * (2 / 24) + 1 / 24;
+            lat += (grid.charCodeAt(5) - 65) * (1 / 24) + 0.5 / 24;
+        } else {
+            lon += 1;
+            lat += 0.5;
+        }
+        return { lat: lat, lon: lon };
+    }
+
+    // Six-character grid, e.g. "FN31pr"
+    function latLonToGrid(lat, lon) {
+        lon = Math.max(0, Math.min(lon + 180, 359.999));
+        lat = Math.max(0, Math.min(lat + 90, 179.999));
+        return String.fromCharCode(65 + Math.floor(lon / 20), 65 + Math.floor(lat / 10)) +
+            Math.floor((lon % 20) / 2) + Math.floor(lat % 10) +
+            String.fromCharCode(97 + Math.floor((lon % 2) / (2 / 24)), 97 + Math.floor((lat % 1) / (1 / 24)));
+    }
+
+    // Mean earth radius, as CtyParser.EarthRadiusKm on the server
+    var earthRadiusKm = 6371;
+
+    // Great-circle distance (km) and initial bearing (degrees) from the QTH
+    function pathTo(lat, lon) {
+        var toRad = Math.PI / 180;
+        var phi1 = userLat * toRad;
+        var phi2 = lat * toRad;
+        var dLon = (lon - userLon) * toRad;
+        var a = Math.pow(Math.sin((phi2 - phi1) / 2), 2) +
+            Math.cos(phi1) * Math.cos(phi2) * Math.pow(Math.sin(dLon / 2), 2);
+        var km = earthRadiusKm * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        var y = Math.sin(dLon) * Math.cos(phi2);
+        var x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+        var bearing = (Math.atan2(y, x) / toRad + 360) % 360;
+        return { distanceKm: km, bearing: bearing };
+    }
+
+    // Sets the spot's distance and bearing from the QTH, and its spotter's distance (null until
+    // both positions are known)
+    function locateSpot(spot) {
+        spot.spotterDistanceKm = userLat == null || spot.spotterLatitude == null || spot.spotterLongitude == null
+            ? null
+            : Math.round(pathTo(spot.spotterLatitude, spot.spotterLongitude).distanceKm);
+        if (userLat == null || spot.dxLatitude == null || spot.dxLongitude == null) {
+            spot.distanceKm = null;
+            spot.bearing = null;
+            return spot;
+        }
+        var path = pathTo(spot.dxLatitude, spot.dxLongitude);
+        spot.distanceKm = Math.round(path.distanceKm);
+        spot.bearing = Math.round(path.bearing);
+        return spot;
+    }
+
+    // --- List size radio buttons ---
+    function setListMode(mode) {
+        listMode = mode;
+        try {
+            localStorage.setItem(storagePrefix + "listMode", listMode);
+        } catch (e) { /* localStorage unavailable */ }
+        // Update radio buttons to reflect state
+        var radios = document.querySelectorAll('input[name="listsize"]');
+        for (var i = 0; i < radios.length; i++) {
+            radios[i].checked = (radios[i].value === listMode);
+        }
+        renderFullTable();
+    }
+
+    function restoreListRadio() {
+        var radios = document.querySelectorAll('input[name="listsize"]');
+        for (var i = 0; i < radios.length; i++) {
+            radios[i].checked = (radios[i].value === listMode);
+        }
+    }
+
+    // --- Keyboard commands (keymap) ---
+    // Every shortcut is a named command with default keys; the user's changes are kept in
+    // localStorage. "row" commands act on the focused spot row, "global" ones anywhere.
+    // Key names: modifiers Ctrl, Alt, Shift, Meta in that order, then the key ("Alt+Shift+S", "F8", "?").
+    // The defaults use Alt+Shift with a letter, which browsers leave to the page.
+    var keymapStorageKey = storagePrefix + "keymap";
+    var keymapCapture = null; // command being given a new key in the help dialog
+    var keymapReturnFocus = null;
+    var lastFocusedRow = null;
+    // Keys the page needs for moving around (and Esc to cancel), so they can't be assigned
+    var reservedKeys = ["Tab", "Shift+Tab", "Escape", "ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"];
+    // Browser shortcuts (Chrome, Edge and Firefox on Windows and Linux). A command may still take
+    // one, but only when the key is pressed twice, since the browser's own action is lost.
+    var browserKeys = {
+        "Ctrl+B": "bookmarks", "Ctrl+D": "bookmark this page", "Ctrl+E": "search bar", "Ctrl+F": "find",
+        "Ctrl+G": "find next", "Ctrl+H": "history", "Ctrl+J": "downloads", "Ctrl+K": "search bar",
+        "Ctrl+L": "address bar", "Ctrl+M": "mute tab", "Ctrl+N": "new window", "Ctrl+O": "open file",
+        "Ctrl+P": "print", "Ctrl+R": "reload", "Ctrl+S": "save page", "Ctrl+T": "new tab",
+        "Ctrl+U": "view source", "Ctrl+W": "close tab", "Ctrl+0": "reset zoom", "Ctrl+=": "zoom in",
+        "Ctrl++": "zoom in", "Ctrl+-": "zoom out", "Ctrl+PageUp": "previous tab", "Ctrl+PageDown": "next tab",
+        "Alt+D": "address bar", "Alt+E": "menu", "Alt+F": "menu", "Alt+Home": "home page",
+        "F3": "find next", "F5": "reload", "F6": "address bar", "F7": "caret browsing",
+        "F10": "menu bar", "F11": "full screen", "F12": "developer tools"
+    };
+    for (var bk = 1; bk <= 9; bk++) {
+        browserKeys["Ctrl+" + bk] = "switch to tab " + bk;
+        browserKeys["Alt+" + bk] = "switch to tab " + bk; // Linux
+    }
+    var keymapConfirmKey = null; // browser shortcut pressed once while changing a key
+
+    var keyCommands = [
+        { id: "refresh", label: "Refresh the grid with new spots and go to the top", keys: ["F8"], run: refreshGrid },
+        { id: "focusGrid", label: "Go to the first spot row (again to re-read it)", keys: ["Alt+Shift+S"], run: focusFirstRow },
+        { id: "reannounceRow", label: "Read the current spot row again", keys: ["F9"], run: reannounceCurrentRow },
+        { id: "focusCallsign", label: "Callsign / prefix search box", keys: ["Alt+Shift+P"], run: function () { callsignSearch.focus(); } },
+        { id: "focusBands", label: "First band filter checkbox", keys: ["Alt+Shift+B"], run: function () { focusFirstInput("band"); } },
+        { id: "nextBand", label: "Next band (shows only that band)", keys: ["Ctrl+]"], run: function () { cycleFilter("band", 1); } },
+        { id: "previousBand", label: "Previous band (shows only that band)", keys: ["Ctrl+["], run: function () { cycleFilter("band", -1); } },
+        { id: "focusModes", label: "First mode filter checkbox", keys: ["Alt+Shift+M"], run: function () { focusFirstInput("mode"); } },
+        { id: "nextMode", label: "Next mode (shows only that mode)", keys: ["Ctrl+\\"], run: function () { cycleFilter("mode", 1); } },
+        { id: "focusLocation", label: "Location / grid box", keys: ["Alt+Shift+L"], run: function () { if (gridInput) gridInput.focus(); } },
+        { id: "nextAlert", label: "Most recent DX alert, then the next alert row", keys: ["Alt+Shift+J"], run: jumpToNextAlert },
+        { id: "earcons", label: "Earcons on / off", keys: ["Alt+Shift+E"], run: toggleEarconMute },
+        { id: "bandConditions", label: "Speak band conditions", keys: ["Alt+Shift+O"], run: announceBandConditions },
+        { id: "export", label: "Export (download) the spot list", keys: ["Alt+Shift+D"], run: exportSpots },
+        { id: "stopSpeaking", label: "Stop talking (Speak aloud mode)", keys: ["Escape"], run: stopSpeaking, when: isSpeaking },
+        { id: "help", label: "List keyboard commands (this window)", keys: ["?", "F1"], run: openKeymapHelp },
+        { id: "tune", label: "Tune the radio to the spot", keys: ["Enter"], scope: "row", run: function (row) {
+            var spot = rowSpots.get(row);
+            if (spot) tuneToSpot(spot);
+        } },
+        { id: "details", label: "Details for the spot's call", keys: ["I"], scope: "row", run: function (row) {
+            var spot = rowSpots.get(row);
+            if (spot) openSpotDetail(spot, row);
+        } },
+        { id: "reply", label: "Call the station in WSJT-X (when decoding locally)", keys: ["W"], scope: "row", run: function (row) {
+            var spot = rowSpots.get(row);
+            if (spot) replyInWsjtx(spot);
+        } },
+        { id: "historyOlder", label: "Older page of spots (History tab)", keys: ["PageDown"], scope: "row",
+            when: function () { return spotView === "history"; },
+            run: function () { if (historyHasOlder) loadHistoryPage(historyPage + 1, true); } },
+        { id: "historyNewer", label: "Newer page of spots (History tab)", keys: ["PageUp"], scope: "row",
+            when: function () { return spotView === "history"; },
+            run: function () { if (historyPage > 1) loadHistoryPage(historyPage - 1, true); } }
+    ];
+    for (var kp = 1; kp <= 9; kp++) {
+        keyCommands.push({
+            id: "profile" + kp,
+            label: "Switch to filter profile " + kp,
+            keys: ["Alt+Shift+" + kp],
+            run: (function (index) { return function () { switchToProfile(index); }; })(kp - 1)
+        });
+    }
+    keyCommands.forEach(function (command) {
+        command.scope = command.scope || "global";
+        command.defaultKeys = command.keys.slice();
+    });
+
+    // The key pressed as a name, or null for a lone modifier. Shift is only named with letters, digits
+    // and non-character keys: "?" already says Shift was down.
+    function keyNameFromEvent(e) {
+        var key = e.key;
+        if (!key || key === "Control" || key === "Shift" || key === "Alt" || key === "Meta" || key === "Unidentified") return null;
+        if (key === " ") key = "Space";
+        // With Alt, Shift+1 gives "!" and a Mac's Option+S gives "ß": name the letter or digit key instead
+        if (e.altKey && !/^[A-Za-z0-9]$/.test(key) && /^(Key[A-Z]|Digit\d)$/.test(e.code || "")) {
+            key = e.code.charAt(e.code.length - 1);
+        }
+        var isChar = key.length === 1;
+        if (isChar) key = key.toUpperCase();
+        var name = "";
+        if (e.ctrlKey) name += "Ctrl+";
+        if (e.altKey) name += "Alt+";
+        if (e.shiftKey && (!isChar || /[A-Z0-9]/.test(key))) name += "Shift+";
+        if (e.metaKey) name += "Meta+";
+        return name + key;
+    }
+
+    function findKeyCommand(keyName, scope) {
+        for (var i = 0; i < keyCommands.length; i++) {
+            var command = keyCommands[i];
+            if ((!scope || command.scope === scope) && command.keys.indexOf(keyName) !== -1) return command;
+        }
+        return null;
+    }
+
+    function getKeyCommand(id) {
+        for (var i = 0; i < keyCommands.length; i++) {
+            if (keyCommands[i].id === id) return keyCommands[i];
+        }
+        return null;
+    }
+
+    // Plain keys belong to the text box being typed in; Ctrl/Alt/Meta combinations, F-keys and Esc don't
+    function keyWorksWhileTyping(keyName) {
+        return /(^|\+)F\d+$/.test(keyName) || keyName === "Escape" || /^(Ctrl|Alt|Meta)\+/.test(keyName);
+    }
+
+    function isTypingTarget(el) {
+        if (!el) return false;
+        if (el.isContentEditable || el.tagName === "TEXTAREA" || el.tagName === "SELECT") return true;
+        return el.tagName === "INPUT" && ["checkbox", "radio", "button", "submit", "reset", "range", "file"].indexOf(el.type) === -1;
+    }
+
+    function describeKeys(keys) {
+        return keys.length ? keys.join(" or ") : "no key";
+    }
+
+    function saveKeymap() {
+        var changed = {};
+        keyCommands.forEach(function (command) {
+            if (command.keys.join(" ") !== command.defaultKeys.join(" ")) changed[command.id] = command.keys;
+        });
+        try {
+            localStorage.setItem(keymapStorageKey, JSON.stringify(changed));
+        } catch (e) { /* localStorage unavailable */ }
+    }
+
+    function restoreKeymap() {
+        var changed = null;
+        try {
+            changed = JSON.parse(localStorage.getItem(keymapStorageKey) || "null");
+        } catch (e) { /* unreadable — keep the defaults */ }
+        if (!changed || typeof changed !== "object") return;
+
+        keyCommands.forEach(function (command) {
+            var keys = changed[command.id];
+            if (Array.isArray(keys)) {
+                command.keys = keys.filter(function (k) { return typeof k === "string" && reservedKeys.indexOf(k) === -1; });
+            }
+        });
+        // A key saved for one command may since have become another's default; the first keeps it
+        var used = {};
+        keyCommands.forEach(function (command) {
+            command.keys = command.keys.filter(function (k) {
+                if (used[k]) return false;
+                used[k] = true;
+                return true;
+            });
+        });
+    }
+
+    // --- Keyboard command actions ---
+    function refreshGrid() {
+        flushFrozenSpots();
+        renderFullTable();
+        var firstRow = spotBody.querySelector("tr");
+        if (firstRow) firstRow.focus();
+    }
+
+    // Focusing the row reads it; a row that already has focus is blurred and refocused to read it again
+    function reannounceRow(row) {
+        if (document.activeElement !== row) {
+            row.focus();
+            return;
+        }
+        reannouncing = true;
+        row.blur();
+        setTimeout(function () {
+            row.focus();
+            reannouncing = false;
+        }, 80);
+    }
+
+    function focusFirstRow() {
+        var firstRow = spotBody.querySelector("tr");
+        if (firstRow) reannounceRow(firstRow);
+    }
+
+    function reannounceCurrentRow() {
+        var row = lastFocusedRow && spotBody.contains(lastFocusedRow) ? lastFocusedRow : null;
+        if (row) {
+            reannounceRow(row);
+        } else {
+            srAnnounce("No spot row selected");
+        }
+    }
+
+    function focusFirstInput(name) {
+        var first = document.querySelector('input[name="' + name + '"]');
+        if (first) first.focus();
+    }
+
+    // Shows only the band (or mode) after the last ticked one, or before the first for step -1
+    function cycleFilter(name, step) {
+        var inputs = document.querySelectorAll('input[name="' + name + '"]');
+        if (inputs.length === 0) return;
+        var first = -1;
+        var last = -1;
+        for (var i = 0; i < inputs.length; i++) {
+            if (!inputs[i].checked) continue;
+            if (first === -1) first = i;
+            last = i;
+        }
+        var from = step > 0 ? last : (first === -1 ? 0 : first);
+        var next = (from + step + inputs.length) % inputs.length;
+        for (var j = 0; j < inputs.length; j++) inputs[j].checked = j === next;
+
+        saveFilters();
+        renderFullTable();
+        scheduleResubscribe();
+        var value = inputs[next].value;
+        srAnnounce((name === "band" ? speakBand(value) : value) + " only");
+    }
+
+    // From an alert row, the next alert row down the grid; otherwise the most recent alert
+    function jumpToNextAlert() {
+        var current = document.activeElement && document.activeElement.closest
+            ? document.activeElement.closest("tr.alert-match") : null;
+        if (current && spotBody.contains(current)) {
+            var rows = Array.prototype.slice.call(spotBody.querySelectorAll("tr.alert-match"));
+            if (rows.length < 2) {
+                srAnnounce("No other alert rows");
+                return;
+            }
+            rows[(rows.indexOf(current) + 1) % rows.length].focus();
+            return;
+        }
+        jumpToLastAlert();
+    }
+
+    // --- Keyboard command help dialog ---
+    function openKeymapHelp() {
+        keymapReturnFocus = document.activeElement;
+        keymapCapture = null;
+        renderKeymapHelp();
+        if (!keymapHelp.open) keymapHelp.showModal();
+        var firstButton = keymapBody.querySelector("button");
+        if (firstButton) firstButton.focus();
+    }
+
+    function renderKeymapHelp() {
+        while (keymapBody.firstChild) keymapBody.removeChild(keymapBody.firstChild);
+
+        keyCommands.forEach(function (command) {
+            var tr = document.createElement("tr");
+            var th = document.createElement("th");
+            th.scope = "row";
+            th.textContent = command.label;
+            var keysTd = document.createElement("td");
+            keysTd.textContent = command.keys.length ? command.keys.map(describeKeyInHelp).join(", ") : "None";
+            var whereTd = document.createElement("td");
+            whereTd.textContent = command.scope === "row" ? "Spot row" : "Anywhere";
+            var actionsTd = document.createElement("td");
+
+            var capturing = keymapCapture === command.id;
+            var changeBtn = document.createElement("button");
+            changeBtn.type = "button";
+            changeBtn.textContent = capturing ? "Press a key..." : "Change";
+            changeBtn.setAttribute("data-command", command.id);
+            changeBtn.setAttribute("aria-label", capturing
+                ? "Press the new key for " + command.label + ", or Escape to cancel"
+                : "Change key for " + command.label + ", now " + describeKeys(command.keys));
+            changeBtn.addEventListener("click", function () { startKeyCapture(command); });
+            actionsTd.appendChild(changeBtn);
+
+            if (command.keys.length > 0) {
+                var removeBtn = document.createElement("button");
+                removeBtn.type = "button";
+                removeBtn.textContent = "Remove";
+                removeBtn.setAttribute("aria-label", "Remove key for " + command.label);
+                removeBtn.addEventListener("click", function () { setCommandKeys(command, [], "Removed key for " + command.label); });
+                actionsTd.appendChild(removeBtn);
+            }
+            if (command.keys.join(" ") !== command.defaultKeys.join(" ")) {
+                var resetBtn = document.createElement("button");
+                resetBtn.type = "button";
+                resetBtn.textContent = "Reset";
+                resetBtn.setAttribute("aria-label", "Reset " + command.label + " to " + describeKeys(command.defaultKeys));
+                resetBtn.addEventListener("click", function () { resetCommandKeys(command); });
+                actionsTd.appendChild(resetBtn);
+            }
+
+            tr.appendChild(th);
+            tr.appendChild(keysTd);
+            tr.appendChild(whereTd);
+            tr.appendChild(actionsTd);
+            keymapBody.appendChild(tr);
+        });
+    }
+
+    // A browser shortcut given to a command is marked, since the browser's action no longer works
+    function describeKeyInHelp(keyName) {
+        return browserKeys[keyName] ? keyName + " (replaces the browser's " + browserKeys[keyName] + ")" : keyName;
+    }
+
+    function focusKeymapChangeButton(command) {
+        var button = keymapBody.querySelector('button[data-command="' + command.id + '"]');
+        if (button) button.focus();
+    }
+
+    function startKeyCapture(command) {
+        keymapCapture = command.id;
+        keymapConfirmKey = null;
+        renderKeymapHelp();
+        focusKeymapChangeButton(command);
+        srAnnounce("Press the new key for " + command.label + ", or Escape to cancel");
+    }
+
+    function cancelKeyCapture() {
+        var command = getKeyCommand(keymapCapture);
+        keymapCapture = null;
+        renderKeymapHelp();
+        if (command) focusKeymapChangeButton(command);
+        srAnnounce("Cancelled, " + describeKeys(command ? command.keys : []) + " kept");
+    }
+
+    function setCommandKeys(command, keys, message) {
+        command.keys = keys;
+        keymapCapture = null;
+        saveKeymap();
+        renderKeymapHelp();
+        focusKeymapChangeButton(command);
+        srAnnounce(message);
+    }
+
+    function resetCommandKeys(command) {
+        var taken = [];
+        command.defaultKeys.forEach(function (k) {
+            var other = findKeyCommand(k);
+            if (other && other !== command) taken.push(k + " is used by " + other.label);
+        });
+        if (taken.length > 0) {
+            srAnnounce("Can't reset: " + taken.join("; "));
+            return;
+        }
+        setCommandKeys(command, command.defaultKeys.slice(), command.label + ": " + describeKeys(command.defaultKeys));
+    }
+
+    function resetAllKeys() {
+        keyCommands.forEach(function (command) { command.keys = command.defaultKeys.slice(); });
+        keymapCapture = null;
+        saveKeymap();
+        renderKeymapHelp();
+        srAnnounce("All keys reset to the defaults");
+    }
+
+    // While a Change button waits, the next key pressed in the dialog becomes the command's key
+    function onKeyCaptureKeydown(e) {
+        var command = getKeyCommand(keymapCapture);
+        if (!command) return;
+        var keyName = keyNameFromEvent(e);
+        if (!keyName) return; // modifier on its own, wait for the key
+        e.preventDefault();
+        e.stopPropagation();
+        if (keyName === "Escape") {
+            cancelKeyCapture();
+            return;
+        }
+        if (reservedKeys.indexOf(keyName) !== -1) {
+            srAnnounce(keyName + " is needed to move around the page. Press another key, or Escape to cancel");
+            return;
+        }
+        var other = findKeyCommand(keyName);
+        if (other === command) {
+            setCommandKeys(command, [keyName], command.label + ": " + keyName + ", unchanged");
+            return;
+        }
+        if (other) {
+            srAnnounce(keyName + " is already used by " + other.label + ". Press another key, or Escape to cancel");
+            return;
+        }
+        if (browserKeys[keyName] && keymapConfirmKey !== keyName) {
+            keymapConfirmKey = keyName;
+            srAnnounce(keyName + " is the browser's " + browserKeys[keyName] + " key. Press it again to use it anyway, another key, or Escape to cancel");
+            return;
+        }
+        setCommandKeys(command, [keyName], command.label + ": " + keyName);
+    }
+
+    // showModal keeps the page behind inert, but Tab can still leave for the browser's toolbar;
+    // wrap it around inside the dialog instead
+    function trapDialogFocus(dialog, e) {
+        if (e.key !== "Tab") return;
+        var focusable = Array.prototype.filter.call(
+            dialog.querySelectorAll("button, a[href], input, select, textarea, [tabindex]:not([tabindex='-1'])"),
+            function (el) { return !el.disabled && !el.hidden; });
+        if (focusable.length === 0) return;
+        var first = focusable[0];
+        var last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !dialog.contains(document.activeElement))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // --- Normalize spot from REST or SignalR ---
+    function normalizeSpot(s) {
+        return locateSpot({
+            id: s.id || s.Id,
+            dxCall: s.dxCall || s.DxCall || "",
+            frequency: s.frequency || s.Frequency || 0,
+            band: s.band || s.Band || "",
+            mode: s.mode || s.Mode || "",
+            spotter: s.spotter || s.Spotter || "",
+            snr: s.snr != null ? s.snr : (s.Snr != null ? s.Snr : null),
+            timestamp: s.timestamp || s.Timestamp || new Date().toISOString(),
+            source: s.source || s.Source || "",
+            dxccEntity: s.dxccEntity || s.DxccEntity || null,
+            continent: s.continent || s.Continent || null,
+            cqZone: s.cqZone || s.CqZone || null,
+            grid: s.grid || s.Grid || null,
+            dxLatitude: s.dxLatitude != null ? s.dxLatitude : (s.DxLatitude != null ? s.DxLatitude : null),
+            dxLongitude: s.dxLongitude != null ? s.dxLongitude : (s.DxLongitude != null ? s.DxLongitude : null),
+            spotterGrid: s.spotterGrid || s.SpotterGrid || null,
+            spotterLatitude: s.spotterLatitude != null ? s.spotterLatitude : (s.SpotterLatitude != null ? s.SpotterLatitude : null),
+            spotterLongitude: s.spotterLongitude != null ? s.spotterLongitude : (s.SpotterLongitude != null ? s.SpotterLongitude : null),
+            spotterContinent: s.spotterContinent || s.SpotterContinent || null,
+            comment: s.comment || s.Comment || null,
+            desirabilityScore: s.desirabilityScore || s.DesirabilityScore || 0
+        });
+    }
+
+    // --- Initial data load via REST ---
+    function loadInitialSpots() {
+        fetch("/api/spots?" + buildSpotQuery() + "limit=200")
+            .then(function (response) { return response.json(); })
+            .then(function (spots) {
+                allSpots = spots.map(normalizeSpot).filter(function (s) { return !isSpotExpired(s); });
+                liveSpotsLoaded = true;
+                lastSpotDataTime = new Date().toISOString();
+                hideOfflineBanner();
+                renderFullTable();
+                scheduleSpotCacheSave();
+            })
+            .catch(function (err) {
+                console.error("Failed to load initial spots:", err);
+                showOfflineBanner(false);
+            });
+    }
+
+    // --- Offline support: last known spots (IndexedDB) ---
+    // The grid's spots are saved every few seconds, so a page opened while the server is down
+    // (sw.js serves the page itself) shows them with an "Offline, data as of" banner.
+    var spotCacheDbName = storagePrefix + "spots";
+    var spotCacheStoreName = "snapshot";
+    var spotCacheKey = "live";
+    var spotCacheSaveMs = 10000;
+    var spotCacheLimit = 200;
+    var spotCacheTimer = null;
+    var liveSpotsLoaded = false;
+    var lastSpotDataTime = null; // ISO time the grid's data was last current
+    var spotCacheDb = null; // promise of the open database, shared by every save
+
+    // Opened once and kept: saves come every few seconds for as long as the page is open
+    function openSpotCacheDb() {
+        if (spotCacheDb) return spotCacheDb;
+        spotCacheDb = new Promise(function (resolve, reject) {
+            if (!window.indexedDB) {
+                reject(new Error("IndexedDB unavailable"));
+                return;
+            }
+            var request = indexedDB.open(spotCacheDbName, 1);
+            request.onupgradeneeded = function () {
+                request.result.createObjectStore(spotCacheStoreName);
+            };
+            request.onsuccess = function () {
+                var db = request.result;
+                // Another tab upgrading or deleting the database: let it, and reopen next time
+                db.onversionchange = function () {
+                    db.close();
+                    spotCacheDb = null;
+                };
+                // Closed by the browser (storage cleared): reopen next time too
+                db.onclose = function () { spotCacheDb = null; };
+                resolve(db);
+            };
+            request.onerror = function () { reject(request.error); };
+        });
+        spotCacheDb.catch(function () { spotCacheDb = null; });
+        return spotCacheDb;
+    }
+
+    function readCachedSpots() {
+        return openSpotCacheDb().then(function (db) {
+            return new Promise(function (resolve, reject) {
+                var request = db.transaction(spotCacheStoreName, "readonly").objectStore(spotCacheStoreName).get(spotCacheKey);
+                request.onsuccess = function () { resolve(request.result || null); };
+                request.onerror = function () { reject(request.error); };
+            });
+        });
+    }
+
+    function saveCachedSpots() {
+        spotCacheTimer = null;
+        var snapshot = { savedAt: lastSpotDataTime, spots: allSpots.slice(0, spotCacheLimit) };
+        openSpotCacheDb()
+            .then(function (db) {
+                db.transaction(spotCacheStoreName, "readwrite").objectStore(spotCacheStoreName).put(snapshot, spotCacheKey);
+            })
+            .catch(function () { /* IndexedDB unavailable — nothing to show offline */ });
+    }
+
+    function scheduleSpotCacheSave() {
+        if (!spotCacheTimer) spotCacheTimer = setTimeout(saveCachedSpots, spotCacheSaveMs);
+    }
+
+    // Fills the grid from the last session until the server answers
+    function restoreCachedSpots() {
+        readCachedSpots()
+            .then(function (cached) {
+                if (!cached || !cached.spots || liveSpotsLoaded) return;
+                allSpots = cached.spots;
+                lastSpotDataTime = cached.savedAt;
+                // Say it again if the connection already failed with "no spots yet"
+                showOfflineBanner(!offlineBanner.hidden);
+                renderFullTable();
+            })
+            .catch(function () { /* IndexedDB unavailable */ });
+    }
+
+    // announce: also say it (connection lost), not just show it (page opened from the cache)
+    function showOfflineBanner(announce) {
+        var text = lastSpotDataTime
+            ? "Offline, data as of " + lastSpotDataTime.substr(11, 5) + " UTC"
+            : "Offline, no spots yet";
+        offlineBanner.textContent = text;
+        offlineBanner.hidden = false;
+        if (announce) srAnnounce(text);
+    }
+
+    function hideOfflineBanner() {
+        offlineBanner.hidden = true;
+    }
+
+    // sw.js caches the app shell; the page works the same without it
+    function registerServiceWorker() {
+        if (!("serviceWorker" in navigator)) return;
+        navigator.serviceWorker.register("sw.js").catch(function (err) {
+            console.warn("Service worker registration failed:", err);
+        });
+    }
+
+    // --- Server-side filtering ---
+    // The hub only pushes spots matching the subscription filter (plus DX alert rules, so
+    // alerts still fire for stations outside it); /api/spots takes the same filter.
+    function getSubscriptionFilter() {
+        return {
+            bands: getSelectedBands(),
+            modes: getSelectedModes(),
+            prefix: getCallsignFilter() || null,
+            minDistanceKm: minDistanceKm,
+            spotterMaxDistanceKm: spotterMaxDistanceKm,
+            spotterContinent: getSpotterContinent(),
+            latitude: userLat,
+            longitude: userLon,
+            excludeSources: hiddenSources,
+            continents: getSelectedContinents(),
+            cqZones: getCqZones(),
+            entities: entityFilter,
+            watch: alertRules
+        };
+    }
+
+    function buildSpotQuery() {
+        var query = "";
+        var bands = getSelectedBands();
+        var modes = getSelectedModes();
+        var call = getCallsignFilter();
+        if (bands.length > 0) query += "band=" + encodeURIComponent(bands.join(",")) + "&";
+        if (modes.length > 0) query += "mode=" + encodeURIComponent(modes.join(",")) + "&";
+        if (call) query += "call=" + encodeURIComponent(call) + "&";
+        if (minDistanceKm) query += "minDistance=" + minDistanceKm + "&";
+        if (spotterMaxDistanceKm) query += "spotterMaxDistance=" + spotterMaxDistanceKm + "&";
+        if (getSpotterContinent()) query += "spotterContinent=" + getSpotterContinent() + "&";
+        if (hiddenSources.length > 0) query += "excludeSource=" + encodeURIComponent(hiddenSources.join(",")) + "&";
+        var continents = getSelectedContinents();
+        var zones = getCqZones();
+        if (continents.length > 0) query += "continent=" + encodeURIComponent(continents.join(",")) + "&";
+        if (zones.length > 0) query += "cqZone=" + encodeURIComponent(zones.join(",")) + "&";
+        // "|" separates entities, as some names contain commas ("Juan de Nova, Europa")
+        if (entityFilter.length > 0) query += "entity=" + encodeURIComponent(entityFilter.join("|")) + "&";
+        return query + qthQuery();
+    }
+
+    // Distances the server works out (min distance, exports) are from this page's QTH
+    function qthQuery() {
+        return userLat == null ? "" : "lat=" + userLat.toFixed(4) + "&lon=" + userLon.toFixed(4) + "&";
+    }
+
+    function subscribeToSpots() {
+        if (!hubConnection || hubConnection.state !== "Connected") return Promise.resolve();
+        var filter = getSubscriptionFilter();
+        subscribedFilterJson = JSON.stringify(filter);
+        return hubConnection.invoke("Subscribe", filter).catch(function (err) {
+            console.error("Spot subscription failed:", err);
+        });
+    }
+
+    // Debounced: typing in the callsign box shouldn't resubscribe on every key. Spots the old
+    // filter held back are then fetched over REST so a widened filter fills in at once.
+    function scheduleResubscribe() {
+        if (resubscribeTimer) clearTimeout(resubscribeTimer);
+        resubscribeTimer = setTimeout(function () {
+            resubscribeTimer = null;
+            if (spotView === "history") searchHistory();
+            if (JSON.stringify(getSubscriptionFilter()) === subscribedFilterJson) return;
+            subscribeToSpots();
+            loadInitialSpots();
+        }, resubscribeDebounceMs);
+    }
+
+    // --- Spot history (History tab; needs "History" enabled on the server) ---
+    function loadHistoryInfo() {
+        fetch("/api/history")
+            .then(function (r) { return r.json(); })
+            .then(function (info) {
+                historyTab.hidden = !info.enabled;
+                if (info.enabled && info.oldest) {
+                    historyFromInput.title = "Oldest stored spot: " + info.oldest.substr(0, 16).replace("T", " ") + " UTC";
+                }
+            })
+            .catch(function () { /* server without history — live grid only */ });
+    }
+
+    function getViewTabs() {
+        return [liveTab, historyTab, conditionsTab].filter(function (tab) { return !tab.hidden; });
+    }
+
+    function setSpotView(view) {
+        if (view === spotView) return;
+        spotView = view;
+        var tabs = [liveTab, historyTab, conditionsTab];
+        for (var i = 0; i < tabs.length; i++) {
+            var selected = tabs[i].id === viewTabIds[view];
+            tabs[i].setAttribute("aria-selected", selected ? "true" : "false");
+            tabs[i].tabIndex = selected ? 0 : -1;
+        }
+        // Live and History share the spot grid; Band conditions has its own panel
+        spotViewPanel.hidden = view === "conditions";
+        conditionsView.hidden = view !== "conditions";
+        if (view !== "conditions") spotViewPanel.setAttribute("aria-labelledby", viewTabIds[view]);
+        historyControls.hidden = view !== "history";
+
+        if (view === "conditions") {
+            refreshBandConditions();
+            return;
+        }
+        if (view === "history" && historyQuery == null) {
+            searchHistory();
+            return;
+        }
+        // Frozen live spots are already in allSpots; the full render picks them up
+        frozenSpots = [];
+        stopFreezeCheck();
+        renderFullTable();
+    }
+
+    // datetime-local has no time zone, so the fields are read as UTC (as labelled). An empty "To"
+    // is pinned to now so the pages don't shift as new spots arrive.
+    function searchHistory() {
+        var from = historyFromInput.value;
+        var to = historyToInput.value;
+        historyQuery = buildSpotQuery() +
+            (from ? "from=" + encodeURIComponent(from + "Z") + "&" : "") +
+            "to=" + encodeURIComponent(to ? to + "Z" : new Date().toISOString()) + "&";
+        historyCursors = [""];
+        loadHistoryPage(1, false);
+    }
+
+    function loadHistoryPage(page, focusGrid) {
+        if (historyQuery == null || page < 1 || historyCursors[page - 1] == null) return;
+        fetch("/api/spots?" + historyQuery + historyCursors[page - 1] + "limit=" + historyPageSize)
+            .then(function (r) {
+                return r.json().then(function (data) {
+                    if (!r.ok) throw new Error(data.error || "server error");
+                    return data;
+                });
+            })
+            .then(function (spots) {
+                historySpots = spots.map(normalizeSpot);
+                historyPage = page;
+                var last = spots[spots.length - 1];
+                historyCursors.length = page;
+                if (last) {
+                    historyCursors.push("beforeTime=" + encodeURIComponent(last.timestamp) + "&beforeId=" + last.id + "&");
+                }
+                // A full page means there may be older spots; an empty next page just says so
+                historyHasOlder = spots.length === historyPageSize;
+                historyNewerBtn.disabled = page <= 1;
+                historyOlderBtn.disabled = !historyHasOlder;
+                if (spotView !== "history") return;
+                renderFullTable();
+                if (spots.length === 0) {
+                    srAnnounce(page > 1 ? "No older spots" : "No spots found in history");
+                } else {
+                    srAnnounce("History page " + page + ", " + spots.length + " spots, from " +
+                        speakTime(historySpots[historySpots.length - 1].timestamp) + " to " + speakTime(historySpots[0].timestamp));
+                }
+                var firstRow = spotBody.querySelector("tr");
+                if (focusGrid && firstRow) firstRow.focus();
+            })
+            .catch(function (err) {
+                srAnnounce("History search failed: " + err.message);
+            });
+    }
+
+    // Tabs follow the ARIA tabs pattern: arrow keys move between them and select
+    function onViewTabKeydown(e) {
+        if (e.key !== "ArrowLeft" && e.key !== "ArrowRight" && e.key !== "Home" && e.key !== "End") return;
+        e.preventDefault();
+        var tabs = getViewTabs();
+        var index = tabs.indexOf(e.currentTarget);
+        if (e.key === "ArrowRight") index = (index + 1) % tabs.length;
+        if (e.key === "ArrowLeft") index = (index - 1 + tabs.length) % tabs.length;
+        if (e.key === "Home") index = 0;
+        if (e.key === "End") index = tabs.length - 1;
+        for (var view in viewTabIds) {
+            if (viewTabIds[view] === tabs[index].id) setSpotView(view);
+        }
+        tabs[index].focus();
+    }
+
+    // --- Export (CSV / ADIF / JSON) ---
+    // Every file is written by the server (SpotExport.cs). The live grid posts allSpots, filtered
+    // and sorted as shown (every report, not just one row per station, and not cut to the list
+    // size). The History tab downloads the whole search from /api/spots/export, unless a filter
+    // only the page applies (min score, log status) is on: then the search is read page by page,
+    // filtered as the grid is, and posted.
+    var exportFormatNames = { csv: "CSV", adif: "ADIF", json: "JSON" };
+    var exportPageSize = 500;
+    var maxExportSpots = 50000;
+
+    function startDownload(href, fileName) {
+        var link = document.createElement("a");
+        link.href = href;
+        link.download = fileName;
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    function hasPageOnlyFilters() {
+        return getMinScore() > 0 || (logIndex != null && getSelectedLogStatuses().length > 0);
+    }
+
+    function exportSpots() {
+        var format = exportFormatSelect.value;
+
+        if (spotView === "history") {
+            if (historyQuery == null) return;
+            if (hasPageOnlyFilters()) {
+                srAnnounce("Reading the history search to export");
+                collectHistorySpots("", [])
+                    .then(function (spots) { postExport(format, spots.filter(spotMatchesFilters)); })
+                    .catch(function (err) { srAnnounce("Export failed: " + err.message); });
+                return;
+            }
+            // The server names the file; the query is the search on screen, all pages of it
+            startDownload("/api/spots/export?" + historyQuery + "format=" + format, "");
+            srAnnounce("Exporting the history search as " + exportFormatNames[format]);
+            return;
+        }
+
+        var spots = allSpots.filter(spotMatchesFilters);
+        spots.sort(compareSpots);
+        postExport(format, spots);
+    }
+
+    // Every page of the history search, newest first, up to the server's export limit
+    function collectHistorySpots(cursor, spots) {
+        return fetch("/api/spots?" + historyQuery + cursor + "limit=" + exportPageSize)
+            .then(function (r) {
+                return r.json().then(function (data) {
+                    if (!r.ok) throw new Error(data.error || "server error");
+                    return data;
+                });
+            })
+            .then(function (page) {
+                page.forEach(function (s) { spots.push(normalizeSpot(s)); });
+                var last = page[page.length - 1];
+                if (page.length < exportPageSize || spots.length >= maxExportSpots) return spots;
+                return collectHistorySpots("beforeTime=" + encodeURIComponent(last.timestamp) +
+                    "&beforeId=" + last.id + "&", spots);
+            });
+    }
+
+    function postExport(format, spots) {
+        var name = exportFormatNames[format];
+        if (spots.length === 0) {
+            srAnnounce("No spots to export");
+            return;
+        }
+        if (spots.length > maxExportSpots) spots = spots.slice(0, maxExportSpots);
+        fetch("/api/spots/export?format=" + format, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(spots)
+        })
+            .then(function (r) {
+                if (!r.ok) {
+                    return r.json().then(function (data) { throw new Error(data.error || "server error"); });
+                }
+                return r.blob();
+            })
+            .then(function (blob) {
+                var stamp = new Date().toISOString().replace(/-/g, "").replace("T", "-").substr(0, 14).replace(":", "");
+                var url = URL.createObjectURL(blob);
+                startDownload(url, "dx-spots-" + stamp + (format === "adif" ? ".adi" : "." + format));
+                setTimeout(function () { URL.revokeObjectURL(url); }, 0);
+                srAnnounce("Exported " + spots.length + (spots.length === 1 ? " spot" : " spots") + " as " + name);
+            })
+            .catch(function (err) {
+                srAnnounce("Export failed: " + err.message);
+            });
+    }
+
+    // --- Band conditions (/api/spots/conditions) ---
+    // Refreshed in place while the tab is shown: cells change text, rows are only added or
+    // removed when a band opens or closes, so a screen reader's table position is kept.
+    var conditionsPollMs = 60000;
+    var bandConditions = [];
+    var continentNames = { AF: "Africa", AN: "Antarctica", AS: "Asia", EU: "Europe",
+        NA: "North America", OC: "Oceania", SA: "South America" };
+    var trendArrows = { rising: "\u2191", falling: "\u2193", steady: "\u2192" };
+
+    function loadBandConditions() {
+        return fetch("/api/spots/conditions?" + qthQuery())
+            .then(function (r) { return r.json(); })
+            .then(function (data) {
+                // Band filter order (160m first); bands without a checkbox go last
+                var order = getBandOrder();
+                bandConditions = data.bands.slice().sort(function (a, b) {
+                    return order(a.band) - order(b.band);
+                });
+                conditionsCaption.textContent = "Band conditions, last hour (updated " +
+                    formatTime(data.generated).substr(0, 5) + " UTC)";
+                return bandConditions;
+            });
     }
 
-    function requestGeolocation() {
-        if (!navigator.geolocation) {
-            updateLocationStatus("Geolocation not available");
-            return;
+    function getBandOrder() {
+        var bands = [];
+        var inputs = document.querySelectorAll('input[name="band"]');
+        for (var i = 0; i < inputs.length; i++) bands.push(inputs[i].value);
+        return function (band) {
+            var index = bands.indexOf(band);
+            return index === -1 ? bands.length : index;
+        };
+    }
+
+    function refreshBandConditions() {
+        loadBandConditions()
+            .then(renderBandConditions)
+            .catch(function (err) {
+                console.error("Failed to load band conditions:", err);
+            });
+    }
+
+    // Sets a cell's count (null in the Trend column) and trend arrow, touching the DOM only
+    // when they changed. The arrow is hidden from screen readers, which hear the word instead.
+    function setConditionsCell(cell, count, trend) {
+        var value = count + "|" + (trend || "");
+        if (cell.dataset.value === value) return;
+        cell.dataset.value = value;
+        while (cell.firstChild) cell.removeChild(cell.firstChild);
+        cell.className = trend ? "trend-" + trend : "";
+        if (count != null) cell.appendChild(document.createTextNode(count + (trend ? " " : "")));
+        if (trend) {
+            var arrow = document.createElement("span");
+            arrow.setAttribute("aria-hidden", "true");
+            arrow.textContent = trendArrows[trend];
+            var word = document.createElement("span");
+            if (count != null) {
+                word.className = "visually-hidden";
+                word.textContent = ", " + trend;
+            } else {
+                word.textContent = " " + trend;
+            }
+            cell.appendChild(arrow);
+            cell.appendChild(word);
         }
+    }
 
-        updateLocationStatus("Requesting location...");
+    function setCellText(cell, text) {
+        if (cell.textContent !== text) cell.textContent = text;
+    }
 
-        navigator.geolocation.getCurrentPosition(
-            function (pos) {
-                userLat = pos.coords.latitude;
-                userLon = pos.coords.longitude;
-                sendLocationToBackend(userLat, userLon, false);
-            },
-            function () {
-                updateLocationStatus("Location denied or unavailable");
-            },
-            { enableHighAccuracy: false, timeout: 10000, maximumAge: 86400000 }
-        );
+    function createConditionsRow(band) {
+        var row = document.createElement("tr");
+        row.dataset.band = band;
+        var header = document.createElement("th");
+        header.scope = "row";
+        header.textContent = band;
+        row.appendChild(header);
+        var columns = conditionsView.querySelectorAll("thead th").length;
+        for (var i = 1; i < columns; i++) row.appendChild(document.createElement("td"));
+        return row;
     }
 
-    function sendLocationToBackend(lat, lon, skipReload) {
-        fetch("/api/location?lat=" + lat + "&lon=" + lon, { method: "POST" })
-            .then(function (r) { return r.json(); })
-            .then(function (data) {
-                userLat = lat;
-                userLon = lon;
-                userGrid = data.grid || "";
-                if (gridInput) gridInput.value = userGrid;
-                try {
-                    localStorage.setItem(storagePrefix + "lat", lat.toString());
-                    localStorage.setItem(storagePrefix + "lon", lon.toString());
-                    localStorage.setItem(storagePrefix + "grid", userGrid);
-                } catch (e) { /* localStorage unavailable */ }
-                updateLocationStatus("Your grid: " + userGrid);
-                if (!skipReload) {
-                    loadInitialSpots();
+    function renderBandConditions() {
+        var continentHeaders = conditionsView.querySelectorAll("thead th[data-continent]");
+        var rows = {};
+        var existing = conditionsBody.querySelectorAll("tr");
+        for (var i = 0; i < existing.length; i++) rows[existing[i].dataset.band] = existing[i];
+
+        var previous = null;
+        bandConditions.forEach(function (b) {
+            var row = rows[b.band];
+            delete rows[b.band];
+            if (!row) {
+                row = createConditionsRow(b.band);
+                conditionsBody.insertBefore(row, previous ? previous.nextSibling : conditionsBody.firstChild);
+            }
+            previous = row;
+
+            var cells = row.querySelectorAll("td");
+            setCellText(cells[0], String(b.last15));
+            setCellText(cells[1], String(b.last60));
+            setConditionsCell(cells[2], null, b.trend);
+            setCellText(cells[3], formatDistance(b.farthestKm));
+            for (var c = 0; c < continentHeaders.length; c++) {
+                var code = continentHeaders[c].dataset.continent;
+                var stats = null;
+                for (var k = 0; k < b.continents.length; k++) {
+                    if (b.continents[k].continent === code) stats = b.continents[k];
                 }
+                setConditionsCell(cells[4 + c], stats ? stats.last15 : 0, stats && stats.last15 > 0 ? stats.trend : null);
+            }
+        });
+
+        // Bands quiet for the whole hour drop out
+        for (var band in rows) conditionsBody.removeChild(rows[band]);
+    }
+
+    // "20 meters open to Asia and Europe, 45 spots, rising" for each band with recent spots,
+    // limited to the ticked bands. Continents with at least a quarter of the band's spots count as open.
+    function describeBandConditions() {
+        var selected = getSelectedBands();
+        var phrases = [];
+        bandConditions.forEach(function (b) {
+            if (b.last15 === 0) return;
+            if (selected.length > 0 && selected.indexOf(b.band) === -1) return;
+            var open = b.continents
+                .filter(function (c) { return c.last15 > 0 && c.last15 * 4 >= b.last15; })
+                .sort(function (x, y) { return y.last15 - x.last15; })
+                .map(function (c) { return continentNames[c.continent] || c.continent; });
+            var text = speakBand(b.band);
+            if (open.length > 0) {
+                text += " open to " + (open.length > 1
+                    ? open.slice(0, -1).join(", ") + " and " + open[open.length - 1]
+                    : open[0]);
+            }
+            text += ", " + b.last15 + (b.last15 === 1 ? " spot" : " spots");
+            if (b.trend) text += ", " + b.trend;
+            phrases.push(text);
+        });
+        return phrases.length > 0 ? phrases.join(". ") : "No spots in the last 15 minutes";
+    }
+
+    function announceBandConditions() {
+        loadBandConditions()
+            .then(function () {
+                if (spotView === "conditions") renderBandConditions();
+                srAnnounce(describeBandConditions());
             })
             .catch(function () {
-                updateLocationStatus("Could not send location to server");
+                srAnnounce("Band conditions unavailable");
             });
     }
 
-    function sendGridToBackend(grid, skipReload) {
-        fetch("/api/location/grid?grid=" + encodeURIComponent(grid), { method: "POST" })
-            .then(function (r) {
-                if (!r.ok) throw new Error("Invalid grid");
-                return r.json();
-            })
-            .then(function (data) {
-                userLat = data.lat;
-                userLon = data.lon;
-                userGrid = data.grid || grid.toUpperCase();
-                locationRestorePending = false;
-                try {
-                    localStorage.setItem(storagePrefix + "lat", data.lat.toString());
-                    localStorage.setItem(storagePrefix + "lon", data.lon.toString());
-                    localStorage.setItem(storagePrefix + "grid", userGrid);
-                } catch (e) { /* localStorage unavailable */ }
-                updateLocationStatus("Your grid: " + userGrid);
-                if (!skipReload) {
-                    loadInitialSpots();
-                }
+    // --- Spot feeds (G7VRD, telnet cluster nodes) ---
+    var feedStateLabels = { connected: "connected", connecting: "connecting", disconnected: "disconnected" };
+    var feedStateClasses = { connected: "status-connected", connecting: "status-reconnecting", disconnected: "status-disconnected" };
+
+    function loadSpotFeeds() {
+        fetch("/api/sources")
+            .then(function (r) { return r.json(); })
+            .then(function (feeds) {
+                spotFeeds = feeds;
+                renderSourceStatus();
+                renderSourceFilter();
             })
-            .catch(function () {
-                locationRestorePending = false;
-                updateLocationStatus("Invalid grid square");
+            .catch(function (err) {
+                console.error("Failed to load spot sources:", err);
             });
     }
 
-    function setGridFromInput() {
-        var grid = (gridInput ? gridInput.value : "").trim().toUpperCase();
-        if (grid.length < 4) {
-            updateLocationStatus("Enter at least 4 characters (e.g. FN31)");
-            return;
+    function renderSourceStatus() {
+        while (sourceStatusList.firstChild) {
+            sourceStatusList.removeChild(sourceStatusList.firstChild);
         }
-        sendGridToBackend(grid, false);
+        spotFeeds.forEach(function (feed) {
+            var li = document.createElement("li");
+            li.className = feedStateClasses[feed.state] || "status-disconnected";
+            li.textContent = feed.name + ": " + (feedStateLabels[feed.state] || feed.state);
+            if (feed.detail) {
+                li.title = feed.detail;
+                var detail = document.createElement("span");
+                detail.className = "visually-hidden";
+                detail.textContent = ", " + feed.detail;
+                li.appendChild(detail);
+            }
+            sourceStatusList.appendChild(li);
+        });
     }
 
-    // --- List size radio buttons ---
-    function setListMode(mode) {
-        listMode = mode;
-        try {
-            localStorage.setItem(storagePrefix + "listMode", listMode);
-        } catch (e) { /* localStorage unavailable */ }
-        // Update radio buttons to reflect state
-        var radios = document.querySelectorAll('input[name="listsize"]');
-        for (var i = 0; i < radios.length; i++) {
-            radios[i].checked = (radios[i].value === listMode);
+    // One checkbox per spot source across all feeds; ticked = shown
+    function renderSourceFilter() {
+        var labels = sourceFilter.querySelectorAll("label");
+        for (var i = 0; i < labels.length; i++) {
+            sourceFilter.removeChild(labels[i]);
         }
-        renderFullTable();
+        var seen = {};
+        spotFeeds.forEach(function (feed) {
+            (feed.spotSources || []).forEach(function (source) {
+                if (seen[source]) return;
+                seen[source] = true;
+                var label = document.createElement("label");
+                var input = document.createElement("input");
+                input.type = "checkbox";
+                input.name = "source";
+                input.value = source;
+                input.checked = hiddenSources.indexOf(source) === -1;
+                input.addEventListener("change", onSourceFilterChange);
+                label.appendChild(input);
+                label.appendChild(document.createTextNode(" " + source));
+                sourceFilter.appendChild(label);
+            });
+        });
+        sourceFilter.hidden = !sourceFilter.querySelector("input");
     }
 
-    function restoreListRadio() {
-        var radios = document.querySelectorAll('input[name="listsize"]');
-        for (var i = 0; i < radios.length; i++) {
-            radios[i].checked = (radios[i].value === listMode);
+    function onSourceFilterChange() {
+        if (this.checked) {
+            hiddenSources = hiddenSources.filter(function (s) { return s !== this.value; }, this);
+        } else if (hiddenSources.indexOf(this.value) === -1) {
+            hiddenSources.push(this.value);
         }
+        saveFilters();
+        renderFullTable();
+        scheduleResubscribe();
     }
 
-    // --- Normalize spot from REST or SignalR ---
-    function normalizeSpot(s) {
-        return {
-            id: s.id || s.Id,
-            dxCall: s.dxCall || s.DxCall || "",
-            frequency: s.frequency || s.Frequency || 0,
-            band: s.band || s.Band || "",
-            mode: s.mode || s.Mode || "",
-            spotter: s.spotter || s.Spotter || "",
-            snr: s.snr != null ? s.snr : (s.Snr != null ? s.Snr : null),
-            timestamp: s.timestamp || s.Timestamp || new Date().toISOString(),
-            source: s.source || s.Source || "",
-            dxccEntity: s.dxccEntity || s.DxccEntity || null,
-            grid: s.grid || s.Grid || null,
-            distanceKm: s.distanceKm != null ? s.distanceKm : (s.DistanceKm != null ? s.DistanceKm : null),
-            bearing: s.bearing != null ? s.bearing : (s.Bearing != null ? s.Bearing : null),
-            comment: s.comment || s.Comment || null,
-            desirabilityScore: s.desirabilityScore || s.DesirabilityScore || 0
-        };
-    }
+    // Pushed by the server on every feed state change; losing or regaining a feed is announced
+    function updateSpotFeed(feed) {
+        var previous = null;
+        for (var i = 0; i < spotFeeds.length; i++) {
+            if (spotFeeds[i].name === feed.name) {
+                previous = spotFeeds[i];
+                spotFeeds[i] = feed;
+                break;
+            }
+        }
+        if (!previous) spotFeeds.push(feed);
+        renderSourceStatus();
+        if (!previous) renderSourceFilter();
 
-    // --- Initial data load via REST ---
-    function loadInitialSpots() {
-        fetch("/api/spots?limit=200")
-            .then(function (response) { return response.json(); })
-            .then(function (spots) {
-                allSpots = spots.map(normalizeSpot);
-                renderFullTable();
-            })
-            .catch(function (err) {
-                console.error("Failed to load initial spots:", err);
-            });
+        var wasUp = previous && previous.state === "connected";
+        if (feed.state === "connected" && previous && !wasUp) {
+            srAnnounce(feed.name + " feed connected");
+        } else if (feed.state === "disconnected" && wasUp) {
+            srAnnounce(feed.name + " feed lost");
+        }
     }
 
     // --- SignalR connection ---
@@ -636,7 +4210,7 @@ window.scrollTo(0, 0);
             console.warn("SignalR library not loaded — falling back to REST polling");
             connectionStatus.textContent = "REST only (no live updates)";
             connectionStatus.className = "status-reconnecting";
-            if (!locationRestorePending) loadInitialSpots();
+            loadInitialSpots();
             // Poll every 15 seconds as fallback
             setInterval(loadInitialSpots, 15000);
             return;
@@ -646,50 +4220,111 @@ window.scrollTo(0, 0);
             .withUrl("/hubs/spots")
             .withAutomaticReconnect([0, 2000, 5000, 10000, 30000])
             .build();
+        hubConnection = connection;
 
         connection.on("NewSpot", function (spot) {
             var normalized = normalizeSpot(spot);
+            // A cluster's backlog can hold spots already past the max age
+            if (isSpotExpired(normalized)) return;
 
             // Add to front of array (newest first)
             allSpots.unshift(normalized);
             if (allSpots.length > 1000) allSpots.length = 1000;
+            lastSpotDataTime = new Date().toISOString();
+            scheduleSpotCacheSave();
 
             addSpotToTable(normalized);
-            announceSpot(normalized);
+
+            // Alert matches interrupt immediately instead of joining the batch, once per
+            // station and band in alertRepeatMs
+            var isAlert = findAlertRule(normalized) != null && isNewAlert(normalized);
+            playEarcon(normalized, isAlert);
+            if (isAlert) {
+                raiseDxAlert(normalized);
+            } else {
+                announceSpot(normalized);
+            }
         });
 
+        connection.on("SpotScore", onSpotScore);
+        connection.on("SourceStatus", updateSpotFeed);
+        connection.on("LocalDecodes", applyLocalDecodes);
+        connection.on("QsoLogged", onQsoLogged);
+        connection.on("RigStatus", showRigStatus);
+
         connection.onreconnecting(function () {
             connectionStatus.textContent = "Reconnecting...";
             connectionStatus.className = "status-reconnecting";
+            showOfflineBanner(true);
         });
 
         connection.onreconnected(function () {
             connectionStatus.textContent = "Connected";
             connectionStatus.className = "status-connected";
+            loadSpotFeeds();
+            loadLocalDecodes();
+            refreshRigStatus();
+            // A reconnect is a new connection id with no filter yet
+            subscribeToSpots();
             loadInitialSpots();
         });
 
+        // Automatic reconnect gave up: keep trying from scratch
         connection.onclose(function () {
             connectionStatus.textContent = "Disconnected";
             connectionStatus.className = "status-disconnected";
+            showOfflineBanner(true);
+            setTimeout(function () { startHubConnection(connection, true); }, hubRetryMs);
         });
 
+        startHubConnection(connection, false);
+    }
+
+    // retrying: the server was unreachable before; reload the grid once it's back
+    var hubRetryMs = 10000;
+
+    function startHubConnection(connection, retrying) {
         connection.start()
             .then(function () {
                 connectionStatus.textContent = "Connected";
                 connectionStatus.className = "status-connected";
-                if (!locationRestorePending) loadInitialSpots();
+                if (retrying) {
+                    loadSpotFeeds();
+                    loadLocalDecodes();
+                }
+                subscribeToSpots();
+                loadInitialSpots();
             })
             .catch(function (err) {
-                console.error("SignalR connection failed:", err);
-                connectionStatus.textContent = "Connection failed";
-                connectionStatus.className = "status-disconnected";
-                // Still try to load spots via REST
-                if (!locationRestorePending) loadInitialSpots();
+                if (!retrying) {
+                    console.error("SignalR connection failed:", err);
+                    connectionStatus.textContent = "Connection failed";
+                    connectionStatus.className = "status-disconnected";
+                    showOfflineBanner(true);
+                    // Still try to load spots via REST
+                    loadInitialSpots();
+                }
+                setTimeout(function () { startHubConnection(connection, true); }, hubRetryMs);
             });
     }
 
+    registerServiceWorker();
+    restoreCachedSpots();
     setupSignalR();
+    restoreKeymap();
+    loadBandPlan();
+    loadSpotFeeds();
+    loadLocalDecodes();
+    loadUserContinent();
+    loadHistoryInfo();
+    loadEntityOptions();
+    loadStoredLog();
+    refreshRigStatus();
+    refreshTelnetClients();
+    setInterval(refreshTelnetClients, telnetPollMs);
+    setInterval(function () {
+        if (spotView === "conditions") refreshBandConditions();
+    }, conditionsPollMs);
 
     // Request geolocation if not already saved
     if (userLat == null) {
@@ -697,33 +4332,190 @@ window.scrollTo(0, 0);
     }
 
     // --- Event listeners for filters ---
-    var filterInputs = document.querySelectorAll('input[name="band"], input[name="mode"]');
+    // The band and mode boxes come and go with the band plan, so their fieldsets listen
+    var filterInputs = [bandFilter, modeFilter].concat(Array.prototype.slice.call(
+        document.querySelectorAll('input[name="continent"], input[name="logstatus"]')));
     for (var i = 0; i < filterInputs.length; i++) {
         filterInputs[i].addEventListener("change", function () {
             saveFilters();
             renderFullTable();
+            scheduleResubscribe();
         });
     }
 
     callsignSearch.addEventListener("input", function () {
         saveFilters();
         renderFullTable();
+        scheduleResubscribe();
+    });
+
+    cqZoneInput.addEventListener("input", function () {
+        saveFilters();
+        renderFullTable();
+        scheduleResubscribe();
+    });
+
+    // Entity picker — Enter or "Add" adds the typed entity
+    renderEntityFilter();
+    entityAddBtn.addEventListener("click", addEntityFromInput);
+    entityInput.addEventListener("keydown", function (e) {
+        if (e.key === "Enter") {
+            e.preventDefault();
+            addEntityFromInput();
+        }
+    });
+
+    renderMinDistance();
+    minDistanceInput.addEventListener("input", function () {
+        readMinDistanceInput();
+        saveFilters();
+        renderFullTable();
+        scheduleResubscribe();
+    });
+    minDistanceInput.addEventListener("blur", renderMinDistance);
+
+    renderSpotterFilter();
+    spotterDistanceInput.addEventListener("input", function () {
+        readSpotterDistanceInput();
+        saveFilters();
+        renderFullTable();
+        scheduleResubscribe();
+    });
+    spotterDistanceInput.addEventListener("blur", renderSpotterFilter);
+    spotterContinentToggle.addEventListener("change", function () {
+        spotterSameContinent = spotterContinentToggle.checked;
+        if (spotterSameContinent && !userContinent) {
+            srAnnounce(userLat == null ? "Set your QTH grid first" : "Your continent isn't known yet");
+        }
+        saveFilters();
+        renderFullTable();
+        scheduleResubscribe();
+    });
+
+    if (minScoreInput) {
+        minScoreInput.addEventListener("input", function () {
+            saveFilters();
+            renderFullTable();
+        });
+    }
+
+    if (groupToggle) {
+        groupToggle.addEventListener("change", function () {
+            groupByStation = groupToggle.checked;
+            saveFilters();
+            renderFullTable();
+        });
+    }
+
+    // View tabs (Live, History, Band conditions) and history paging
+    liveTab.addEventListener("click", function () { setSpotView("live"); });
+    historyTab.addEventListener("click", function () { setSpotView("history"); });
+    conditionsTab.addEventListener("click", function () { setSpotView("conditions"); });
+    liveTab.addEventListener("keydown", onViewTabKeydown);
+    historyTab.addEventListener("keydown", onViewTabKeydown);
+    conditionsTab.addEventListener("keydown", onViewTabKeydown);
+    historySearchBtn.addEventListener("click", searchHistory);
+    historyNewerBtn.addEventListener("click", function () { loadHistoryPage(historyPage - 1, false); });
+    historyOlderBtn.addEventListener("click", function () { loadHistoryPage(historyPage + 1, false); });
+    [historyFromInput, historyToInput].forEach(function (input) {
+        input.addEventListener("keydown", function (e) {
+            if (e.key === "Enter") {
+                e.preventDefault();
+                searchHistory();
+            }
+        });
+    });
+
+    // Spot detail: Esc or Close; focus goes back to the row it was opened from
+    spotDetailClose.addEventListener("click", function () { spotDetail.close(); });
+
+    spotDetail.addEventListener("close", function () {
+        detailCall = null;
+        var row = detailReturnRow && spotBody.contains(detailReturnRow) ? detailReturnRow : spotBody.querySelector("tr");
+        detailReturnRow = null;
+        if (row) row.focus();
+    });
+    spotDetail.addEventListener("keydown", function (e) { trapDialogFocus(spotDetail, e); });
+
+    // Keyboard command help: ? or F1; Change / Remove / Reset edit the keymap
+    keymapHelpBtn.addEventListener("click", openKeymapHelp);
+    keymapHelpClose.addEventListener("click", function () { keymapHelp.close(); });
+    keymapResetAllBtn.addEventListener("click", resetAllKeys);
+    keymapHelp.addEventListener("keydown", function (e) {
+        if (keymapCapture) {
+            onKeyCaptureKeydown(e);
+            return;
+        }
+        trapDialogFocus(keymapHelp, e);
+    });
+    // Esc while waiting for a key cancels the change rather than closing the dialog
+    keymapHelp.addEventListener("cancel", function (e) {
+        if (keymapCapture) e.preventDefault();
+    });
+    keymapHelp.addEventListener("close", function () {
+        keymapCapture = null;
+        var target = keymapReturnFocus && document.body.contains(keymapReturnFocus) ? keymapReturnFocus : spotBody.querySelector("tr");
+        keymapReturnFocus = null;
+        if (target) target.focus();
     });
 
+    exportBtn.addEventListener("click", exportSpots);
+    exportFormatSelect.addEventListener("change", saveFilters);
+
+    // Spot map: points are one tab stop; arrow keys move between them in grid order
+    mapToggle.addEventListener("change", function () { setShowMap(mapToggle.checked); });
+
+    spotMapSvg.addEventListener("focusin", function (e) {
+        if (mapPoints.indexOf(e.target) !== -1) selectRowForPoint(e.target);
+    });
+
+    spotMapSvg.addEventListener("focusout", function () {
+        setTimeout(function () {
+            if (!spotMapSvg.contains(document.activeElement)) scheduleMapRender();
+        }, 0);
+    });
+
+    spotMapSvg.addEventListener("click", function (e) {
+        var row = mapPoints.indexOf(e.target) !== -1 ? selectRowForPoint(e.target) : null;
+        if (row) row.focus();
+    });
+
+    spotMapSvg.addEventListener("keydown", function (e) {
+        var index = mapPoints.indexOf(e.target);
+        if (index === -1 || e.ctrlKey || e.altKey || e.metaKey) return;
+        var next = null;
+        if (e.key === "ArrowDown" || e.key === "ArrowRight") next = index + 1;
+        if (e.key === "ArrowUp" || e.key === "ArrowLeft") next = index - 1;
+        if (e.key === "Home") next = 0;
+        if (e.key === "End") next = mapPoints.length - 1;
+        if (next != null) {
+            e.preventDefault();
+            focusMapPoint(next);
+        } else if (e.key === "Enter" || e.key === " ") {
+            // Go to the row, where Enter tunes the radio
+            e.preventDefault();
+            var row = selectRowForPoint(e.target);
+            if (row) row.focus();
+        }
+    });
+
+    // Column header sort buttons
+    var sortButtons = spotTable.querySelectorAll("thead th[data-sort] button");
+    for (var sb = 0; sb < sortButtons.length; sb++) {
+        sortButtons[sb].addEventListener("click", function () {
+            setSort(this.parentNode.dataset.sort);
+        });
+    }
+
     // Announcement level changes update the live region attribute
     var announceInputs = document.querySelectorAll('input[name="announce"]');
     for (var j = 0; j < announceInputs.length; j++) {
         announceInputs[j].addEventListener("change", function () {
-            var level = getAnnounceLevel();
-            if (level === "off") {
-                srAnnouncer.removeAttribute("aria-live");
-                phoneticToggle.disabled = true;
+            applyAnnounceLevel();
+            if (getAnnounceLevel() === "off") {
                 // Announce off = unfreeze immediately
                 flushFrozenSpots();
                 stopFreezeCheck();
-            } else {
-                srAnnouncer.setAttribute("aria-live", level);
-                phoneticToggle.disabled = false;
             }
             saveFilters();
         });
@@ -733,6 +4525,50 @@ window.scrollTo(0, 0);
         saveFilters();
     });
 
+    // Speech voice settings
+    if (speechSupported) {
+        populateSpeechVoices();
+        window.speechSynthesis.addEventListener("voiceschanged", populateSpeechVoices);
+    }
+    var speechInputs = [speechVoiceSelect, speechRateInput, speechPitchInput, speechQueueMaxInput];
+    for (var si = 0; si < speechInputs.length; si++) {
+        speechInputs[si].addEventListener("change", function () {
+            saveFilters();
+        });
+    }
+    // Earcon settings; ticking the box is the user gesture browsers need before audio can start
+    earconToggle.addEventListener("change", function () {
+        if (earconToggle.checked) getAudioContext();
+        saveFilters();
+    });
+    earconPanToggle.addEventListener("change", function () {
+        saveFilters();
+    });
+    earconVolumeInput.addEventListener("change", function () {
+        saveFilters();
+    });
+
+    speechTestBtn.addEventListener("click", function () {
+        speak("Testing, " + spellCall("W1AW") + " on " + speakFrequency(14025) + " CW " + speakBand("20m"), true);
+    });
+
+    // A lower max age drops spots at once; a higher one fetches the ones it let go again
+    renderMaxAge();
+    maxAgeInput.addEventListener("change", function () {
+        var previous = maxSpotAgeMinutes;
+        readMaxAgeInput();
+        renderMaxAge();
+        saveFilters();
+        if (maxSpotAgeMinutes > previous) {
+            loadInitialSpots();
+        } else {
+            expireSpots();
+        }
+        refreshRowAges();
+    });
+    maxAgeInput.addEventListener("blur", renderMaxAge);
+    setInterval(tickSpotAges, ageTickMs);
+
     // List size radio buttons
     var listRadios = document.querySelectorAll('input[name="listsize"]');
     for (var lr = 0; lr < listRadios.length; lr++) {
@@ -754,15 +4590,69 @@ window.scrollTo(0, 0);
         });
     }
 
+    // DX alert rule form — Enter in any field adds the rule (band and mode choices come with the band plan)
+    renderAlertRules();
+    if (alertAddBtn) {
+        alertAddBtn.addEventListener("click", addAlertRuleFromForm);
+    }
+    var alertFormInputs = [alertCallInput, alertEntityInput, alertDistanceInput];
+    for (var af = 0; af < alertFormInputs.length; af++) {
+        alertFormInputs[af].addEventListener("keydown", function (e) {
+            if (e.key === "Enter") {
+                e.preventDefault();
+                addAlertRuleFromForm();
+            }
+        });
+    }
+
+    // Filter profiles
+    renderProfileSelect();
+    profileSelect.addEventListener("change", function () {
+        var index = findProfileIndex(profileSelect.value);
+        if (index === -1) {
+            activeProfileName = "";
+            saveProfiles();
+            return;
+        }
+        switchToProfile(index);
+    });
+    profileSaveBtn.addEventListener("click", saveActiveProfile);
+    profileDeleteBtn.addEventListener("click", deleteActiveProfile);
+    profileNewBtn.addEventListener("click", saveNewProfile);
+    profileRenameBtn.addEventListener("click", renameActiveProfile);
+    profileExportBtn.addEventListener("click", exportProfiles);
+    profileImportFile.addEventListener("change", function () {
+        importProfilesFile(profileImportFile.files && profileImportFile.files[0]);
+    });
+    profileNameInput.addEventListener("keydown", function (e) {
+        if (e.key === "Enter") {
+            e.preventDefault();
+            saveNewProfile();
+        }
+    });
+
+    // ADIF log import
+    if (adifFileInput) {
+        adifFileInput.addEventListener("change", function () {
+            importAdifFile(adifFileInput.files && adifFileInput.files[0]);
+        });
+    }
+    if (logClearBtn) {
+        logClearBtn.addEventListener("click", clearImportedLog);
+    }
+
     // Auto-locate button (browser geolocation)
     if (locateBtn) {
         locateBtn.addEventListener("click", requestGeolocation);
     }
 
     // --- Grid freeze: track focus in/out and movement ---
-    spotBody.addEventListener("focusin", function () {
+    spotBody.addEventListener("focusin", function (e) {
         focusInGrid = true;
         lastFocusMoveTime = Date.now();
+        if (e.target.tagName === "TR") lastFocusedRow = e.target;
+        // Without a screen reader nothing reads the focused row, so speak its summary
+        if (e.target.tagName === "TR") speak(e.target.getAttribute("aria-label"), true);
     });
 
     spotBody.addEventListener("focusout", function (e) {
@@ -782,57 +4672,64 @@ window.scrollTo(0, 0);
         if (e.key === "Tab" || e.key === "ArrowDown" || e.key === "ArrowUp") {
             lastFocusMoveTime = Date.now();
         }
-    });
 
-    // --- Global keyboard shortcuts ---
-    document.addEventListener("keydown", function (e) {
-        // F8 — manual refresh: flush frozen spots, re-render, restore focus to top of grid
-        if (e.key === "F8") {
+        var row = e.target.closest ? e.target.closest("tr") : null;
+        if (!row) return;
+
+        // Row commands from the keymap: tune (Enter), details (I), history pages (Page Up / Down)
+        var command = e.target === row ? findKeyCommand(keyNameFromEvent(e), "row") : null;
+        if (command && (!command.when || command.when())) {
             e.preventDefault();
-            flushFrozenSpots();
-            renderFullTable();
-            var firstRow = spotBody.querySelector("tr");
-            if (firstRow) firstRow.focus();
+            lastFocusMoveTime = Date.now();
+            command.run(row);
             return;
         }
 
-        if (!e.ctrlKey || e.shiftKey || e.altKey || e.metaKey) return;
+        if (e.ctrlKey || e.altKey || e.metaKey || e.shiftKey) return;
 
-        var handled = true;
-        switch (e.key.toLowerCase()) {
-            case "s": // Top of spot list
-                var firstRow = spotBody.querySelector("tr");
-                if (firstRow) {
-                    if (document.activeElement === firstRow) {
-                        // Already focused — blur then refocus to trigger re-announcement
-                        reannouncing = true;
-                        firstRow.blur();
-                        setTimeout(function () {
-                            firstRow.focus();
-                            reannouncing = false;
-                        }, 80);
-                    } else {
-                        firstRow.focus();
-                    }
+        // Station groups: Right arrow expands, Left arrow collapses (or returns to the group row)
+        if (e.key === "ArrowRight" && row.getAttribute("aria-expanded") === "false") {
+            e.preventDefault();
+            lastFocusMoveTime = Date.now();
+            setGroupExpanded(row, true);
+        } else if (e.key === "ArrowLeft") {
+            if (row.getAttribute("aria-expanded") === "true") {
+                e.preventDefault();
+                lastFocusMoveTime = Date.now();
+                setGroupExpanded(row, false);
+            } else if (row.classList.contains("group-child")) {
+                var parent = row.previousElementSibling;
+                while (parent && parent.classList.contains("group-child")) {
+                    parent = parent.previousElementSibling;
                 }
-                break;
-            case "p": // Prefix/callsign search box
-                callsignSearch.focus();
-                break;
-            case "b": // First band filter checkbox
-                var firstBand = document.querySelector('input[name="band"]');
-                if (firstBand) firstBand.focus();
-                break;
-            case "m": // First mode filter checkbox
-                var firstMode = document.querySelector('input[name="mode"]');
-                if (firstMode) firstMode.focus();
-                break;
-            case "l": // Location / grid input
-                if (gridInput) gridInput.focus();
-                break;
-            default:
-                handled = false;
+                if (parent) {
+                    e.preventDefault();
+                    lastFocusMoveTime = Date.now();
+                    parent.focus();
+                }
+            }
         }
-        if (handled) e.preventDefault();
+    });
+
+    // Double-click tunes too (single click just selects, so a stray click can't QSY the rig)
+    spotBody.addEventListener("dblclick", function (e) {
+        var row = e.target.closest ? e.target.closest("tr") : null;
+        if (!row || (e.target.closest && e.target.closest("button"))) return;
+        var spot = rowSpots.get(row);
+        if (spot) tuneToSpot(spot);
+    });
+
+    // --- Global keyboard shortcuts (see keyCommands) ---
+    document.addEventListener("keydown", function (e) {
+        // A modal dialog handles its own keys (Esc closes it)
+        if (keymapHelp.open || spotDetail.open) return;
+        var keyName = keyNameFromEvent(e);
+        if (!keyName) return;
+        if (isTypingTarget(e.target) && !keyWorksWhileTyping(keyName)) return;
+
+        var command = findKeyCommand(keyName, "global");
+        if (!command || (command.when && !command.when())) return;
+        e.preventDefault();
+        command.run();
     });
 })();
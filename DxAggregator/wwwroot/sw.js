@@ -0,0 +1,64 @@
+// DX Aggregator service worker — keeps the app shell in a cache so the page opens at once,
+// and still opens while the local server is starting or stopped. Shell files are answered from
+// the cache and refreshed from the server in the background, so an update shows on the next load.
+// API and SignalR requests are never cached here (app.js keeps the last spots in IndexedDB).
+(function () {
+    "use strict";
+
+    var cacheName = "dx-agg-shell-v1"; // bump to drop old shell caches
+    var shellFiles = [
+        "./",
+        "index.html",
+        "app.js",
+        "style.css",
+        "gator.svg",
+        "coastline.json",
+        "lib/signalr/signalr.min.js"
+    ];
+    var shellUrls = shellFiles.map(function (file) { return new URL(file, self.location).href; });
+
+    self.addEventListener("install", function (event) {
+        event.waitUntil(
+            caches.open(cacheName)
+                .then(function (cache) { return cache.addAll(shellFiles); })
+                .then(function () { return self.skipWaiting(); })
+        );
+    });
+
+    self.addEventListener("activate", function (event) {
+        event.waitUntil(
+            caches.keys()
+                .then(function (names) {
+                    return Promise.all(names.map(function (name) {
+                        if (name.indexOf("dx-agg-shell-") === 0 && name !== cacheName) return caches.delete(name);
+                    }));
+                })
+                .then(function () { return self.clients.claim(); })
+        );
+    });
+
+    self.addEventListener("fetch", function (event) {
+        var request = event.request;
+        if (request.method !== "GET") return;
+        var url = request.url.split("?")[0].split("#")[0];
+        if (shellUrls.indexOf(url) === -1) return;
+
+        event.respondWith(
+            caches.open(cacheName).then(function (cache) {
+                return cache.match(request, { ignoreSearch: true }).then(function (cached) {
+                    var refresh = fetch(request)
+                        .then(function (response) {
+                            if (response.ok) cache.put(request, response.clone());
+                            return response;
+                        });
+                    if (cached) {
+                        // Keep the worker alive until the background refresh is stored
+                        event.waitUntil(refresh.catch(function () { /* server down — cached copy stands */ }));
+                        return cached;
+                    }
+                    return refresh;
+                });
+            })
+        );
+    });
+})();